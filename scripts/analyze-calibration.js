@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Offline latency analysis of calibration recordings (WAV), without a browser.
+ * Runs the same high-pass, estimator, level and robustness code as the
+ * in-browser calibration (src/calibration-analysis.js) and prints JSON.
+ * - Reference: a WAV of what was played (--ref) or a generated signal
+ *   (--signal chirp|mls|golay|clicks with --param key=value for its params)
+ * - Batch: with a directory, every *.wav in it is one attempt; the output
+ *   adds the median/report over all of them as calibrateLatencyRobust does
+ *
+ * Usage:
+ *   node scripts/analyze-calibration.js take.wav --signal chirp --param durationMs=500 --offset-ms 60
+ *   node scripts/analyze-calibration.js take.wav --ref played.wav --curve
+ *   npm run analyze -- recordings/ --signal mls --param order=14 --param repeats=4
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { decodeWav } from '../src/wav.js';
+import { analyzeCalibrationCapture, judgeAttempt, summarizeAttempts } from '../src/calibration-analysis.js';
+import { listReferenceSignals } from '../src/reference-signals.js';
+
+const HELP = `Usage: analyze-calibration <mic.wav | directory> [options]
+
+Reference (one of):
+  --ref <file.wav>         What was played (first channel)
+  --signal <name>          Generated reference: ${listReferenceSignals().filter((n) => n !== 'custom').join(', ')} (default chirp)
+  --param <key=value>      Signal parameter, repeatable (e.g. durationMs=500, order=14)
+
+Analysis:
+  --channel <n>            Mic channel to analyse (default 0)
+  --offset-ms <ms>         Where playback starts in the recording (default 0)
+  --max-lag-ms <ms>        Correlation search window (default 120)
+  --allow-negative         Also search negative lags
+  --hp-hz <hz>             High-pass cutoff, 0 = off (default 150)
+  --threshold <x>          Direct-path threshold relative to the strongest peak (default 0.6)
+  --min-score <x>          Minimum score for a valid attempt (default 0.2)
+  --min-psr <x>            Minimum direct-path peak-to-sidelobe ratio (default 1.25)
+  --curve                  Include the correlation curve in the output
+  -h, --help
+
+A directory runs every *.wav in it as one attempt (batch) and adds a summary.`;
+
+const OPTIONS = {
+    ref: { type: 'string' },
+    signal: { type: 'string', default: 'chirp' },
+    param: { type: 'string', multiple: true, default: [] },
+    channel: { type: 'string', default: '0' },
+    'offset-ms': { type: 'string', default: '0' },
+    'max-lag-ms': { type: 'string', default: '120' },
+    'allow-negative': { type: 'boolean', default: false },
+    'hp-hz': { type: 'string', default: '150' },
+    threshold: { type: 'string', default: '0.6' },
+    'min-score': { type: 'string', default: '0.2' },
+    'min-psr': { type: 'string', default: '1.25' },
+    curve: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help || positionals.length !== 1) {
+        console.log(HELP);
+        return values.help ? 0 : 2;
+    }
+
+    const target = resolve(positionals[0]);
+    const refPath = values.ref ? resolve(values.ref) : null;
+    const batch = (await stat(target)).isDirectory();
+    const files = batch
+        ? (await readdir(target)).filter((f) => /\.wave?$/i.test(f)).sort().map((f) => join(target, f)).filter((f) => f !== refPath)
+        : [target];
+    if (files.length === 0) throw new Error(`No .wav files in ${target}`);
+
+    // The reference: a recorded one runs through the 'custom' plugin
+    let mode = values.signal;
+    let params = parseParams(values.param);
+    let refRate = null;
+    if (refPath) {
+        const wav = decodeWav(await readFile(refPath));
+        mode = 'custom';
+        params = { signal: wav.channels[0], amp: 1 };
+        refRate = wav.sampleRate;
+    } else if (!listReferenceSignals().includes(mode)) {
+        throw new Error(`Unknown signal "${mode}" (known: ${listReferenceSignals().join(', ')})`);
+    }
+
+    const judge = { minScore: number(values, 'min-score'), minPeakToSidelobe: number(values, 'min-psr') };
+    const channel = number(values, 'channel');
+    const results = [];
+    const output = [];
+    let sampleRate = null;
+    for (const file of files) {
+        const wav = decodeWav(await readFile(file));
+        if (channel >= wav.channels.length) throw new Error(`${basename(file)} has no channel ${channel}`);
+        if (refRate !== null && wav.sampleRate !== refRate) {
+            throw new Error(`${basename(file)} is ${wav.sampleRate} Hz, the reference ${refRate} Hz`);
+        }
+        if (sampleRate !== null && wav.sampleRate !== sampleRate) {
+            throw new Error(`${basename(file)} is ${wav.sampleRate} Hz, the other recordings ${sampleRate} Hz`);
+        }
+        sampleRate = wav.sampleRate;
+
+        const res = judgeAttempt(analyzeCalibrationCapture(wav.channels[channel], {
+            sampleRate: wav.sampleRate,
+            mode,
+            params,
+            offsetSamples: Math.round((number(values, 'offset-ms') / 1000) * wav.sampleRate),
+            maxLagMs: number(values, 'max-lag-ms'),
+            allowNegative: values['allow-negative'],
+            directPathThreshold: number(values, 'threshold'),
+            filterHpHz: number(values, 'hp-hz'),
+            diagnostics: values.curve,
+        }), judge);
+        results.push(res);
+        output.push({ file: basename(file), sampleRate: wav.sampleRate, ...toJson(res, values.curve) });
+    }
+
+    const json = batch
+        ? { files: output, summary: toJson(summarizeAttempts(results, { sampleRate }), false) }
+        : output[0];
+    console.log(JSON.stringify(json, null, 2));
+    // exit status 1: no valid attempt
+    return (batch ? json.summary.valid : json.valid) ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+        console.error(`analyze-calibration: ${err.message}`);
+        process.exitCode = 2;
+    },
+);
+
+/* ------------------------- Utilities ------------------------- */
+
+// --param key=value → { key: value }, numbers and booleans parsed
+function parseParams(list) {
+    const params = {};
+    for (const item of list) {
+        const eq = item.indexOf('=');
+        if (eq <= 0) throw new Error(`--param expects key=value, got "${item}"`);
+        const raw = item.slice(eq + 1);
+        params[item.slice(0, eq)] = raw === 'true' ? true : raw === 'false' ? false
+            : raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    }
+    return params;
+}
+
+function number(values, name) {
+    const v = Number(values[name]);
+    if (!Number.isFinite(v)) throw new Error(`--${name} expects a number, got "${values[name]}"`);
+    return v;
+}
+
+// Results without their sample arrays (impulse responses, conditioned signals);
+// the correlation curve only when asked for
+function toJson(res, withCurve) {
+    const out = {};
+    for (const [key, v] of Object.entries(res)) {
+        if (ArrayBuffer.isView(v) || key === 'diagnostics' || key === 'curve') continue;
+        out[key] = v;
+    }
+    if (withCurve && res.curve) {
+        out.curve = { firstLagSamples: res.curve.firstLagSamples, scores: Array.from(res.curve.scores) };
+    }
+    return out;
+}
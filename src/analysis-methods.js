@@ -0,0 +1,59 @@
+/**
+ * The analysis functions the worker service (analysis.js) exposes, by name.
+ * The worker and the synchronous fallback both call into this table, so the
+ * two paths run exactly the same code.
+ */
+
+import { estimateLagNormalized, estimateLagMLS, estimateLagGolay, estimateLagPeriodic } from './correlation.js';
+import { highPassIIR } from './capture.js';
+import { measureCaptureLevels } from './calibration-report.js';
+import { analyzeCalibrationCapture } from './calibration-analysis.js';
+import { analyzeDrift } from './drift-analysis.js';
+import { verifyTakeAlignment } from './take-alignment.js';
+import {
+    createReferenceSignal, makeLogChirp, makeMLSSequence, makeGolayPair, makeBandLimitedClick,
+} from './reference-signals.js';
+
+export const ANALYSIS_METHODS = {
+    highPassIIR,
+    estimateLagNormalized,
+    estimateLagMLS,
+    estimateLagGolay,
+    estimateLagPeriodic,
+    measureCaptureLevels,
+    makeLogChirp,
+    makeMLSSequence,
+    makeGolayPair,
+    makeBandLimitedClick,
+    analyzeCalibrationCapture,
+    analyzeDrift,
+    // `clicks` as clickTrack() makes it: the metronome's AudioBuffers stay on the main thread
+    verifyTakeAlignment,
+
+    // createReferenceSignal() without the bound estimator (functions can't cross threads)
+    generateReference(name, sampleRate, params) {
+        const { signal, info, params: p } = createReferenceSignal(name, sampleRate, params);
+        return { name, signal, info, params: p };
+    },
+
+    // The reference's own estimator; the signal is regenerated from `params` on this side
+    estimateReference(name, sampleRate, params, mic, ref, opts = {}) {
+        return createReferenceSignal(name, sampleRate, params).estimate(mic, { ...opts, ref, sampleRate });
+    },
+};
+
+/**
+ * ArrayBuffers behind the typed arrays in `value` (two levels deep), for
+ * postMessage's transfer list. Views onto part of a buffer and shared
+ * buffers are left to be copied.
+ */
+export function transferList(value, depth = 2, out = new Set()) {
+    if (ArrayBuffer.isView(value)) {
+        if (value.buffer instanceof ArrayBuffer && value.byteOffset === 0 && value.byteLength === value.buffer.byteLength) {
+            out.add(value.buffer);
+        }
+    } else if (value && typeof value === 'object' && depth > 0) {
+        for (const v of Array.isArray(value) ? value : Object.values(value)) transferList(v, depth - 1, out);
+    }
+    return [...out];
+}
@@ -0,0 +1,22 @@
+/**
+ * Analysis worker: runs one ANALYSIS_METHODS entry per message.
+ * Request:  { id, method, args }
+ * Response: { id, result } with its typed arrays transferred, or { id, error: { name, message } }
+ */
+
+import { ANALYSIS_METHODS, transferList } from './analysis-methods.js';
+
+self.onmessage = (e) => {
+    const { id, method, args } = e.data;
+    try {
+        const fn = ANALYSIS_METHODS[method];
+        if (!fn) throw new Error(`Unknown analysis method "${method}"`);
+        const result = fn(...args);
+        self.postMessage({ id, result }, transferList(result));
+    } catch (err) {
+        self.postMessage({ id, error: { name: err?.name ?? 'Error', message: err?.message ?? String(err) } });
+    }
+};
+
+// Tells the service the module loaded; calls queue until then
+self.postMessage({ ready: true });
@@ -0,0 +1,127 @@
+/**
+ * Analysis service: the correlation and signal-processing functions behind a
+ * promise API, run in a dedicated Web Worker so long searches neither freeze
+ * the UI nor delay the scheduling of the next calibration attempt.
+ * - Every ANALYSIS_METHODS entry (analysis-methods.js) is a method taking the
+ *   same arguments as the function it mirrors and returning a promise
+ * - Typed arrays passed as arguments are transferred, not copied: the
+ *   caller's arrays are detached afterwards (pass a .slice() to keep one).
+ *   Results come back transferred as well
+ * - Without Worker support, or when the worker fails to start, the same
+ *   functions run synchronously on the calling thread (arguments stay intact)
+ * - Reference signals registered or replaced at runtime only exist on this
+ *   thread, so generateReference / estimateReference / analyzeCalibrationCapture
+ *   run those here
+ *
+ * Usage:
+ *   const analysis = createAnalysisService();
+ *   const res = await analysis.estimateLagNormalized(mic, ref, 48000, { maxLagMs: 120 });
+ *   await calibrateLatencyRobust(ctx, { analysis });
+ *   analysis.dispose();
+ */
+
+import { ANALYSIS_METHODS, transferList } from './analysis-methods.js';
+import { getReferenceSignal, listReferenceSignals } from './reference-signals.js';
+
+// Reference plugins as registered at load time: the only ones the worker has
+const BUILTIN_SIGNALS = new Map(listReferenceSignals().map((name) => [name, getReferenceSignal(name)]));
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.worker=true]  false: always run on the calling thread
+ * @returns {{usesWorker: boolean, dispose: () => void} & Object<string, (...args:any[]) => Promise<any>>}
+ *   `usesWorker` turns false if the worker could not be started
+ */
+export function createAnalysisService({ worker = true } = {}) {
+    let w = null;
+    let ready = false;
+    let queued = [];            // calls made before the worker reported ready
+    const pending = new Map();  // id → { resolve, reject }, posted to the worker
+    let nextId = 1;
+
+    const runLocal = (method, args) => Promise.resolve().then(() => ANALYSIS_METHODS[method](...args));
+
+    const post = (call) => {
+        const id = nextId++;
+        pending.set(id, call);
+        w.postMessage({ id, method: call.method, args: call.args }, transferList(call.args, 1));
+    };
+
+    // Worker unusable before it started: everything queued runs here instead
+    const fallBack = () => {
+        w?.terminate();
+        w = null;
+        service.usesWorker = false;
+        for (const { method, args, resolve, reject } of queued) runLocal(method, args).then(resolve, reject);
+        queued = [];
+    };
+
+    if (worker && typeof Worker !== 'undefined') {
+        try {
+            w = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+        } catch {
+            w = null;
+        }
+    }
+    if (w) {
+        w.onmessage = (e) => {
+            const { id, result, error } = e.data;
+            if (e.data.ready) {
+                ready = true;
+                queued.forEach(post);
+                queued = [];
+                return;
+            }
+            const call = pending.get(id);
+            if (!call) return;
+            pending.delete(id);
+            if (error) call.reject(Object.assign(new Error(error.message), { name: error.name }));
+            else call.resolve(result);
+        };
+        w.onerror = (e) => {
+            e.preventDefault?.();
+            if (!ready) return fallBack();
+            // Crashed mid-call: the arguments went with it
+            const err = new Error(`Analysis worker failed: ${e.message ?? 'unknown error'}`);
+            for (const call of pending.values()) call.reject(err);
+            pending.clear();
+        };
+    }
+
+    const call = (method, args) => {
+        const name = method === 'generateReference' || method === 'estimateReference' ? args[0]
+            : method === 'analyzeCalibrationCapture' ? (args[1]?.mode ?? 'chirp') : null;
+        if (!w || (name !== null && !isBuiltinSignal(name))) return runLocal(method, args);
+        return new Promise((resolve, reject) => {
+            const entry = { method, args, resolve, reject };
+            if (ready) post(entry);
+            else queued.push(entry);
+        });
+    };
+
+    const service = {
+        usesWorker: !!w,
+        dispose() {
+            w?.terminate();
+            w = null;
+            const err = new Error('Analysis service disposed');
+            for (const c of [...pending.values(), ...queued]) c.reject(err);
+            pending.clear();
+            queued = [];
+        },
+    };
+    for (const method of Object.keys(ANALYSIS_METHODS)) service[method] = (...args) => call(method, args);
+    return service;
+}
+
+/**
+ * The functions themselves behind the same promise API, on the calling
+ * thread. What calibrateLatency() uses when no service is passed in.
+ */
+export const localAnalysis = createAnalysisService({ worker: false });
+
+/* ------------------------- Utilities ------------------------- */
+
+function isBuiltinSignal(name) {
+    return listReferenceSignals().includes(name) && getReferenceSignal(name) === BUILTIN_SIGNALS.get(name);
+}
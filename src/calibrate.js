@@ -1,381 +1,206 @@
 /**
  * Latency calibration with a unique sound (log-chirp by default).
- * - Generates a reference signal
+ * - Generates a reference signal (see reference-signals.js for the registry)
  * - Plays it via WebAudio while recording mic input
- * - Estimates lag with normalized cross-correlation (non-negative lags)
+ * - Estimates lag with the signal's estimator: normalized cross-correlation
+ *   (non-negative lags) unless the plugin brings its own
  *
  * Usage:
  *   const ctx = new AudioContext({ sampleRate: 48000 });
- *   const res = await calibrateLatency(ctx, { mode: 'chirp' }); // or 'mls'
- *   console.log(res); // { lagSamples, lagMs, score }
+ *   const res = await calibrateLatency(ctx, { mode: 'chirp' }); // or 'mls', 'golay', 'clicks', 'custom'
+ *   await calibrateLatency(ctx, { mode: 'golay', golay: { order: 11 } }); // params under the mode's name
+ *   console.log(res); // { lagSamples, lagMs, score, snrDb, ..., report }
+ *   if (!res.report.verdict.pass) console.warn(res.report.verdict.reasons);
+ *   await calibrateLatency(ctx, { diagnostics: true }); // + res.diagnostics and res.curve for plotting
+ *   await calibrateLatency(ctx, { analysis: createAnalysisService() }); // filtering/correlation in a worker
+ *   await calibrateLatencyRobust(ctx, { captureBundle: true }); // + res.bundle for capture-bundle.js
+ *   await calibrateLatencyRobust(ctx, { tapFallback: async () => confirm('Tap along?') && { source: 'key' } });
  */
 
+import { estimateLagNormalized } from './correlation.js';
+import { getReferenceSignal, makeLogChirp, makeMLSSequence } from './reference-signals.js';
+import { openInputStream, stopStream } from './devices.js';
+import { playAndRecordCalibration } from './capture.js';
+import { runLevelCheck } from './level-check.js';
+import { analyzeCalibrationCapture, judgeAttempt, summarizeAttempts } from './calibration-analysis.js';
+import { localAnalysis } from './analysis.js';
+import { createCaptureBundle, addBundleAttempt, finishCaptureBundle } from './capture-bundle.js';
+import { calibrateByTapping } from './tap-calibration.js';
+
+export { estimateLagNormalized, makeLogChirp, makeMLSSequence, playAndRecordCalibration };
+export { analyzeCalibrationCapture, judgeAttempt, summarizeAttempts };
+
 export async function calibrateLatency(audioCtx, opts = {}) {
     const {
-        mode = 'chirp',           // 'chirp' | 'mls'
+        mode = 'chirp',           // any registered reference signal
         sampleRate = audioCtx.sampleRate || 48000,
-        // Chirp params
-        chirp = { durationMs: 120, f0: 1500, f1: 8000, amp: 0.8, fadeMs: 6 },
-        // MLS params
-        mls = { order: 16, repeats: 4, amp: 0.35 },
+        // Signal params go under the mode's name, e.g. chirp: { durationMs, f0, f1, amp, fadeMs },
+        // mls: { order, repeats, amp }; omitted fields take the plugin's defaults
         // Recording window padding
         preRollMs = 60,
         postRollMs = 180,
         // Correlation search window (must cover expected round trip)
         maxLagMs = 120,
         allowNegative = false,     // keep false to lock sign
+        // Earliest peak >= this × max is taken as the direct path (1 = global max)
+        directPathThreshold = 0.6,
+        topN = 5,
         // Optional light high-pass to improve robustness
         filterHpHz = 150,
+        // Input route: { deviceId, channel } (output follows the context's sinkId)
+        input = {},
+        // Thresholds for the quality report (see buildCalibrationReport)
+        report = {},
+        // Noise floor from a level check; otherwise it is measured in the pre-roll
+        noiseFloorRms,
+        // AbortSignal: stops playback/recording and rejects with signal.reason
+        signal,
+        // Keep the conditioned capture, reference and correlation curve on the result
+        diagnostics = false,
+        // Where generation, filtering and correlation run (analysis.js); default: this thread
+        analysis = localAnalysis,
+        // Keep the raw capture as result.capture: { mic, ref, offsetSamples }
+        keepCapture = false,
     } = opts;
 
     // 1) Build reference buffer
-    const ref = mode === 'mls'
-        ? makeMLSSequence(sampleRate, mls.order, mls.repeats, mls.amp)
-        : makeLogChirp(sampleRate, chirp.durationMs, chirp.f0, chirp.f1, chirp.amp, chirp.fadeMs);
+    const reference = await analysis.generateReference(mode, sampleRate, opts[mode]);
+    const ref = reference.signal;
 
     // 2) Play & record
-    const { mic, refPlayed } = await playAndRecordCalibration(audioCtx, ref, {
-        sampleRate, preRollMs, postRollMs
+    const { mic, refPlayed, offsetSamples } = await playAndRecordCalibration(audioCtx, ref, {
+        sampleRate, preRollMs, postRollMs, input, signal
     });
 
-    // Optional light high-pass to reduce LF rumble/room noise
-    const micForCorr = filterHpHz ? highPassIIR(mic, sampleRate, filterHpHz) : mic;
-    const refForCorr = filterHpHz ? highPassIIR(refPlayed, sampleRate, filterHpHz) : refPlayed;
-
-    // 3) Estimate lag (mic relative to ref)
-    const res = estimateLagNormalized(micForCorr, refForCorr, sampleRate, { maxLagMs, allowNegative });
-
-    // Debug output
-    console.log(`Calibration debug: mic length=${mic.length}, ref length=${refPlayed.length}`);
-    const micStats = computeStats(mic);
-    const refStats = computeStats(refPlayed);
-    console.log(`Mic signal stats: min=${micStats.min.toFixed(3)}, max=${micStats.max.toFixed(3)}, rms=${micStats.rms.toFixed(3)}`);
-    console.log(`Ref signal stats: min=${refStats.min.toFixed(3)}, max=${refStats.max.toFixed(3)}, rms=${refStats.rms.toFixed(3)}`);
-
-    // Validate calibration quality
-    if (res.score < 0.1) {
-        console.warn(`Low correlation score (${res.score.toFixed(3)}). This may indicate poor signal quality or timing issues.`);
-    }
-    if (res.lagMs > 100) {
-        console.warn(`Unusually high latency detected (${res.lagMs.toFixed(1)}ms). This may indicate system issues.`);
-    }
-
-    return { ...res, micRms: micStats.rms, micClipped: (micStats.min <= -0.98 || micStats.max >= 0.98) };
+    // 3) High-pass, lag estimate, levels and a single-attempt quality report
+    // (calibration-analysis.js). The capture buffers are handed over to the analysis side
+    const result = await analysis.analyzeCalibrationCapture(keepCapture ? mic.slice() : mic, {
+        sampleRate, mode, params: reference.params, ref: refPlayed, offsetSamples,
+        maxLagMs, allowNegative, directPathThreshold, topN, filterHpHz, noiseFloorRms, diagnostics, report,
+    });
+    if (keepCapture) result.capture = { mic, ref: refPlayed, offsetSamples };
+    return result;
 }
 
 /**
  * Robust wrapper: run multiple calibrations and take the median of valid results.
+ * An attempt is valid if its score reaches `minScore` and its direct-path peak
+ * stands out by `minPeakToSidelobe` from every peak that could have been
+ * picked instead (otherwise it is ambiguous); later reflections, even
+ * louder ones, do not count against it.
+ * `result.report` covers every attempt (see calibration-report.js).
+ *
+ * Before the first attempt a level check (level-check.js) measures the noise
+ * floor and picks the amplitude every attempt uses, probing with the same
+ * reference signal; pass `levelCheck: false` to use the given amp instead, or
+ * an object to tune it. `adaptAmp: true` restores the old per-attempt level
+ * stepping.
+ *
+ * The mic is opened once for all attempts (pass `input.stream` to reuse your own).
+ * `onProgress` fires for every level-check step ({phase: 'levelCheck', step,
+ * amplitude, peak, snrDb, clipped}), after each attempt ({phase: 'attempt',
+ * attempt, attempts, result, amplitude, nextAmplitude}) and before a tap-along
+ * fallback ({phase: 'tap'}); aborting `signal` stops
+ * the running stage, releases the mic and rejects with `signal.reason`.
+ *
+ * `captureBundle: true` keeps every attempt's raw capture along with the
+ * options, route and results as `result.bundle`, for offline replay of
+ * failed calibrations (see capture-bundle.js).
+ *
+ * When no attempt is valid (typically headphones: the mic never hears the
+ * signal), `tapFallback(result)` is asked whether to calibrate by tapping
+ * along instead (tap-calibration.js). Resolve to false to keep the failed
+ * result, to true or a calibrateByTapping options object to run it on the
+ * same input; its result (`method: 'tap'`, `precision: 'low'`) is returned
+ * with the failed acoustic one as `acoustic`.
  */
 export async function calibrateLatencyRobust(audioCtx, opts = {}) {
     const {
         attempts = 6,
         minScore = 0.2,
-        // pass-through options for calibrateLatency
-        mode,
+        minPeakToSidelobe = 1.25,
+        // pass-through options for calibrateLatency (plus opts[mode] signal params)
+        mode = 'chirp',
         sampleRate,
-        chirp,
-        mls,
         preRollMs,
         postRollMs,
         maxLagMs,
         allowNegative,
-        // adaptive amplitude behavior
-        adaptAmp = true,
+        directPathThreshold,
+        topN,
+        input = {},
+        report,
+        signal,
+        onProgress,
+        diagnostics,
+        analysis,
+        // level check before the attempts (object = runLevelCheck options)
+        levelCheck = true,
+        // per-attempt amplitude stepping (superseded by the level check)
+        adaptAmp = false,
+        // keep raw captures, options and results as result.bundle (capture-bundle.js)
+        captureBundle = false,
+        // (result) => Promise<boolean|object>: offer tap-along calibration when no attempt is valid
+        tapFallback,
     } = opts;
 
+    const sr = sampleRate || audioCtx.sampleRate || 48000;
     const results = [];
-    const valid = [];
-    let currentAmp = chirp?.amp ?? 0.6;
-
-    for (let i = 0; i < attempts; i++) {
-        const res = await calibrateLatency(audioCtx, { mode, sampleRate, chirp: { ...chirp, amp: currentAmp }, mls, preRollMs, postRollMs, maxLagMs, allowNegative });
-        results.push(res);
-        if (res && typeof res.score === 'number' && res.score >= minScore) {
-            valid.push(res);
+    // Signal params for the chosen mode; without an explicit amp, start no louder than 0.6
+    const params = opts[mode] ?? {};
+    let currentAmp = params.amp ?? Math.min(0.6, getReferenceSignal(mode).defaults?.amp ?? 0.6);
+
+    // One getUserMedia for every attempt
+    signal?.throwIfAborted();
+    const stream = input.stream ?? await openInputStream({ ...input, sampleRate });
+    let level = null;
+    let bundle = null;
+    try {
+        if (captureBundle) bundle = await createCaptureBundle(audioCtx, opts, stream);
+        signal?.throwIfAborted();
+        if (levelCheck) {
+            // probe with this mode's signal, so its amplitude carries over to the attempts
+            level = await runLevelCheck(audioCtx, {
+                sampleRate, maxLagMs, ...(levelCheck === true ? {} : levelCheck),
+                mode, params, input: { ...input, stream }, analysis, signal,
+                onStep: (step) => onProgress?.({ phase: 'levelCheck', ...step }),
+            });
+            currentAmp = level.amplitude;
         }
-        if (adaptAmp) {
-            if (res.micClipped) {
-                currentAmp = Math.max(0.2, currentAmp * 0.6);
-            } else if ((res.micRms ?? 0) < 0.03) {
-                currentAmp = Math.min(0.95, currentAmp * 1.4);
+        for (let i = 0; i < attempts; i++) {
+            const amplitude = currentAmp;
+            const res = await calibrateLatency(audioCtx, { mode, sampleRate, [mode]: { ...params, amp: amplitude }, preRollMs, postRollMs, maxLagMs, allowNegative, directPathThreshold, topN, input: { ...input, stream }, report, signal, diagnostics, analysis, noiseFloorRms: level?.noiseFloorRms, keepCapture: captureBundle });
+            delete res.report; // superseded by the report over all attempts
+            results.push(judgeAttempt(res, { minScore, minPeakToSidelobe }));
+            if (bundle) {
+                addBundleAttempt(bundle, { params: { ...params, amp: amplitude }, capture: res.capture, result: res });
+                delete res.capture;
             }
-        }
-    }
-
-    const pickMedianByLag = (arr) => {
-        const sorted = [...arr].sort((a, b) => a.lagSamples - b.lagSamples);
-        return sorted[Math.floor(sorted.length / 2)];
-    };
-
-    if (valid.length >= 3) {
-        return pickMedianByLag(valid);
-    }
-    if (valid.length > 0) {
-        return pickMedianByLag(valid);
-    }
-    // fallback: return best score among all attempts
-    const best = results.reduce((bestSoFar, cur) => (!bestSoFar || (cur.score ?? -Infinity) > bestSoFar.score ? cur : bestSoFar), null);
-    return best || { lagSamples: 0, lagMs: 0, score: 0 };
-}
-
-// Simple first-order high-pass IIR filter to remove LF energy
-function highPassIIR(x, sr, cutoffHz = 150) {
-    const y = new Float32Array(x.length);
-    const dt = 1 / sr;
-    const RC = 1 / (2 * Math.PI * cutoffHz);
-    const alpha = RC / (RC + dt);
-    let prevY = 0, prevX = 0;
-    for (let i = 0; i < x.length; i++) {
-        const xi = x[i];
-        const yi = alpha * (prevY + xi - prevX);
-        y[i] = yi;
-        prevY = yi;
-        prevX = xi;
-    }
-    return y;
-}
-
-/* ------------------------- Signal generation ------------------------- */
-
-/** Logarithmic chirp with short fade in/out to avoid clicks. */
-export function makeLogChirp(sr, durationMs = 120, f0 = 1500, f1 = 8000, amp = 0.5, fadeMs = 6) {
-    const T = durationMs / 1000;
-    const N = Math.max(8, Math.round(T * sr));
-    const y = new Float32Array(N);
-
-    const w0 = 2 * Math.PI * f0;
-    const w1 = 2 * Math.PI * f1;
-    const L = Math.log(w1 / w0); // ln(ω1/ω0) == ln(f1/f0)
-
-    // Phase(t) = (ω0 * T / L) * (exp((t/T)*L) - 1)
-    for (let n = 0; n < N; n++) {
-        const t = n / sr;
-        const phase = (w0 * T / L) * (Math.exp((t / T) * L) - 1);
-        y[n] = Math.cos(phase) * amp;
-    }
-
-    applyFades(y, sr, fadeMs);
-    return y;
-}
-
-/** Maximal length sequence (MLS) generator (simple LFSR), repeated. */
-export function makeMLSSequence(sr, order = 16, repeats = 4, amp = 0.35) {
-    if (order < 2 || order > 20) throw new Error('MLS order 2..20 supported');
-    const len = (1 << order) - 1;
-
-    // Tap sets for some orders (primitive polynomials).
-    // This list covers common orders; adjust if you use others.
-    // Format: feedback taps (excluding the bit 0 tap which is implicit)
-    const tapsByOrder = {
-        10: [3], 11: [2], 12: [6, 4, 1], 13: [4, 3, 1], 14: [5, 3, 1],
-        15: [14], 16: [15, 13, 4], 17: [14], 18: [11], 19: [6, 5, 1], 20: [17],
-    };
-    const taps = tapsByOrder[order] || [order - 1];
-    let reg = 1; // non-zero init
-    const one = new Float32Array(len);
-    for (let i = 0; i < len; i++) {
-        const bit = reg & 1;
-        one[i] = bit ? 1 : -1; // bipolar
-        let fb = bit;
-        for (const t of taps) fb ^= (reg >> t) & 1;
-        reg = (reg >> 1) | (fb << (order - 1));
-    }
-    // Repeat the MLS block a few times to get a clear peak
-    const y = new Float32Array(len * repeats);
-    for (let r = 0; r < repeats; r++) y.set(one, r * len);
-    // Amplitude
-    for (let i = 0; i < y.length; i++) y[i] *= amp;
-    return y;
-}
-
-/* ------------------------- Playback & recording ------------------------- */
-
-async function playAndRecordCalibration(audioCtx, ref, { sampleRate, preRollMs, postRollMs }) {
-    // Mic - ensure clean signal path for calibration
-    const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: sampleRate,
-            channelCount: 1
-        }
-    });
-    const src = audioCtx.createMediaStreamSource(stream);
-
-    // Recorder: ScriptProcessor is deprecated; use AudioWorklet if you already have one.
-    // For a compact example, use MediaRecorder for raw chunks, then decode to PCM via OfflineAudioContext.
-    // Here's a simple WebAudio capture into a ring buffer using an AudioWorklet if available:
-    await ensureCaptureWorklet(audioCtx);
-    const node = new AudioWorkletNode(audioCtx, 'capture-writer');
-    src.connect(node); // Don't connect to destination to avoid feedback
-
-    // Prepare reference buffer for playback
-    const refBuf = audioCtx.createBuffer(1, ref.length, sampleRate);
-    refBuf.getChannelData(0).set(ref);
-
-    // Pre/post roll total record length
-    const totalMs = preRollMs + (ref.length / sampleRate) * 1000 + postRollMs;
-    const totalSamples = Math.ceil((totalMs / 1000) * sampleRate);
-
-    // Ensure audio context is running
-    if (audioCtx.state === 'suspended') {
-        await audioCtx.resume();
-    }
-
-    // Start recording immediately
-    node.port.postMessage({ type: 'start', samples: totalSamples });
-
-    // Pre-roll delay
-    await sleep(preRollMs);
-
-    // Play reference with precise timing
-    const p = audioCtx.createBufferSource();
-    p.buffer = refBuf;
-    p.connect(audioCtx.destination);
-
-    // Use precise timing to start playback
-    const startTime = audioCtx.currentTime;
-    p.start(startTime);
-
-    // Wait until recording done
-    const mic = await new Promise((resolve) => {
-        node.port.onmessage = (e) => {
-            if (e.data?.type === 'done') resolve(e.data.samples);
-        };
-    });
-
-    // Slice out the exact ref we played (identical copy) for correlation
-    const refPlayed = ref; // already the exact signal used
-
-    // Cleanup
-    node.disconnect();
-    src.disconnect();
-
-    return { mic: Float32Array.from(mic), refPlayed: Float32Array.from(refPlayed) };
-}
-
-// Tiny capture worklet that writes a fixed number of samples
-let captureWorkletRegistered = false;
-
-async function ensureCaptureWorklet(ctx) {
-    if (captureWorkletRegistered) return;
-
-    const code = `
-      class CaptureWriter extends AudioWorkletProcessor {
-        constructor() {
-          super();
-          this.buf = null;
-          this.writeIdx = 0;
-          this.target = 0;
-          this.recording = false;
-          this.port.onmessage = (e) => {
-            if (e.data?.type === 'start') {
-              this.target = e.data.samples|0;
-              this.buf = new Float32Array(this.target);
-              this.writeIdx = 0;
-              this.recording = true;
+            if (adaptAmp) {
+                if (res.micClipped) {
+                    currentAmp = Math.max(0.2, currentAmp * 0.6);
+                } else if ((res.micRms ?? 0) < 0.03) {
+                    currentAmp = Math.min(0.95, currentAmp * 1.4);
+                }
             }
-          };
+            onProgress?.({ phase: 'attempt', attempt: i, attempts, result: res, amplitude, nextAmplitude: currentAmp });
         }
-        process(inputs) {
-          if (!this.recording) return true;
-          const ch0 = inputs[0]?.[0];
-          if (ch0) {
-            const need = Math.min(ch0.length, this.target - this.writeIdx);
-            this.buf.set(ch0.subarray(0, need), this.writeIdx);
-            this.writeIdx += need;
-            if (this.writeIdx >= this.target) {
-              this.recording = false;
-              this.port.postMessage({ type: 'done', samples: this.buf }, [this.buf.buffer]);
-            }
-          }
-          return true;
-        }
-      }
-      registerProcessor('capture-writer', CaptureWriter);
-    `;
-    const blob = new Blob([code], { type: 'application/javascript' });
-    const url = URL.createObjectURL(blob);
-    await ctx.audioWorklet.addModule(url);
-    captureWorkletRegistered = true;
-}
 
-/* ------------------------- Correlation (normalized, one-sided) ------------------------- */
-
-export function estimateLagNormalized(mic, ref, sampleRate, opts = {}) {
-    const { maxLagMs = 120, allowNegative = false } = opts;
-
-    const x = toF32(mic);
-    const y = toF32(ref);
-    zeroMean(x);
-    zeroMean(y);
-
-    if (x.length < 8 || y.length < 8) return { lagSamples: 0, lagMs: 0, score: 0 };
-
-    const maxLag = Math.min(
-        Math.floor((maxLagMs / 1000) * sampleRate),
-        Math.floor(Math.max(x.length, y.length) / 2)
-    );
-
-    let bestLag = 0, bestScore = -Infinity;
-
-    const evalLag = (lag) => {
-        const yStart = Math.max(0, -lag);
-        const yEnd = Math.min(y.length, x.length - lag);
-        if (yEnd - yStart < 16) return -Infinity;
-
-        let dot = 0, xx = 0, yy = 0;
-        for (let i = yStart; i < yEnd; i++) {
-            const a = y[i], b = x[i + lag];
-            dot += a * b; xx += b * b; yy += a * a;
-        }
-        if (xx <= 1e-12 || yy <= 1e-12) return -Infinity;
-        return dot / Math.sqrt(xx * yy);
-    };
-
-    if (allowNegative) {
-        for (let lag = -maxLag; lag <= maxLag; lag++) {
-            const s = evalLag(lag);
-            if (s > bestScore) { bestScore = s; bestLag = lag; }
-        }
-    } else {
-        for (let lag = 0; lag <= maxLag; lag++) {
-            const s = evalLag(lag);
-            if (s > bestScore) { bestScore = s; bestLag = lag; }
-        }
-    }
-    return { lagSamples: bestLag, lagMs: (bestLag / sampleRate) * 1000, score: bestScore };
-}
-
-/* ------------------------- Utilities ------------------------- */
-
-function applyFades(y, sr, fadeMs = 6) {
-    const M = Math.max(1, Math.round((fadeMs / 1000) * sr));
-    for (let i = 0; i < M; i++) {
-        const w = 0.5 - 0.5 * Math.cos(Math.PI * i / M); // Hann half-window
-        y[i] *= w;
-        y[y.length - 1 - i] *= w;
+        // Median of the valid attempts (or the best one), report over all of them
+        const summary = summarizeAttempts(results, { sampleRate: sr, report });
+        const result = { ...summary, report: { ...summary.report, levelCheck: level } };
+        if (bundle) result.bundle = finishCaptureBundle(bundle, result, level);
+        if (result.valid || !tapFallback) return result;
+
+        // Nothing usable: offer the tap-along method, still on this mic stream
+        const tapOpts = await tapFallback(result);
+        if (!tapOpts) return result;
+        onProgress?.({ phase: 'tap' });
+        const tap = await calibrateByTapping(audioCtx, {
+            sampleRate, ...(tapOpts === true ? {} : tapOpts), input: { ...input, stream }, signal,
+        });
+        return { ...tap, acoustic: result };
+    } finally {
+        if (!input.stream) stopStream(stream);
     }
 }
-
-function toF32(a) { return a instanceof Float32Array ? a.slice() : Float32Array.from(a); }
-function zeroMean(a) {
-    let m = 0; for (let i = 0; i < a.length; i++) m += a[i];
-    m /= a.length;
-    for (let i = 0; i < a.length; i++) a[i] -= m;
-    return a;
-}
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-function computeStats(a) {
-    let min = Infinity, max = -Infinity, sumSq = 0;
-    for (let i = 0; i < a.length; i++) {
-        const v = a[i];
-        if (v < min) min = v;
-        if (v > max) max = v;
-        sumSq += v * v;
-    }
-    const rms = a.length ? Math.sqrt(sumSq / a.length) : 0;
-    return { min, max, rms };
-}
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * The pure half of a latency calibration: everything after the capture.
+ * - analyzeCalibrationCapture: high-pass, the reference signal's estimator,
+ *   capture levels and a single-attempt report for one recording
+ * - judgeAttempt / summarizeAttempts: the robustness rules of
+ *   calibrateLatencyRobust (valid vs ambiguous attempts, median lag, report)
+ * Nothing here touches Web Audio, so the same code runs in the browser flow,
+ * in the analysis worker and under Node (scripts/analyze-calibration.js).
+ *
+ * Usage:
+ *   const res = analyzeCalibrationCapture(mic, { mode: 'chirp', sampleRate: 48000, params: { durationMs: 500 } });
+ *   const summary = summarizeAttempts(files.map((mic) => judgeAttempt(analyzeCalibrationCapture(mic, opts))));
+ */
+
+import { highPassIIR } from './capture.js';
+import { createReferenceSignal } from './reference-signals.js';
+import { buildCalibrationReport, measureCaptureLevels } from './calibration-report.js';
+
+/**
+ * Estimate the latency in one recording of a reference signal.
+ * @param {Float32Array} mic             The recording (one channel)
+ * @param {object} opts
+ * @param {number} opts.sampleRate
+ * @param {string} [opts.mode='chirp']   Registered reference signal (reference-signals.js)
+ * @param {object} [opts.params]         Its params; omitted fields take the plugin's defaults
+ * @param {Float32Array} [opts.ref]      What was actually played (default: the generated signal)
+ * @param {number} [opts.offsetSamples=0]  Index in `mic` where playback started
+ * @param {number} [opts.maxLagMs=120]
+ * @param {boolean} [opts.allowNegative=false]
+ * @param {number} [opts.directPathThreshold=0.6]
+ * @param {number} [opts.topN=5]
+ * @param {number} [opts.filterHpHz=150]  0 = no high-pass
+ * @param {number} [opts.noiseFloorRms]   From a level check; otherwise measured in [0, offsetSamples)
+ * @param {boolean} [opts.diagnostics=false]  Keep the conditioned signals and the correlation curve
+ * @param {object} [opts.report]         Thresholds for buildCalibrationReport()
+ * @returns {object} The estimator's result plus levels (measureCaptureLevels), `amplitude`,
+ *   `report`, and with `diagnostics` also `curve` and `diagnostics: {mic, ref, offsetSamples, sampleRate}`
+ */
+export function analyzeCalibrationCapture(mic, opts) {
+    const {
+        sampleRate,
+        mode = 'chirp',
+        params,
+        offsetSamples = 0,
+        maxLagMs = 120,
+        allowNegative = false,
+        directPathThreshold = 0.6,
+        topN = 5,
+        filterHpHz = 150,
+        noiseFloorRms,
+        diagnostics = false,
+        report = {},
+    } = opts;
+
+    const reference = createReferenceSignal(mode, sampleRate, params);
+    const ref = opts.ref ?? reference.signal;
+
+    // Optional light high-pass to reduce LF rumble/room noise
+    const micForCorr = filterHpHz ? highPassIIR(mic, sampleRate, filterHpHz) : mic;
+    const refForCorr = filterHpHz ? highPassIIR(ref, sampleRate, filterHpHz) : ref;
+
+    // Lag of mic relative to ref, net of the capture→playback offset; a
+    // plugin's own templates get the same high-pass as the mic
+    const res = reference.estimate(micForCorr, {
+        ref: refForCorr, sampleRate, maxLagMs, allowNegative, offsetSamples, directPathThreshold, topN,
+        includeCurve: diagnostics,
+        condition: (x) => (filterHpHz ? highPassIIR(x, sampleRate, filterHpHz) : x),
+    });
+
+    const levels = measureCaptureLevels(mic, micForCorr, {
+        offsetSamples, lagSamples: res.lagSamplesFrac, refLength: ref.length, windows: reference.levelWindows, noiseFloorRms
+    });
+    const result = { ...res, ...levels, amplitude: reference.params.amp };
+    if (diagnostics) result.diagnostics = { mic: micForCorr, ref: refForCorr, offsetSamples, sampleRate };
+    result.report = buildCalibrationReport([result], { sampleRate, ...report });
+    return result;
+}
+
+/**
+ * Mark an attempt valid or not (in place): it needs `minScore`, and its
+ * direct-path peak must stand out by `minPeakToSidelobe` from every peak
+ * that could have been picked instead (otherwise it is ambiguous, e.g. an
+ * earlier peak just short of `directPathThreshold`). Later reflections,
+ * even louder ones, do not count against it.
+ * @returns {object} `res`, with `valid` and `ambiguous` set
+ */
+export function judgeAttempt(res, { minScore = 0.2, minPeakToSidelobe = 1.25 } = {}) {
+    res.ambiguous = res.peakToSidelobe < minPeakToSidelobe;
+    res.valid = typeof res.score === 'number' && res.score >= minScore && !res.ambiguous;
+    return res;
+}
+
+/**
+ * Combine judged attempts: the median of the valid ones (by fractional lag),
+ * or the best-scoring attempt if none is valid, plus the report over all.
+ * @param {object[]} results  judgeAttempt()-ed results
+ * @param {object} [opts]
+ * @param {number} [opts.sampleRate=48000]
+ * @param {object} [opts.report]  Thresholds for buildCalibrationReport()
+ * @returns {object}
+ */
+export function summarizeAttempts(results, { sampleRate = 48000, report = {} } = {}) {
+    const valid = results.filter((r) => r.valid);
+    const summary = buildCalibrationReport(results, { sampleRate, ...report });
+
+    // Median by fractional lag; for an even count the precise lag is the
+    // midpoint of the two middle attempts so it doesn't snap to either one.
+    if (valid.length > 0) {
+        const sorted = [...valid].sort((a, b) => a.lagSamplesFrac - b.lagSamplesFrac);
+        const n = sorted.length;
+        const mid = sorted[Math.floor(n / 2)];
+        const lagSamplesFrac = n % 2 ? mid.lagSamplesFrac : 0.5 * (sorted[n / 2 - 1].lagSamplesFrac + mid.lagSamplesFrac);
+        return { ...mid, lagSamplesFrac, lagMsPrecise: (lagSamplesFrac / sampleRate) * 1000, report: summary };
+    }
+    // fallback: return best score among all attempts
+    const best = results.reduce((bestSoFar, cur) => (!bestSoFar || (cur.score ?? -Infinity) > bestSoFar.score ? cur : bestSoFar), null);
+    return { ...(best || { lagSamples: 0, lagMs: 0, score: 0, lagSamplesFrac: 0, lagMsPrecise: 0, peaks: [], peakToSidelobe: 0 }), report: summary };
+}
@@ -0,0 +1,252 @@
+/**
+ * Calibration quality report.
+ * Turns the per-attempt measurements of calibrateLatency() into one object the
+ * UI can act on: levels, noise floor, SNR, spread across attempts, and a
+ * pass/fail verdict whose reasons carry stable codes plus user guidance.
+ *
+ * Usage:
+ *   const result = await calibrateLatencyRobust(ctx);   // report.levelCheck holds the level-check outcome
+ *   const { verdict } = result.report;
+ *   if (!verdict.pass) showHelp(verdict.reasons.map((r) => r.message));
+ *   const tap = await calibrateByTapping(ctx);          // tap-along fallback: buildTapReport()
+ */
+
+/** Machine-readable reason codes used in `report.verdict.reasons`. */
+export const REASONS = {
+    NO_VALID_ATTEMPTS: 'NO_VALID_ATTEMPTS',
+    FEW_VALID_ATTEMPTS: 'FEW_VALID_ATTEMPTS',
+    LOW_SCORE: 'LOW_SCORE',
+    AMBIGUOUS_PEAK: 'AMBIGUOUS_PEAK',
+    LOW_LEVEL: 'LOW_LEVEL',
+    CLIPPING: 'CLIPPING',
+    HIGH_NOISE: 'HIGH_NOISE',
+    LOW_SNR: 'LOW_SNR',
+    HIGH_SPREAD: 'HIGH_SPREAD',
+    HIGH_LATENCY: 'HIGH_LATENCY',
+    // tap-along calibration (tap-calibration.js)
+    LOW_PRECISION: 'LOW_PRECISION',
+    FEW_TAPS: 'FEW_TAPS',
+    HIGH_TAP_SPREAD: 'HIGH_TAP_SPREAD',
+    INPUT_LATENCY_UNKNOWN: 'INPUT_LATENCY_UNKNOWN',
+};
+
+const GUIDANCE = {
+    NO_VALID_ATTEMPTS: 'The calibration sound was not detected. Check that the speakers are on and the right input is selected.',
+    FEW_VALID_ATTEMPTS: 'Only some attempts were usable. Keep the room quiet and run the calibration again.',
+    LOW_SCORE: 'The recorded sound barely matches the calibration signal. Move the microphone closer to the speakers.',
+    AMBIGUOUS_PEAK: 'Strong echoes make the timing ambiguous. Point the microphone at the speaker or move away from walls.',
+    LOW_LEVEL: 'The calibration sound is very quiet. Turn up the speaker volume or the input gain.',
+    CLIPPING: 'The input is clipping. Turn down the speaker volume or the input gain.',
+    HIGH_NOISE: 'There is too much background noise. Quiet the room or turn off fans and other sound sources.',
+    LOW_SNR: 'The calibration sound is not much louder than the background. Turn up the speaker volume or reduce noise.',
+    HIGH_SPREAD: 'The attempts disagree with each other. Avoid moving the microphone and run the calibration again.',
+    HIGH_LATENCY: 'The measured latency is unusually high. Try a smaller audio buffer size or a different audio driver.',
+    LOW_PRECISION: 'Measured by tapping along, which is accurate to a few milliseconds at best. Use the acoustic calibration whenever the microphone can hear the speakers.',
+    FEW_TAPS: 'Too few taps lined up with the clicks. Tap (or clap) on every click, steadily, and try again.',
+    HIGH_TAP_SPREAD: 'The taps were uneven. Take a moment to lock in with the clicks, then tap along again.',
+    INPUT_LATENCY_UNKNOWN: 'The browser does not report the input latency, so it is missing from this estimate. Clapping into the microphone measures it.',
+};
+
+/**
+ * Level measurements for one capture.
+ * @param {Float32Array} mic        Raw capture (for peak/clipping)
+ * @param {Float32Array} micFiltered  Capture as used for correlation (for noise/SNR)
+ * @param {object} where
+ * @param {number} where.offsetSamples  Index in `mic` where playback started; [0, offset) is pre-roll
+ * @param {number} where.lagSamples     Measured latency
+ * @param {number} where.refLength      Length of the reference signal
+ * @param {Array<[number, number]>} [where.windows=[[0, refLength]]]  Where the reference sounds, as
+ *   [start, end) ranges from its start (createReferenceSignal().levelWindows); the signal level is measured there
+ * @param {number} [where.noiseFloorRms]  Noise floor measured beforehand (level check); replaces the pre-roll estimate
+ * @param {number} [clipLevel=0.98]
+ */
+export function measureCaptureLevels(mic, micFiltered, { offsetSamples, lagSamples, refLength, windows = [[0, refLength]], noiseFloorRms }, clipLevel = 0.98) {
+    let peak = 0;
+    for (let i = 0; i < mic.length; i++) {
+        const a = Math.abs(mic[i]);
+        if (a > peak) peak = a;
+    }
+
+    // Skip the first few ms of pre-roll: filter start-up transient
+    const settle = Math.min(offsetSamples >> 2, 64);
+    const noiseRms = noiseFloorRms ?? rms(micFiltered, settle, offsetSamples);
+    const start = offsetSamples + Math.max(0, Math.round(lagSamples));
+    let sum = 0, count = 0;
+    for (const [from, to] of windows) {
+        const a = Math.max(0, start + from), b = Math.min(micFiltered.length, start + to);
+        for (let i = a; i < b; i++) sum += micFiltered[i] * micFiltered[i];
+        count += Math.max(0, b - a);
+    }
+    const signalRms = count ? Math.sqrt(sum / count) : 0;
+
+    // Remove the noise contribution from the signal window before the ratio
+    const signalPower = Math.max(signalRms * signalRms - noiseRms * noiseRms, 0);
+    const snrDb = noiseRms > 0 ? 10 * Math.log10(Math.max(signalPower, 1e-20) / (noiseRms * noiseRms)) : Infinity;
+
+    return {
+        micRms: rms(mic, 0, mic.length),
+        micPeak: peak,
+        micClipped: peak >= clipLevel,
+        noiseFloorRms: noiseRms,
+        noiseFloorDb: toDb(noiseRms),
+        signalRms,
+        signalDb: toDb(signalRms),
+        snrDb,
+    };
+}
+
+/**
+ * Build the report for a set of calibrateLatency() attempts.
+ * @param {object[]} attempts  calibrateLatency() results; `valid: false` / `ambiguous: true`
+ *                             mark attempts the caller rejected
+ * @param {object} [opts]
+ * @param {number} [opts.sampleRate=48000]
+ * @param {number} [opts.minValid=3]            Fewer valid attempts is a warning
+ * @param {number} [opts.minSnrDb=10]         Broadband SNR in the arrival window (before correlation gain)
+ * @param {number} [opts.maxNoiseFloorDb=-50]
+ * @param {number} [opts.minSignalDb=-40]
+ * @param {number} [opts.maxSpreadMs=0.25]      Largest acceptable MAD of the lag
+ * @param {number} [opts.maxLatencyMs=100]
+ * @returns {{attempts:object[], validCount:number, noiseFloorDb:number, signalDb:number, snrDb:number,
+ *   spread:{medianSamples:number, madSamples:number, madMs:number, ci95Samples:[number, number]|null, ci95Ms:[number, number]|null},
+ *   verdict:{pass:boolean, reasons:Array<{code:string, severity:'error'|'warning', message:string}>}}}
+ */
+export function buildCalibrationReport(attempts, opts = {}) {
+    const {
+        sampleRate = 48000,
+        minValid = 3,
+        minSnrDb = 10,
+        maxNoiseFloorDb = -50,
+        minSignalDb = -40,
+        maxSpreadMs = 0.25,
+        maxLatencyMs = 100,
+    } = opts;
+
+    const rows = attempts.map((a, index) => ({
+        index,
+        amplitude: a.amplitude,
+        lagSamples: a.lagSamplesFrac,
+        lagMs: a.lagMsPrecise,
+        score: a.score,
+        peakToSidelobe: a.peakToSidelobe,
+        rms: a.micRms,
+        peak: a.micPeak,
+        clipped: a.micClipped,
+        noiseFloorDb: a.noiseFloorDb,
+        signalDb: a.signalDb,
+        snrDb: a.snrDb,
+        ambiguous: a.ambiguous === true,
+        valid: a.valid !== false,
+    }));
+    const valid = rows.filter((r) => r.valid);
+    const basis = valid.length ? valid : rows;
+
+    // Spread: median absolute deviation, and a normal-approximation 95% CI of
+    // the median (σ ≈ 1.4826·MAD, SE(median) ≈ 1.2533·σ/√n)
+    const lags = basis.map((r) => r.lagSamples);
+    const medianSamples = median(lags);
+    const madSamples = median(lags.map((l) => Math.abs(l - medianSamples)));
+    const half = lags.length > 1 ? 1.96 * 1.2533 * 1.4826 * madSamples / Math.sqrt(lags.length) : null;
+    const ci95Samples = half === null ? null : [medianSamples - half, medianSamples + half];
+    const toMs = (s) => (s / sampleRate) * 1000;
+    const spread = {
+        medianSamples,
+        madSamples,
+        madMs: toMs(madSamples),
+        ci95Samples,
+        ci95Ms: ci95Samples && ci95Samples.map(toMs),
+    };
+
+    const noiseFloorDb = median(basis.map((r) => r.noiseFloorDb));
+    const snrDb = median(basis.map((r) => r.snrDb));
+    const signalDb = median(basis.map((r) => r.signalDb));
+
+    const reasons = [];
+    const add = (code, severity) => reasons.push({ code, severity, message: GUIDANCE[code] });
+
+    if (rows.length && !valid.length) {
+        add(REASONS.NO_VALID_ATTEMPTS, 'error');
+        if (rows.some((r) => !r.ambiguous)) add(REASONS.LOW_SCORE, 'error');
+        if (rows.some((r) => r.ambiguous)) add(REASONS.AMBIGUOUS_PEAK, 'error');
+    } else if (valid.length < Math.min(minValid, rows.length)) {
+        add(REASONS.FEW_VALID_ATTEMPTS, 'warning');
+    }
+    if (rows.length && rows.every((r) => r.clipped)) add(REASONS.CLIPPING, 'error');
+    else if (valid.some((r) => r.clipped)) add(REASONS.CLIPPING, 'warning');
+    if (signalDb < minSignalDb) add(REASONS.LOW_LEVEL, 'error');
+    if (noiseFloorDb > maxNoiseFloorDb) add(REASONS.HIGH_NOISE, 'warning');
+    if (snrDb < minSnrDb) add(REASONS.LOW_SNR, 'error');
+    if (valid.length > 1 && spread.madMs > maxSpreadMs) add(REASONS.HIGH_SPREAD, 'error');
+    if (toMs(medianSamples) > maxLatencyMs) add(REASONS.HIGH_LATENCY, 'warning');
+
+    return {
+        attempts: rows,
+        validCount: valid.length,
+        noiseFloorDb,
+        signalDb,
+        snrDb,
+        spread,
+        verdict: { pass: rows.length > 0 && !reasons.some((r) => r.severity === 'error'), reasons },
+    };
+}
+
+/**
+ * Build the report for a tap-along calibration (estimateTapOffset() statistics).
+ * Same `spread`/`verdict` shape as buildCalibrationReport(); it always carries
+ * the LOW_PRECISION warning.
+ * @param {object} stats  estimateTapOffset() result
+ * @param {object} [opts]
+ * @param {number} [opts.sampleRate=48000]
+ * @param {number} [opts.minTaps=8]
+ * @param {number} [opts.maxSpreadMs=15]     Largest acceptable MAD of the tap offsets
+ * @param {boolean} [opts.inputLatencyKnown=true]  false: the estimate lacks the input side
+ * @returns {{method:'tap', precision:'low', taps:{expected:number, matched:number, used:number, rejected:number},
+ *   validCount:number, spread:object, verdict:{pass:boolean, reasons:object[]}}}
+ */
+export function buildTapReport(stats, opts = {}) {
+    const { sampleRate = 48000, minTaps = 8, maxSpreadMs = 15, inputLatencyKnown = true } = opts;
+    const toSamples = (ms) => (ms / 1000) * sampleRate;
+
+    const reasons = [];
+    const add = (code, severity) => reasons.push({ code, severity, message: GUIDANCE[code] });
+    add(REASONS.LOW_PRECISION, 'warning');
+    if (stats.used < minTaps) add(REASONS.FEW_TAPS, 'error');
+    else if (stats.madMs > maxSpreadMs) add(REASONS.HIGH_TAP_SPREAD, 'warning');
+    if (!inputLatencyKnown) add(REASONS.INPUT_LATENCY_UNKNOWN, 'warning');
+
+    return {
+        method: 'tap',
+        precision: 'low',
+        taps: { expected: stats.expected, matched: stats.matched, used: stats.used, rejected: stats.rejected },
+        validCount: stats.used,
+        spread: {
+            medianSamples: toSamples(stats.offsetMs),
+            madSamples: toSamples(stats.madMs),
+            madMs: stats.madMs,
+            ci95Samples: stats.ci95Ms && stats.ci95Ms.map(toSamples),
+            ci95Ms: stats.ci95Ms,
+        },
+        verdict: { pass: !reasons.some((r) => r.severity === 'error'), reasons },
+    };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function rms(x, from, to) {
+    const a = Math.max(0, from), b = Math.min(x.length, to);
+    if (b <= a) return 0;
+    let sum = 0;
+    for (let i = a; i < b; i++) sum += x[i] * x[i];
+    return Math.sqrt(sum / (b - a));
+}
+
+function toDb(v) {
+    return v > 0 ? 20 * Math.log10(v) : -Infinity;
+}
+
+function median(values) {
+    if (!values.length) return NaN;
+    const s = [...values].sort((a, b) => a - b);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : 0.5 * (s[m - 1] + s[m]);
+}
@@ -0,0 +1,267 @@
+/**
+ * Diagnostic capture bundles: everything needed to re-run a calibration's
+ * analysis away from the machine it was recorded on.
+ * - calibrateLatencyRobust({ captureBundle: true }) keeps every attempt's raw
+ *   mic capture and played reference, the options it was called with, the
+ *   context's sample rate and base/output latency, the device labels, the
+ *   level check and the results, and returns them as `result.bundle`
+ * - encodeCaptureBundle() packs a bundle into one self-describing file: a JSON
+ *   header (format name, version, every field) followed by the sample data
+ *   the header points into; decodeCaptureBundle() reads it back
+ * - replayCaptureBundle() runs the attempts through the current analysis code
+ *   (calibration-analysis.js) and compares the outcome with the recorded one,
+ *   so estimator changes can be checked against real field failures
+ *
+ * File layout (little endian):
+ *   'CALB' | u32 version | u32 header bytes | header JSON (UTF-8) | pad to 8 | sample data
+ * Typed arrays in the header are { $array: 'Float32Array', offset, length },
+ * offset in bytes from the start of the sample data.
+ *
+ * Usage:
+ *   const res = await calibrateLatencyRobust(ctx, { captureBundle: true });
+ *   download(new Blob([encodeCaptureBundle(res.bundle)]), 'calibration.calbundle');
+ *   const { result, attempts } = await replayCaptureBundle(decodeCaptureBundle(await file.arrayBuffer()));
+ *   attempts.filter((a) => a.changed).forEach((a) => console.log(a.index, a.lagDeltaSamples));
+ */
+
+import { describeRoute } from './latency-profiles.js';
+import { listAudioDevices } from './devices.js';
+import { judgeAttempt, summarizeAttempts } from './calibration-analysis.js';
+import { localAnalysis } from './analysis.js';
+
+export const CAPTURE_BUNDLE_FORMAT = 'calibration-capture-bundle';
+export const CAPTURE_BUNDLE_VERSION = 1;
+
+const MAGIC = 'CALB';
+const ARRAY_TYPES = { Float32Array, Float64Array, Int16Array, Int32Array, Uint8Array };
+
+/**
+ * Start a bundle for one calibrateLatencyRobust() run.
+ * @param {AudioContext} audioCtx
+ * @param {object} options           The calibrateLatencyRobust options; callbacks, the
+ *   AbortSignal, the analysis service and the stream are left out
+ * @param {MediaStream} [stream]     The mic stream the attempts record from
+ * @returns {Promise<object>}
+ */
+export async function createCaptureBundle(audioCtx, options, stream) {
+    const { signal, onProgress, analysis, ...rest } = options;
+    const inputChannel = options.input?.channel ?? null;
+    const route = describeRoute(audioCtx, stream, { inputChannel });
+    const track = stream?.getAudioTracks?.()[0];
+
+    // Labels are empty without mic permission, and absent outside a browser
+    let outputLabel = '';
+    try {
+        const { outputs } = await listAudioDevices();
+        outputLabel = outputs.find((d) => d.deviceId === route.outputDeviceId || (route.outputDeviceId === 'default' && d.deviceId === ''))?.label ?? '';
+    } catch {
+        // no enumerateDevices
+    }
+
+    return {
+        format: CAPTURE_BUNDLE_FORMAT,
+        version: CAPTURE_BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        userAgent: globalThis.navigator?.userAgent ?? '',
+        sampleRate: audioCtx.sampleRate,
+        baseLatency: audioCtx.baseLatency ?? 0,
+        outputLatency: audioCtx.outputLatency ?? 0,
+        route,
+        devices: {
+            input: { deviceId: route.inputDeviceId, label: track?.label ?? '', channel: inputChannel },
+            output: { deviceId: route.outputDeviceId, label: outputLabel },
+        },
+        options: plainValue(rest),
+        levelCheck: null,
+        attempts: [],
+        result: null,
+    };
+}
+
+/**
+ * Add one attempt: its raw capture and what the analysis made of it.
+ * @param {object} bundle
+ * @param {{params:object, capture:{mic:Float32Array, ref:Float32Array, offsetSamples:number}, result:object}} attempt
+ *   `params` are the reference signal params the attempt played (amp included)
+ */
+export function addBundleAttempt(bundle, { params, capture, result }) {
+    bundle.attempts.push({
+        params: plainValue(params),
+        offsetSamples: capture.offsetSamples,
+        mic: capture.mic,
+        ref: capture.ref,
+        result: plainResult(result),
+    });
+}
+
+/**
+ * Record the outcome over all attempts.
+ * @param {object} bundle
+ * @param {object} result       calibrateLatencyRobust's result
+ * @param {object|null} levelCheck
+ * @returns {object} bundle
+ */
+export function finishCaptureBundle(bundle, result, levelCheck) {
+    bundle.levelCheck = levelCheck ? plainValue(levelCheck) : null;
+    bundle.result = plainResult(result);
+    return bundle;
+}
+
+/**
+ * Pack a bundle into its file form.
+ * @param {object} bundle
+ * @returns {ArrayBuffer}
+ */
+export function encodeCaptureBundle(bundle) {
+    const arrays = [];
+    let dataBytes = 0;
+    const header = JSON.stringify(bundle, (key, value) => {
+        if (!ArrayBuffer.isView(value)) return value;
+        const type = value.constructor.name;
+        if (!ARRAY_TYPES[type]) throw new Error(`Cannot store ${type} in a capture bundle`);
+        const entry = { $array: type, offset: dataBytes, length: value.length };
+        arrays.push(value);
+        dataBytes += align8(value.byteLength);
+        return entry;
+    });
+    const headerBytes = new TextEncoder().encode(header);
+    const dataStart = align8(12 + headerBytes.byteLength);
+
+    const out = new Uint8Array(dataStart + dataBytes);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+    view.setUint32(4, CAPTURE_BUNDLE_VERSION, true);
+    view.setUint32(8, headerBytes.byteLength, true);
+    out.set(headerBytes, 12);
+    let off = dataStart;
+    for (const a of arrays) {
+        out.set(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), off);
+        off += align8(a.byteLength);
+    }
+    return out.buffer;
+}
+
+/**
+ * Read a bundle file. The sample arrays are copies, independent of `data`.
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {object}
+ */
+export function decodeCaptureBundle(data) {
+    const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.byteLength < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+        throw new Error('Not a calibration capture bundle');
+    }
+    const version = view.getUint32(4, true);
+    if (version > CAPTURE_BUNDLE_VERSION) {
+        throw new Error(`Capture bundle version ${version} is newer than this build reads (${CAPTURE_BUNDLE_VERSION})`);
+    }
+    const headerLength = view.getUint32(8, true);
+    const dataStart = align8(12 + headerLength);
+    const header = new TextDecoder().decode(bytes.subarray(12, 12 + headerLength));
+
+    return JSON.parse(header, (key, value) => {
+        if (!value || typeof value !== 'object' || typeof value.$array !== 'string') return value;
+        const Type = ARRAY_TYPES[value.$array];
+        if (!Type) throw new Error(`Unknown array type in capture bundle: ${value.$array}`);
+        const start = dataStart + value.offset;
+        const end = start + value.length * Type.BYTES_PER_ELEMENT;
+        if (end > bytes.byteLength) throw new Error('Capture bundle is truncated');
+        return new Type(bytes.slice(start, end).buffer);
+    });
+}
+
+/**
+ * Re-run a bundle's analysis with the current code, attempt by attempt.
+ * Analysis options default to the ones recorded in the bundle; pass any of
+ * calibrateLatencyRobust's analysis options to override them (e.g. a
+ * different directPathThreshold), `diagnostics: true` for plottable results.
+ * @param {object} bundle
+ * @param {object} [opts]
+ * @param {object} [opts.analysis=localAnalysis]  Where to run it (analysis.js)
+ * @param {number} [opts.filterHpHz=150]
+ * @returns {Promise<{result:object, attempts:Array<{index:number, result:object, original:object|null,
+ *   lagDeltaSamples:number|null, changed:boolean}>, original:object|null}>}
+ *   `changed`: the lag moved by more than a tenth of a sample or the attempt's validity flipped
+ */
+export async function replayCaptureBundle(bundle, opts = {}) {
+    const { analysis = localAnalysis, ...overrides } = opts;
+    const o = { ...bundle.options, ...overrides };
+    const {
+        mode = 'chirp',
+        minScore = 0.2,
+        minPeakToSidelobe = 1.25,
+        maxLagMs,
+        allowNegative,
+        directPathThreshold,
+        topN,
+        filterHpHz,
+        report,
+        diagnostics = false,
+    } = o;
+    const sampleRate = bundle.sampleRate;
+
+    const attempts = [];
+    for (const [index, attempt] of bundle.attempts.entries()) {
+        // The analysis side may take ownership of what it is given
+        const res = await analysis.analyzeCalibrationCapture(attempt.mic.slice(), {
+            sampleRate, mode, params: attempt.params, ref: attempt.ref.slice(), offsetSamples: attempt.offsetSamples,
+            maxLagMs, allowNegative, directPathThreshold, topN, filterHpHz, report, diagnostics,
+            noiseFloorRms: bundle.levelCheck?.noiseFloorRms,
+        });
+        delete res.report;
+        judgeAttempt(res, { minScore, minPeakToSidelobe });
+        const original = attempt.result ?? null;
+        const lagDeltaSamples = original ? res.lagSamplesFrac - original.lagSamplesFrac : null;
+        attempts.push({
+            index,
+            result: res,
+            original,
+            lagDeltaSamples,
+            changed: !original || Math.abs(lagDeltaSamples) > 0.1 || res.valid !== original.valid,
+        });
+    }
+
+    const summary = summarizeAttempts(attempts.map((a) => a.result), { sampleRate, report });
+    return {
+        result: { ...summary, report: { ...summary.report, levelCheck: bundle.levelCheck } },
+        attempts,
+        original: bundle.result,
+    };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function align8(n) {
+    return (n + 7) & ~7;
+}
+
+// JSON-safe copy: drops functions, AbortSignals, streams, services and other
+// live objects; keeps plain data and typed arrays (e.g. a custom reference)
+function plainValue(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+    }
+    if (ArrayBuffer.isView(value)) return value;
+    if (depth > 6) return undefined;
+    if (Array.isArray(value)) return value.map((v) => plainValue(v, depth + 1) ?? null);
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return undefined;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+        const p = plainValue(v, depth + 1);
+        if (p !== undefined) out[k] = p;
+    }
+    return out;
+}
+
+// An analysis result without its bulky arrays (conditioned signals, curves,
+// impulse responses): the raw capture is stored once, next to it
+function plainResult(result) {
+    const { diagnostics, curve, capture, bundle, ...rest } = result;
+    const out = plainValue(rest);
+    for (const [k, v] of Object.entries(out)) if (ArrayBuffer.isView(v)) delete out[k];
+    return out;
+}
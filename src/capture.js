@@ -0,0 +1,215 @@
+/**
+ * Play-and-record primitive shared by every calibration stage (latency,
+ * level check, drift, impulse response).
+ * - Opens the selected input, records through a small AudioWorklet and plays
+ *   the reference on one context-frame timeline
+ * - Reports where playback started within the recording (`offsetSamples`)
+ * - Honours an AbortSignal and always releases what it set up
+ */
+
+import { openInput } from './devices.js';
+
+export async function playAndRecordCalibration(audioCtx, ref, { sampleRate, preRollMs, postRollMs, input = {}, signal }) {
+    // Mic - ensure clean signal path for calibration (selected device/channel)
+    signal?.throwIfAborted();
+    const mic = await openInput(audioCtx, { ...input, sampleRate });
+    const src = mic.node;
+    let node = null;
+    let p = null;
+
+    try {
+        // Recorder: ScriptProcessor is deprecated; use AudioWorklet if you already have one.
+        // For a compact example, use MediaRecorder for raw chunks, then decode to PCM via OfflineAudioContext.
+        // Here's a simple WebAudio capture into a ring buffer using an AudioWorklet if available:
+        await ensureCaptureWorklet(audioCtx);
+        signal?.throwIfAborted();
+        // 'max': every channel of an "all channels" route reaches the worklet,
+        // which averages them (the browser's own downmix drops channels 2+ of
+        // most interface layouts)
+        node = new AudioWorkletNode(audioCtx, 'capture-writer', { channelCountMode: 'max' });
+        src.connect(node); // Don't connect to destination to avoid feedback
+
+        // Prepare reference buffer for playback
+        const refBuf = audioCtx.createBuffer(1, ref.length, sampleRate);
+        refBuf.getChannelData(0).set(ref);
+
+        // Pre/post roll total record length
+        const preRollSamples = Math.round((preRollMs / 1000) * sampleRate);
+        const totalSamples = preRollSamples + ref.length + Math.ceil((postRollMs / 1000) * sampleRate);
+
+        // Ensure audio context is running
+        if (audioCtx.state === 'suspended') {
+            await audioCtx.resume();
+        }
+
+        // Put capture and playback on one timeline (context frames). Capture is
+        // asked to begin at an absolute frame a little in the future; playback is
+        // scheduled preRoll after that. The worklet reports the frame it actually
+        // started on, so a late start is measured rather than guessed.
+        // A start time already in the past would play immediately, off the
+        // timeline: if the main thread stalled that long, capture is re-armed.
+        const leadSamples = Math.ceil(SCHEDULE_LEAD_S * sampleRate);
+        let done, playFrame, playbackStartTime;
+        for (let tries = 0; ; tries++) {
+            const captureFrame = Math.ceil(audioCtx.currentTime * sampleRate) + leadSamples;
+            playFrame = captureFrame + preRollSamples;
+            playbackStartTime = playFrame / sampleRate;
+
+            // a new 'start' replaces a recording that was armed but not used
+            done = new Promise((resolve) => {
+                node.port.onmessage = (e) => {
+                    if (e.data?.type === 'done') resolve(e.data);
+                };
+            });
+            node.port.postMessage({ type: 'start', samples: totalSamples, atFrame: captureFrame });
+            if (playbackStartTime >= audioCtx.currentTime + LATE_MARGIN_S) break;
+            if (tries + 1 >= MAX_SCHEDULE_TRIES) {
+                throw new Error('Calibration playback could not be scheduled in time (main thread too busy)');
+            }
+        }
+
+        // Play reference at an absolute context time
+        p = audioCtx.createBufferSource();
+        p.buffer = refBuf;
+        p.connect(audioCtx.destination);
+        p.start(playbackStartTime);
+
+        // Wait until recording done (or aborted)
+        const { samples, startFrame } = await abortable(done, signal);
+
+        // Index in `mic` at which the reference started playing. Capture that
+        // started after playback (the worklet got the message too late) has no
+        // valid offset
+        const offsetSamples = playFrame - startFrame;
+        if (offsetSamples < 0) throw new Error('Calibration capture started after playback; try again');
+
+        // Slice out the exact ref we played (identical copy) for correlation
+        const refPlayed = ref; // already the exact signal used
+
+        return {
+            mic: Float32Array.from(samples),
+            refPlayed: Float32Array.from(refPlayed),
+            offsetSamples,
+            captureStartFrame: startFrame,
+            playbackStartTime,
+        };
+    } finally {
+        // Cleanup, also on abort: silence playback, detach the graph, release the mic
+        if (p) {
+            p.stop();
+            p.disconnect();
+        }
+        if (node) {
+            node.port.postMessage({ type: 'close' });
+            node.disconnect();
+        }
+        mic.dispose();
+    }
+}
+
+// Settle with `promise`, or reject with the signal's reason as soon as it aborts
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// How far ahead of "now" capture is scheduled to begin
+const SCHEDULE_LEAD_S = 0.05;
+// Playback closer to "now" than this may already be past on the audio thread
+const LATE_MARGIN_S = 0.02;
+const MAX_SCHEDULE_TRIES = 3;
+
+// Tiny capture worklet that writes a fixed number of samples
+// (modules are registered per AudioContext, so track contexts rather than a flag)
+const captureWorkletContexts = new WeakSet();
+
+async function ensureCaptureWorklet(ctx) {
+    if (captureWorkletContexts.has(ctx)) return;
+
+    const code = `
+      // one channel as is, several averaged into a reused buffer
+      let mixBuf = null;
+      function mono(channels) {
+        if (!channels || channels.length <= 1) return channels?.[0];
+        if (!mixBuf || mixBuf.length !== channels[0].length) mixBuf = new Float32Array(channels[0].length);
+        mixBuf.fill(0);
+        for (const ch of channels) for (let i = 0; i < ch.length; i++) mixBuf[i] += ch[i];
+        for (let i = 0; i < mixBuf.length; i++) mixBuf[i] /= channels.length;
+        return mixBuf;
+      }
+
+      class CaptureWriter extends AudioWorkletProcessor {
+        constructor() {
+          super();
+          this.buf = null;
+          this.writeIdx = 0;
+          this.target = 0;
+          this.recording = false;
+          this.atFrame = 0;
+          this.startFrame = null;
+          this.closed = false;
+          this.port.onmessage = (e) => {
+            if (e.data?.type === 'close') {
+              this.recording = false;
+              this.closed = true;
+            }
+            if (e.data?.type === 'start') {
+              this.target = e.data.samples|0;
+              this.buf = new Float32Array(this.target);
+              this.writeIdx = 0;
+              this.atFrame = e.data.atFrame ?? 0;
+              this.startFrame = null;
+              this.recording = true;
+            }
+          };
+        }
+        process(inputs) {
+          if (!this.recording) return !this.closed;
+          const ch0 = mono(inputs[0]);
+          if (ch0) {
+            // skip frames before the requested start frame
+            const skip = Math.min(ch0.length, Math.max(0, this.atFrame - currentFrame));
+            if (skip >= ch0.length) return true;
+            if (this.startFrame === null) this.startFrame = currentFrame + skip;
+            const need = Math.min(ch0.length - skip, this.target - this.writeIdx);
+            this.buf.set(ch0.subarray(skip, skip + need), this.writeIdx);
+            this.writeIdx += need;
+            if (this.writeIdx >= this.target) {
+              this.recording = false;
+              this.port.postMessage({ type: 'done', samples: this.buf, startFrame: this.startFrame }, [this.buf.buffer]);
+            }
+          }
+          return true;
+        }
+      }
+      registerProcessor('capture-writer', CaptureWriter);
+    `;
+    const blob = new Blob([code], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    await ctx.audioWorklet.addModule(url);
+    captureWorkletContexts.add(ctx);
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+/** Simple first-order high-pass IIR filter to remove LF energy (rumble, room noise). */
+export function highPassIIR(x, sr, cutoffHz = 150) {
+    const y = new Float32Array(x.length);
+    const dt = 1 / sr;
+    const RC = 1 / (2 * Math.PI * cutoffHz);
+    const alpha = RC / (RC + dt);
+    let prevY = 0, prevX = 0;
+    for (let i = 0; i < x.length; i++) {
+        const xi = x[i];
+        const yi = alpha * (prevY + xi - prevX);
+        y[i] = yi;
+        prevY = yi;
+        prevX = xi;
+    }
+    return y;
+}
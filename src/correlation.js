@@ -0,0 +1,397 @@
+/**
+ * Shared lag estimators.
+ * The raw correlation is computed once for all lags via FFT; per-lag energy
+ * normalization uses prefix sums of x² / y² over the overlapping region.
+ * Repeated-MLS captures and averaged click trains use circular correlation
+ * instead (estimateLagMLS, estimateLagPeriodic), and Golay pairs sum the
+ * correlations of both halves (estimateLagGolay).
+ */
+
+import { crossCorrelate } from './fft.js';
+import { generateMLS, mlsCorrelate } from './mls.js';
+
+/**
+ * Estimate mic->ref latency using normalized cross-correlation.
+ * By default only searches NON-NEGATIVE lags, so the sign can't flip.
+ *
+ * The correlation curve is reduced to a ranked list of distinct peaks. The
+ * reported lag is the *direct path*: the earliest peak that reaches
+ * `directPathThreshold` × the strongest peak, so a louder, later reflection
+ * (desk, nearby wall) can't pull the estimate long.
+ *
+ * @param {Float32Array|number[]} mic   Recorded mic slice
+ * @param {Float32Array|number[]} ref   Reference slice (what was played)
+ * @param {number} sampleRate           e.g., 48000
+ * @param {object} [opts]
+ * @param {number} [opts.maxLagMs=120]  Limit search to plausible I/O round-trip (ms)
+ * @param {boolean} [opts.allowNegative=false]  If true, search ±maxLag
+ * @param {number} [opts.minOverlap=8]  Ignore lags with fewer overlapping samples
+ * @param {number} [opts.offsetSamples=0] Index in `mic` where `ref` started playing
+ *   (capture→playback offset on the shared timeline); it is removed from the result
+ * @param {number} [opts.topN=5]        Number of ranked peaks to return
+ * @param {number} [opts.directPathThreshold=0.6]  Fraction of the max a peak needs to count as the direct path (1 = global max)
+ * @param {number} [opts.minPeakSpacingMs=1]  Peaks closer than this to a stronger one belong to the same arrival
+ * @param {boolean} [opts.includeCurve=false]  Also return the score at every searched lag (for plotting)
+ * @returns {{lagSamples:number, lagMs:number, score:number, lagSamplesFrac:number, lagMsPrecise:number,
+ *   peaks:Array<{lagSamples:number, lagMs:number, score:number}>, peakToSidelobe:number,
+ *   curve?:{firstLagSamples:number, scores:Float32Array}}}
+ *   `lagSamplesFrac` / `lagMsPrecise` refine the integer peak by interpolating
+ *   the correlation curve around it (sub-sample resolution). `peaks` is ranked
+ *   by score; `peakToSidelobe` is the direct-path score over the strongest
+ *   peak outside its cluster, i.e. not a later reflection within
+ *   `directPathThreshold` of the strongest (Infinity if there is none). `curve.scores[i]` is the score at
+ *   lag `firstLagSamples + i` (-Infinity where the lag could not be scored).
+ */
+export function estimateLagNormalized(mic, ref, sampleRate, opts = {}) {
+    const {
+        maxLagMs = 120,
+        allowNegative = false,
+        minOverlap = 8,
+        offsetSamples = 0,
+        topN = 5,
+        directPathThreshold = 0.6,
+        minPeakSpacingMs = 1,
+        includeCurve = false,
+    } = opts;
+
+    // Copy into Float32Arrays and remove DC offset
+    const x = toF32(mic);
+    const y = toF32(ref);
+    zeroMean(x);
+    zeroMean(y);
+
+    // Early outs
+    if (x.length < 8 || y.length < 8) {
+        return { lagSamples: 0, lagMs: 0, score: 0, lagSamplesFrac: 0, lagMsPrecise: 0, peaks: [], peakToSidelobe: 0 };
+    }
+
+    const maxLag = Math.min(
+        Math.floor((maxLagMs / 1000) * sampleRate),
+        Math.floor(Math.max(x.length, y.length) / 2)
+    );
+
+    // Search window on the raw mic index, shifted by the known offset
+    const off = Math.round(offsetSamples);
+    const minLag = (allowNegative ? -maxLag : 0) + off;
+    const maxLagRaw = maxLag + off;
+
+    // Correlate y (ref) with shifted x (mic): ref[i] * mic[i + lag]
+    const dots = crossCorrelate(x, y, minLag, maxLagRaw);
+    const xe = prefixEnergy(x);
+    const ye = prefixEnergy(y);
+
+    const scores = new Float64Array(maxLagRaw - minLag + 1).fill(-Infinity);
+    for (let lag = minLag; lag <= maxLagRaw; lag++) {
+        // Overlap region indices in ref (0..yLen-1) that also exist in x shifted by lag
+        const yStart = Math.max(0, -lag);
+        const yEnd = Math.min(y.length, x.length - lag); // exclusive
+        if (yEnd - yStart < minOverlap) continue; // too little overlap, ignore
+
+        const xx = xe[yEnd + lag] - xe[yStart + lag];
+        const yy = ye[yEnd] - ye[yStart];
+        if (xx <= 1e-12 || yy <= 1e-12) continue;
+
+        scores[lag - minLag] = dots[lag - minLag] / Math.sqrt(xx * yy); // in [-1, 1]
+    }
+
+    return pickDirectPath(scores, minLag - off, offsetSamples - off, sampleRate, { topN, directPathThreshold, minPeakSpacingMs, includeCurve });
+}
+
+/**
+ * Latency from a capture of a repeated MLS (makeMLSSequence), using circular
+ * correlation over whole periods (mls.js). The first period only brings the
+ * room and converters to a periodic steady state; the later periods are
+ * averaged, so the correlation is the system's periodic impulse response and
+ * its direct-path peak is the round trip. Latency must be shorter than one
+ * period, so the search window is capped below it.
+ *
+ * @param {Float32Array|number[]} mic   Recording containing the played sequence
+ * @param {number} sampleRate
+ * @param {object} opts
+ * @param {number} opts.order           MLS order the reference was generated with
+ * @param {number} [opts.repeats=4]     Periods played
+ * @param {number} [opts.amp=1]         Playback amplitude (only scales `ir`)
+ * @param {number} [opts.offsetSamples=0]  Index in `mic` where playback started
+ * @param {number} [opts.maxLagMs=120]
+ * @param {boolean} [opts.allowNegative=false]
+ * @param {number} [opts.topN=5]
+ * @param {number} [opts.directPathThreshold=0.6]
+ * @param {number} [opts.minPeakSpacingMs=1]
+ * @returns Same as estimateLagNormalized(), plus `ir` (Float32Array, one period
+ *   of the impulse response, index = lag) and `periods` (number averaged)
+ */
+export function estimateLagMLS(mic, sampleRate, opts) {
+    const {
+        order,
+        repeats = 4,
+        amp = 1,
+        offsetSamples = 0,
+        maxLagMs = 120,
+        allowNegative = false,
+        topN = 5,
+        directPathThreshold = 0.6,
+        minPeakSpacingMs = 1,
+        includeCurve = false,
+    } = opts;
+
+    const mls = generateMLS(order);
+    const L = mls.length;
+    const off = Math.round(offsetSamples);
+
+    // Synchronous average of every complete steady-state period
+    const avg = new Float64Array(L);
+    let periods = 0;
+    for (let r = repeats > 1 ? 1 : 0; r < repeats; r++) {
+        const start = off + r * L;
+        if (start < 0 || start + L > mic.length) continue;
+        for (let i = 0; i < L; i++) avg[i] += mic[start + i];
+        periods++;
+    }
+    if (periods === 0) {
+        return { lagSamples: 0, lagMs: 0, score: 0, lagSamplesFrac: 0, lagMsPrecise: 0, peaks: [], peakToSidelobe: 0, ir: new Float32Array(0), periods };
+    }
+    for (let i = 0; i < L; i++) avg[i] /= periods;
+    zeroMean(avg);
+
+    const r = mlsCorrelate(avg, mls);
+    let energy = 0;
+    for (let i = 0; i < L; i++) energy += avg[i] * avg[i];
+    const norm = energy > 1e-12 ? 1 / Math.sqrt(energy * L) : 0; // score = NCC with the rotated sequence
+
+    const maxLag = Math.min(Math.floor((maxLagMs / 1000) * sampleRate), allowNegative ? (L - 1) >> 1 : L - 1);
+    const minLag = allowNegative ? -maxLag : 0;
+    const scores = new Float64Array(maxLag - minLag + 1);
+    for (let lag = minLag; lag <= maxLag; lag++) scores[lag - minLag] = r[(lag + L) % L] * norm;
+
+    const ir = new Float32Array(L);
+    for (let i = 0; i < L; i++) ir[i] = r[i] / ((L + 1) * amp);
+
+    const res = pickDirectPath(scores, minLag, offsetSamples - off, sampleRate, { topN, directPathThreshold, minPeakSpacingMs, includeCurve });
+    return { ...res, ir, periods };
+}
+
+/**
+ * Latency from a capture of a Golay complementary pair played as
+ * [a, gap, b] (reference-signals.js). The autocorrelations of a and b have
+ * equal and opposite sidelobes, so the sum of the two cross-correlations is a
+ * single clean peak per arrival. The gap must outlast the room's decay; the
+ * search window is capped at the gap so the halves don't leak into each other.
+ *
+ * @param {Float32Array|number[]} mic
+ * @param {Float32Array} a              First sequence of the pair (unit amplitude)
+ * @param {Float32Array} b              Second sequence
+ * @param {number} sampleRate
+ * @param {object} opts
+ * @param {number} opts.gapSamples      Silence between a and b
+ * @param {number} [opts.offsetSamples=0]  Index in `mic` where `a` started playing
+ * @param {number} [opts.maxLagMs=120]
+ * @param {boolean} [opts.allowNegative=false]
+ * @param {number} [opts.topN=5]
+ * @param {number} [opts.directPathThreshold=0.6]
+ * @param {number} [opts.minPeakSpacingMs=1]
+ * @returns Same as estimateLagNormalized()
+ */
+export function estimateLagGolay(mic, a, b, sampleRate, opts) {
+    const {
+        gapSamples,
+        offsetSamples = 0,
+        maxLagMs = 120,
+        allowNegative = false,
+        topN = 5,
+        directPathThreshold = 0.6,
+        minPeakSpacingMs = 1,
+        includeCurve = false,
+    } = opts;
+
+    const x = zeroMean(toF32(mic));
+    const n = a.length;
+    const bStart = n + gapSamples;
+    const off = Math.round(offsetSamples);
+    const maxLag = Math.min(Math.floor((maxLagMs / 1000) * sampleRate), gapSamples);
+    const minLag = allowNegative ? -maxLag : 0;
+
+    const ca = crossCorrelate(x, a, off + minLag, off + maxLag);
+    const cb = crossCorrelate(x, b, off + bStart + minLag, off + bStart + maxLag);
+    const xe = prefixEnergy(x);
+    const energyAt = (start) => xe[Math.max(0, Math.min(x.length, start + n))] - xe[Math.max(0, Math.min(x.length, start))];
+    let refEnergy = 0;
+    for (let i = 0; i < n; i++) refEnergy += a[i] * a[i] + b[i] * b[i];
+
+    const scores = new Float64Array(maxLag - minLag + 1).fill(-Infinity);
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const xx = energyAt(off + lag) + energyAt(off + bStart + lag);
+        if (xx <= 1e-12) continue;
+        scores[lag - minLag] = (ca[lag - minLag] + cb[lag - minLag]) / Math.sqrt(xx * refEnergy); // in [-1, 1]
+    }
+
+    return pickDirectPath(scores, minLag, offsetSamples - off, sampleRate, { topN, directPathThreshold, minPeakSpacingMs, includeCurve });
+}
+
+/**
+ * Circular normalized correlation of one period of a periodic capture (e.g.
+ * the synchronous average of a click train) against a template zero-padded to
+ * the period. Normalizing by the energy of the whole period keeps scores
+ * proportional to arrival strength, so a short template doesn't score every
+ * echo as a perfect match the way a per-lag window would.
+ *
+ * @param {Float32Array|number[]} period  One period of the capture, starting where playback started
+ * @param {Float32Array|number[]} template
+ * @param {number} sampleRate
+ * @param {object} [opts]                Same search options as estimateLagNormalized()
+ * @returns Same as estimateLagNormalized()
+ */
+export function estimateLagPeriodic(period, template, sampleRate, opts = {}) {
+    const {
+        maxLagMs = 120,
+        allowNegative = false,
+        offsetSamples = 0,
+        topN = 5,
+        directPathThreshold = 0.6,
+        minPeakSpacingMs = 1,
+        includeCurve = false,
+    } = opts;
+
+    const x = zeroMean(toF32(period));
+    const y = toF32(template);
+    const L = x.length;
+    if (L < 8 || y.length === 0 || y.length > L) {
+        return { lagSamples: 0, lagMs: 0, score: 0, lagSamplesFrac: 0, lagMsPrecise: 0, peaks: [], peakToSidelobe: 0 };
+    }
+
+    // Two periods back to back make the linear correlation circular
+    const x2 = new Float32Array(2 * L);
+    x2.set(x);
+    x2.set(x, L);
+    const dots = crossCorrelate(x2, y, 0, L - 1);
+    let xx = 0, yy = 0;
+    for (let i = 0; i < L; i++) xx += x[i] * x[i];
+    for (let i = 0; i < y.length; i++) yy += y[i] * y[i];
+    const norm = xx > 1e-12 && yy > 1e-12 ? 1 / Math.sqrt(xx * yy) : 0;
+
+    const maxLag = Math.min(Math.floor((maxLagMs / 1000) * sampleRate), allowNegative ? (L - 1) >> 1 : L - 1);
+    const minLag = allowNegative ? -maxLag : 0;
+    const scores = new Float64Array(maxLag - minLag + 1);
+    for (let lag = minLag; lag <= maxLag; lag++) scores[lag - minLag] = dots[(lag + L) % L] * norm;
+
+    return pickDirectPath(scores, minLag, offsetSamples, sampleRate, { topN, directPathThreshold, minPeakSpacingMs, includeCurve });
+}
+
+// Rank the peaks of a score curve (index 0 = lag `lag0`) and report the
+// earliest one within reach of the strongest as the direct path.
+function pickDirectPath(scores, lag0, fracShift, sampleRate, { topN, directPathThreshold, minPeakSpacingMs, includeCurve }) {
+    const curve = includeCurve ? { curve: { firstLagSamples: lag0 - fracShift, scores: Float32Array.from(scores) } } : {};
+    const spacing = Math.max(1, Math.round((minPeakSpacingMs / 1000) * sampleRate));
+    const found = findPeaks(scores, spacing);
+    if (found.length === 0) {
+        return { lagSamples: 0, lagMs: 0, score: -Infinity, lagSamplesFrac: 0, lagMsPrecise: 0, peaks: [], peakToSidelobe: 0, ...curve };
+    }
+
+    // Direct path = earliest peak within reach of the strongest one
+    const maxScore = found[0].score;
+    const reach = directPathThreshold * maxScore;
+    const direct = found.reduce((best, p) => (p.score >= reach && p.index < best.index ? p : best), found[0]);
+    // Sidelobe = strongest peak outside the direct path's cluster (the direct
+    // peak and the reflections within reach after it, which the earliest-peak
+    // rule passes over by design): only such a peak could have been picked
+    // instead, so a loud reflection alone never makes an attempt ambiguous
+    const sidelobe = found.find((p) => p !== direct && !(p.index > direct.index && p.score >= reach));
+
+    const i = direct.index;
+    const lagSamples = i + lag0;
+    const lagSamplesFrac = lagSamples + interpolatePeak(scores[i - 1], scores[i], scores[i + 1]) - fracShift;
+    const toPeak = (p) => {
+        const lag = p.index + lag0;
+        return { lagSamples: lag, lagMs: (lag / sampleRate) * 1000, score: p.score };
+    };
+    return {
+        lagSamples,
+        lagMs: (lagSamples / sampleRate) * 1000,
+        score: direct.score,
+        lagSamplesFrac,
+        lagMsPrecise: (lagSamplesFrac / sampleRate) * 1000,
+        peaks: found.slice(0, topN).map(toPeak),
+        peakToSidelobe: sidelobe && sidelobe.score > 0 ? direct.score / sidelobe.score : Infinity,
+        ...curve,
+    };
+}
+
+/**
+ * Distinct positive local maxima of `curve`, strongest first. A peak within
+ * `spacing` samples of a stronger accepted one is treated as part of it
+ * (the oscillation of a band-limited correlation has many crests per arrival).
+ * @returns {Array<{index:number, score:number}>}
+ */
+export function findPeaks(curve, spacing) {
+    const candidates = [];
+    for (let i = 0; i < curve.length; i++) {
+        const v = curve[i];
+        if (!(v > 0)) continue;
+        if ((i === 0 || v >= curve[i - 1]) && (i === curve.length - 1 || v > curve[i + 1])) {
+            candidates.push({ index: i, score: v });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const accepted = [];
+    for (const c of candidates) {
+        if (accepted.every((p) => Math.abs(p.index - c.index) >= spacing)) accepted.push(c);
+    }
+    return accepted;
+}
+
+/**
+ * Sub-sample offset of a peak from its two neighbours, in [-0.5, 0.5].
+ * Uses a cosine fit (exact for a band-limited correlation peak); falls back
+ * to a parabola when the cosine model does not apply.
+ */
+export function interpolatePeak(a, b, c) {
+    if (!Number.isFinite(a) || !Number.isFinite(b) || !Number.isFinite(c) || b <= 0) return 0;
+
+    let delta;
+    const cosW = (a + c) / (2 * b);
+    if (cosW > -1 && cosW < 1) {
+        const w = Math.acos(cosW);
+        delta = -Math.atan((a - c) / (2 * b * Math.sin(w))) / w;
+    } else {
+        const den = a - 2 * b + c;
+        delta = den < 0 ? 0.5 * (a - c) / den : 0;
+    }
+    return Math.max(-0.5, Math.min(0.5, delta));
+}
+
+/**
+ * Un-normalized cross-correlation search over ±1 s (or ±ref.length/2).
+ * @returns {number} lag in samples (+ = mic lags ref)
+ */
+export function estimateLagByCrossCorrelation(mic, ref, sampleRate) {
+    const maxLag = Math.min(sampleRate, Math.floor(ref.length / 2));
+    if (mic.length === 0 || ref.length === 0) return 0;
+
+    const dots = crossCorrelate(mic, ref, -maxLag, maxLag);
+    let bestLag = 0, bestScore = -Infinity;
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        const score = dots[lag + maxLag];
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+    return bestLag;
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+/** Running energy: out[k] = Σ_{i<k} a[i]², so any window sum is out[b] - out[a]. */
+function prefixEnergy(a) {
+    const out = new Float64Array(a.length + 1);
+    for (let i = 0; i < a.length; i++) out[i + 1] = out[i] + a[i] * a[i];
+    return out;
+}
+
+function toF32(a) { return a instanceof Float32Array ? a.slice() : Float32Array.from(a); }
+function zeroMean(a) {
+    let m = 0; for (let i = 0; i < a.length; i++) m += a[i];
+    m /= a.length;
+    for (let i = 0; i < a.length; i++) a[i] -= m;
+    return a;
+}
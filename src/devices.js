@@ -0,0 +1,129 @@
+/**
+ * Audio route selection: input device + channel, output device.
+ * - Inputs are opened by deviceId with processing disabled, and one channel
+ *   of a multichannel interface can be picked out with a ChannelSplitter
+ * - Outputs are switched with AudioContext.setSinkId (where supported)
+ *
+ * Usage:
+ *   const { inputs, outputs } = await listAudioDevices();
+ *   const input = await openInput(ctx, { deviceId: inputs[1].deviceId, channel: 2 });
+ *   input.node.connect(recNode, 0, 0);
+ *   await setOutputDevice(ctx, outputs[0].deviceId);
+ *   ...
+ *   input.dispose();
+ */
+
+// Upper bound asked of getUserMedia; devices report their own count below it
+const MAX_INPUT_CHANNELS = 32;
+
+/** Raw-capture constraints: no browser processing in the measurement path. */
+export const RAW_AUDIO_CONSTRAINTS = {
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+};
+
+/**
+ * List audio inputs and outputs. Labels are only filled in once the page has
+ * microphone permission.
+ * @returns {Promise<{inputs: MediaDeviceInfo[], outputs: MediaDeviceInfo[]}>}
+ */
+export async function listAudioDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return {
+        inputs: devices.filter((d) => d.kind === 'audioinput'),
+        outputs: devices.filter((d) => d.kind === 'audiooutput'),
+    };
+}
+
+/** True if this browser can route an AudioContext to a chosen output device. */
+export function canSelectOutput(ctx) {
+    return typeof ctx.setSinkId === 'function';
+}
+
+/**
+ * Route the whole context to an output device ('' = system default).
+ * @param {AudioContext} ctx
+ * @param {string} deviceId
+ */
+export async function setOutputDevice(ctx, deviceId) {
+    if (!canSelectOutput(ctx)) throw new Error('Output device selection (AudioContext.setSinkId) is not supported');
+    const sinkId = deviceId === 'default' ? '' : (deviceId ?? '');
+    if (ctx.sinkId !== sinkId) await ctx.setSinkId(sinkId);
+}
+
+/**
+ * Open an input device and expose the selected channel as a mono AudioNode.
+ *
+ * @param {AudioContext} ctx
+ * @param {object} [opts]
+ * @param {string} [opts.deviceId]        Omit for the default input
+ * @param {number|null} [opts.channel=null]  0-based channel of a multichannel
+ *   interface; null keeps the device's own channel layout
+ * @param {MediaStream} [opts.stream]     Reuse an already-open stream instead of calling getUserMedia
+ * @param {number} [opts.sampleRate]
+ * @returns {Promise<{stream: MediaStream, node: AudioNode, deviceId: string, channel: number|null, channelCount: number, dispose: () => void}>}
+ */
+export async function openInput(ctx, opts = {}) {
+    const { deviceId, channel = null } = opts;
+
+    const ownStream = !opts.stream;
+    const stream = opts.stream ?? await openInputStream(opts);
+
+    const settings = stream.getAudioTracks()[0]?.getSettings?.() ?? {};
+    const channelCount = settings.channelCount ?? 1;
+    if (channel != null && channel >= channelCount) {
+        if (ownStream) stopStream(stream);
+        throw new Error(`Input channel ${channel + 1} not available (device has ${channelCount})`);
+    }
+
+    const source = ctx.createMediaStreamSource(stream);
+    let node = source;
+    let splitter = null, pick = null;
+    if (channel != null && channelCount > 1) {
+        splitter = ctx.createChannelSplitter(channelCount);
+        pick = ctx.createGain();
+        source.connect(splitter);
+        splitter.connect(pick, channel, 0);
+        node = pick;
+    }
+
+    return {
+        stream,
+        node,
+        deviceId: settings.deviceId ?? deviceId ?? 'default',
+        channel,
+        channelCount,
+        dispose() {
+            source.disconnect();
+            splitter?.disconnect();
+            pick?.disconnect();
+            if (ownStream) stopStream(stream);
+        },
+    };
+}
+
+/**
+ * getUserMedia for an input route (raw constraints, every channel the device
+ * has, so `channelCount` in its settings lists them all). Use it to hold one
+ * stream across several openInput() calls.
+ * @param {object} [opts]  Same as openInput()
+ * @returns {Promise<MediaStream>}
+ */
+export async function openInputStream({ deviceId, channel = null, sampleRate } = {}) {
+    return navigator.mediaDevices.getUserMedia({
+        audio: {
+            ...RAW_AUDIO_CONSTRAINTS,
+            ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+            ...(sampleRate ? { sampleRate } : {}),
+            // all of the device's channels (the browser caps this at what it has),
+            // also for "all channels": asking for 1 would hide channels 2+ from the picker
+            channelCount: { ideal: Math.max(MAX_INPUT_CHANNELS, (channel ?? 0) + 1) },
+        },
+    });
+}
+
+/** Stop every track so the browser releases the device. */
+export function stopStream(stream) {
+    for (const t of stream?.getTracks?.() ?? []) t.stop();
+}
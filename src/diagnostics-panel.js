@@ -0,0 +1,231 @@
+/**
+ * Canvas plots for checking a calibration or a take at a glance.
+ * - plotCaptureOverlay: recorded mic with the reference shifted by the detected lag
+ * - plotCorrelation: score over the whole lag search window, chosen peak marked
+ * - plotAttempts: every calibrateLatencyRobust attempt (lag vs attempt, valid or not),
+ *   and for a capture bundle replay where each attempt was when recorded
+ * - plotTake: take waveform with the downbeat and the expected click arrivals
+ *
+ * Usage:
+ *   const res = await calibrateLatencyRobust(ctx, { diagnostics: true });
+ *   plotCaptureOverlay(canvasA, res);
+ *   plotCorrelation(canvasB, res);
+ *   plotAttempts(canvasC, res.report);
+ *   plotTake(canvasD, take, metronome.scheduled);
+ */
+
+const COLORS = {
+    background: '#fafafa',
+    axis: '#bbb',
+    text: '#333',
+    mic: '#555',
+    ref: 'rgba(230, 120, 0, 0.8)',
+    marker: '#d22',
+    valid: '#2a2',
+    invalid: '#d22',
+    click: 'rgba(40, 100, 220, 0.6)',
+    recorded: '#999',
+};
+
+/**
+ * Mic capture (as correlated) with the reference overlaid at its detected arrival.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} result  calibrateLatency() result with `diagnostics` (run with diagnostics: true)
+ */
+export function plotCaptureOverlay(canvas, result) {
+    const { g, w, h } = setup(canvas);
+    const d = result.diagnostics;
+    if (!d) return caption(g, 'no capture (calibrate with diagnostics: true)');
+
+    const { mic, ref, offsetSamples, sampleRate } = d;
+    const shift = Math.round(offsetSamples + result.lagSamplesFrac);
+    const toX = (i) => (i / mic.length) * w;
+
+    // Both traces at full height: only their timing is compared
+    axisLine(g, 0, h / 2, w, h / 2);
+    drawWave(g, mic, 0, mic.length, w, h, maxAbs(mic) || 1, COLORS.mic, 0);
+    drawWave(g, ref, 0, ref.length, (ref.length / mic.length) * w, h, maxAbs(ref) || 1, COLORS.ref, toX(shift));
+    marker(g, toX(shift), h, COLORS.marker);
+    caption(g, `mic (grey) · reference at ${result.lagMsPrecise.toFixed(3)} ms (orange) · ${(mic.length / sampleRate * 1000).toFixed(0)} ms shown`);
+}
+
+/**
+ * Correlation score across the lag window, chosen peak and runner-up peaks marked.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} result  Estimator result with `curve` (includeCurve / diagnostics: true)
+ * @param {number} [sampleRate=result.diagnostics?.sampleRate ?? 48000]
+ */
+export function plotCorrelation(canvas, result, sampleRate = result.diagnostics?.sampleRate ?? 48000) {
+    const { g, w, h } = setup(canvas);
+    if (!result.curve) return caption(g, 'no correlation curve (calibrate with diagnostics: true)');
+
+    const { firstLagSamples, scores } = result.curve;
+    const n = scores.length;
+    const toX = (lag) => ((lag - firstLagSamples) / Math.max(1, n - 1)) * w;
+    const toY = (score) => h / 2 - score * (h / 2 - 14);
+
+    axisLine(g, 0, toY(0), w, toY(0));
+    g.strokeStyle = COLORS.mic;
+    g.beginPath();
+    let pen = false;
+    for (let i = 0; i < n; i++) {
+        if (!Number.isFinite(scores[i])) { pen = false; continue; }
+        const x = (i / Math.max(1, n - 1)) * w, y = toY(scores[i]);
+        if (pen) g.lineTo(x, y); else g.moveTo(x, y);
+        pen = true;
+    }
+    g.stroke();
+
+    g.fillStyle = COLORS.ref;
+    for (const p of result.peaks ?? []) dot(g, toX(p.lagSamples), toY(p.score), 3);
+    marker(g, toX(result.lagSamplesFrac), h, COLORS.marker);
+
+    const toMs = (lag) => (lag / sampleRate) * 1000;
+    caption(g, `lags ${toMs(firstLagSamples).toFixed(1)} … ${toMs(firstLagSamples + n - 1).toFixed(1)} ms · `
+        + `peak ${result.lagMsPrecise.toFixed(3)} ms, score ${result.score.toFixed(3)}, `
+        + `peak/sidelobe ${result.peakToSidelobe.toFixed(2)}`);
+}
+
+/**
+ * Lag of every attempt, green when valid, red when rejected; dot size follows the score.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} report  calibrateLatencyRobust().report
+ * @param {Array<number|null>} [recordedMs]  Replay of a capture bundle: each attempt's lag as
+ *   recorded (by attempt index), drawn grey and joined to the replayed lag
+ */
+export function plotAttempts(canvas, report, recordedMs = null) {
+    const { g, w, h } = setup(canvas);
+    const rows = (report?.attempts ?? []).filter((r) => Number.isFinite(r.lagMs));
+    if (!rows.length) return caption(g, 'no attempts');
+    const recorded = (r) => recordedMs?.[r.index] ?? NaN;
+
+    const lags = [...rows.map((r) => r.lagMs), ...rows.map(recorded).filter(Number.isFinite)];
+    let lo = Math.min(...lags), hi = Math.max(...lags);
+    const pad = Math.max(0.05, (hi - lo) * 0.2);
+    lo -= pad; hi += pad;
+    const toX = (i) => ((i + 0.5) / rows.length) * w;
+    const toY = (ms) => h - 16 - ((ms - lo) / (hi - lo)) * (h - 32);
+
+    const valid = rows.filter((r) => r.valid);
+    const medianMs = median((valid.length ? valid : rows).map((r) => r.lagMs));
+    if (Number.isFinite(medianMs)) {
+        g.setLineDash([4, 4]);
+        axisLine(g, 0, toY(medianMs), w, toY(medianMs));
+        g.setLineDash([]);
+    }
+    rows.forEach((r, i) => {
+        const was = recorded(r);
+        if (Number.isFinite(was)) {
+            axisLine(g, toX(i), toY(was), toX(i), toY(r.lagMs), COLORS.recorded);
+            g.fillStyle = COLORS.recorded;
+            dot(g, toX(i), toY(was), 2);
+        }
+        g.fillStyle = r.valid ? COLORS.valid : COLORS.invalid;
+        dot(g, toX(i), toY(r.lagMs), 2 + 4 * Math.max(0, Math.min(1, r.score)));
+    });
+    caption(g, `${rows.length} attempts · ${lo.toFixed(2)} … ${hi.toFixed(2)} ms · dashed: median · green: valid`
+        + (recordedMs ? ' · grey: as recorded' : ''));
+}
+
+/**
+ * Take waveform with its downbeat and the frames where the clicks should arrive.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} take                 From TakeRecorder
+ * @param {Array<{time:number, kind:string}>} [ticks=[]]  Metronome.scheduled
+ */
+export function plotTake(canvas, take, ticks = []) {
+    const { g, w, h } = setup(canvas);
+    const { meta } = take;
+    const data = take.channels[0];
+    if (!data?.length) return caption(g, `take ${take.id}: empty`);
+
+    const toX = (frame) => (frame / data.length) * w;
+    g.lineWidth = 1;
+    for (const { time, kind } of ticks) {
+        const frame = (time + meta.latencySeconds - meta.contextStartTime) * meta.sampleRate;
+        if (frame < 0 || frame >= data.length) continue;
+        g.lineWidth = kind === 'accent' ? 2 : 1;
+        axisLine(g, toX(frame), 0, toX(frame), h, COLORS.click);
+    }
+    g.lineWidth = 1;
+    axisLine(g, 0, h / 2, w, h / 2);
+    drawWave(g, data, 0, data.length, w, h, maxAbs(data) || 1, COLORS.mic, 0);
+    marker(g, toX(meta.downbeatFrame ?? 0), h, COLORS.marker);
+    caption(g, `take ${take.id} · ${take.duration.toFixed(2)} s · red: downbeat · blue: expected clicks`);
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+// Size the backing store for the display's pixel ratio and clear it
+function setup(canvas) {
+    const ratio = globalThis.devicePixelRatio || 1;
+    const w = canvas.clientWidth || canvas.width;
+    const h = canvas.clientHeight || canvas.height;
+    canvas.width = Math.round(w * ratio);
+    canvas.height = Math.round(h * ratio);
+    const g = canvas.getContext('2d');
+    g.setTransform(ratio, 0, 0, ratio, 0, 0);
+    g.fillStyle = COLORS.background;
+    g.fillRect(0, 0, w, h);
+    g.lineWidth = 1;
+    return { g, w, h };
+}
+
+// Min/max envelope per pixel column of data[from, to) drawn `width` px wide from x0
+function drawWave(g, data, from, to, width, h, peak, color, x0) {
+    const cols = Math.max(1, Math.floor(width));
+    const per = (to - from) / cols;
+    const mid = h / 2, scale = (h / 2 - 14) / peak;
+    g.strokeStyle = color;
+    g.beginPath();
+    for (let c = 0; c < cols; c++) {
+        const a = from + Math.floor(c * per), b = Math.max(a + 1, from + Math.floor((c + 1) * per));
+        let lo = Infinity, hi = -Infinity;
+        for (let i = a; i < b && i < to; i++) {
+            if (data[i] < lo) lo = data[i];
+            if (data[i] > hi) hi = data[i];
+        }
+        if (lo === Infinity) continue;
+        g.moveTo(x0 + c + 0.5, mid - hi * scale);
+        g.lineTo(x0 + c + 0.5, mid - lo * scale + 0.5);
+    }
+    g.stroke();
+}
+
+function axisLine(g, x1, y1, x2, y2, color = COLORS.axis) {
+    g.strokeStyle = color;
+    g.beginPath();
+    g.moveTo(x1, y1);
+    g.lineTo(x2, y2);
+    g.stroke();
+}
+
+function marker(g, x, h, color) {
+    g.lineWidth = 2;
+    axisLine(g, x, 0, x, h, color);
+    g.lineWidth = 1;
+}
+
+function dot(g, x, y, r) {
+    g.beginPath();
+    g.arc(x, y, r, 0, 2 * Math.PI);
+    g.fill();
+}
+
+function caption(g, text) {
+    g.fillStyle = COLORS.text;
+    g.font = '11px ui-monospace, monospace';
+    g.fillText(text, 4, 11);
+}
+
+function median(values) {
+    const s = [...values].sort((a, b) => a - b);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : 0.5 * (s[m - 1] + s[m]);
+}
+
+function maxAbs(a) {
+    let m = 0;
+    for (let i = 0; i < a.length; i++) m = Math.max(m, Math.abs(a[i]));
+    return m;
+}
@@ -0,0 +1,47 @@
+/**
+ * The pure half of a clock drift measurement (drift.js): the latency of every
+ * pilot chirp in one long recording, and the line through them. Nothing here
+ * touches Web Audio, so it runs in the analysis worker (analysis-methods.js).
+ *
+ * Usage:
+ *   const { driftPpm, points } = analyzeDrift(mic, pilot, positions, 48000, { maxLagMs: 200 });
+ */
+
+import { estimateLagNormalized } from './correlation.js';
+
+/**
+ * Estimate drift from a recording that contains `pilot` starting at the given
+ * mic indices (playback positions on the capture timeline).
+ * @returns {{driftPpm:number, points:Array<{timeSeconds:number, lagSamples:number, score:number}>, residualSamples:number, sampleRate:number}}
+ */
+export function analyzeDrift(mic, pilot, positions, sampleRate, opts = {}) {
+    const { maxLagMs = 200 } = opts;
+    const maxLag = Math.ceil((maxLagMs / 1000) * sampleRate);
+
+    const points = positions.map((pos) => {
+        // correlate only the neighbourhood of this pilot
+        const slice = mic.subarray(Math.max(0, pos), Math.min(mic.length, pos + pilot.length + 2 * maxLag));
+        const res = estimateLagNormalized(slice, pilot, sampleRate, { maxLagMs });
+        return { timeSeconds: (pos - positions[0]) / sampleRate, lagSamples: res.lagSamplesFrac, score: res.score };
+    });
+
+    // Least-squares line through (time in samples, lag)
+    const n = points.length;
+    const xs = points.map((p) => p.timeSeconds * sampleRate);
+    const ys = points.map((p) => p.lagSamples);
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0, sxx = 0;
+    for (let i = 0; i < n; i++) { sxy += (xs[i] - mx) * (ys[i] - my); sxx += (xs[i] - mx) ** 2; }
+    const slope = sxx > 0 ? sxy / sxx : 0;
+
+    let sq = 0;
+    for (let i = 0; i < n; i++) sq += (ys[i] - (my + slope * (xs[i] - mx))) ** 2;
+
+    return {
+        driftPpm: slope * 1e6,
+        points,
+        residualSamples: Math.sqrt(sq / n),
+        sampleRate,
+    };
+}
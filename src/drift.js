@@ -0,0 +1,103 @@
+/**
+ * Input/output clock drift measurement and compensation.
+ * When mic and speakers run on different devices their clocks differ by a few
+ * ppm, so the round-trip latency slowly grows or shrinks over a long take.
+ * - measureClockDrift() plays `count` chirps spread over a long window while
+ *   recording, measures each one's latency, and fits a line: slope = drift
+ *   (analyzeDrift, drift-analysis.js, through the analysis service)
+ * - resampleForDrift() / compensateTakeDrift() stretch a recording back onto
+ *   the output clock
+ *
+ * Sign convention: driftPpm > 0 means the latency grows over time (an event
+ * played at output sample n is recorded at n·(1 + ppm·1e-6) + latency).
+ */
+
+import { makeLogChirp, playAndRecordCalibration } from './calibrate.js';
+import { analyzeDrift } from './drift-analysis.js';
+import { localAnalysis } from './analysis.js';
+
+export { analyzeDrift };
+
+/**
+ * @param {AudioContext} audioCtx
+ * @param {object} [opts]
+ * @param {number} [opts.windowSeconds=30]  Time between the first and last chirp
+ * @param {number} [opts.count=2]           Number of chirps (2 = start/end, more = periodic pilot)
+ * @param {object} [opts.chirp]             makeLogChirp params {durationMs, f0, f1, amp, fadeMs}
+ * @param {number} [opts.maxLagMs=200]
+ * @param {number} [opts.preRollMs=60]
+ * @param {number} [opts.postRollMs=300]
+ * @param {object} [opts.input]             { deviceId, channel }
+ * @param {AbortSignal} [opts.signal]       Stops playback/recording and rejects with signal.reason
+ * @param {object} [opts.analysis=localAnalysis]  Where the correlations run (analysis.js)
+ * @returns {Promise<{driftPpm:number, points:Array<{timeSeconds:number, lagSamples:number, score:number}>, residualSamples:number, sampleRate:number}>}
+ */
+export async function measureClockDrift(audioCtx, opts = {}) {
+    const {
+        sampleRate = audioCtx.sampleRate || 48000,
+        windowSeconds = 30,
+        count = 2,
+        chirp = {},
+        maxLagMs = 200,
+        preRollMs = 60,
+        postRollMs = 300,
+        input = {},
+        signal,
+        analysis = localAnalysis,
+    } = opts;
+    if (count < 2) throw new Error('Drift measurement needs at least 2 chirps');
+
+    const c = { durationMs: 200, f0: 1500, f1: 8000, amp: 0.6, fadeMs: 6, ...chirp };
+    const pilot = makeLogChirp(sampleRate, c.durationMs, c.f0, c.f1, c.amp, c.fadeMs);
+
+    // One long reference: the pilot repeated `count` times across the window
+    const positions = [];
+    for (let k = 0; k < count; k++) positions.push(Math.round((k / (count - 1)) * windowSeconds * sampleRate));
+    const ref = new Float32Array(positions[count - 1] + pilot.length);
+    for (const pos of positions) ref.set(pilot, pos);
+
+    const { mic, offsetSamples } = await playAndRecordCalibration(audioCtx, ref, {
+        sampleRate, preRollMs, postRollMs, input, signal
+    });
+
+    return analysis.analyzeDrift(mic, pilot, positions.map((p) => p + offsetSamples), sampleRate, { maxLagMs });
+}
+
+/**
+ * Resample one channel onto the output clock: y[n] = x(n · (1 + ppm·1e-6)),
+ * using 4-point cubic (Catmull-Rom) interpolation.
+ * @param {Float32Array} x
+ * @param {number} driftPpm
+ * @returns {Float32Array}
+ */
+export function resampleForDrift(x, driftPpm) {
+    const ratio = 1 + driftPpm * 1e-6;
+    const len = Math.max(0, Math.floor((x.length - 1) / ratio) + 1);
+    const y = new Float32Array(len);
+    const at = (i) => x[Math.min(x.length - 1, Math.max(0, i))];
+    for (let n = 0; n < len; n++) {
+        const t = n * ratio;
+        const i = Math.floor(t);
+        const f = t - i;
+        const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+        y[n] = p1 + 0.5 * f * (p2 - p0 + f * (2 * p0 - 5 * p1 + 4 * p2 - p3 + f * (3 * (p1 - p2) + p3 - p0)));
+    }
+    return y;
+}
+
+/**
+ * Return a copy of a TakeRecorder take resampled onto the output clock.
+ * @param {object} take      From TakeRecorder
+ * @param {number} driftPpm  From measureClockDrift()
+ */
+export function compensateTakeDrift(take, driftPpm) {
+    const channels = take.channels.map((ch) => resampleForDrift(ch, driftPpm));
+    const length = channels[0]?.length ?? 0;
+    return {
+        ...take,
+        channels,
+        length,
+        duration: length / take.meta.sampleRate,
+        meta: { ...take.meta, driftPpm },
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Minimal radix-2 FFT helpers shared by the correlation and analysis code.
+ * Everything works on Float64Array pairs (re, im) to keep long sums precise.
+ * Also the fast Walsh-Hadamard transform used for MLS correlation (mls.js).
+ */
+
+/** Smallest power of two >= n. */
+export function nextPow2(n) {
+    let p = 1;
+    while (p < n) p <<= 1;
+    return p;
+}
+
+/**
+ * In-place iterative radix-2 FFT. `re.length` must be a power of two.
+ * With `inverse = true` the result is scaled by 1/N.
+ */
+export function fft(re, im, inverse = false) {
+    const n = re.length;
+    if (n <= 1) return;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+
+    const sign = inverse ? 1 : -1;
+    for (let len = 2; len <= n; len <<= 1) {
+        const half = len >> 1;
+        const ang = sign * 2 * Math.PI / len;
+        const wr = Math.cos(ang), wi = Math.sin(ang);
+        for (let i = 0; i < n; i += len) {
+            let cr = 1, ci = 0;
+            for (let k = 0; k < half; k++) {
+                const a = i + k, b = a + half;
+                const xr = re[b] * cr - im[b] * ci;
+                const xi = re[b] * ci + im[b] * cr;
+                re[b] = re[a] - xr; im[b] = im[a] - xi;
+                re[a] += xr; im[a] += xi;
+                const nr = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = nr;
+            }
+        }
+    }
+
+    if (inverse) {
+        for (let i = 0; i < n; i++) { re[i] /= n; im[i] /= n; }
+    }
+}
+
+/**
+ * Raw cross-correlation c[lag] = Σ y[i] · x[i + lag] for lag in [minLag, maxLag].
+ * Returns a Float64Array where index 0 corresponds to `minLag`.
+ */
+export function crossCorrelate(x, y, minLag, maxLag) {
+    const n = nextPow2(x.length + y.length);
+    const xr = new Float64Array(n), xi = new Float64Array(n);
+    const yr = new Float64Array(n), yi = new Float64Array(n);
+    xr.set(x);
+    yr.set(y);
+    fft(xr, xi);
+    fft(yr, yi);
+
+    // X · conj(Y)
+    for (let k = 0; k < n; k++) {
+        const r = xr[k] * yr[k] + xi[k] * yi[k];
+        const i = xi[k] * yr[k] - xr[k] * yi[k];
+        xr[k] = r; xi[k] = i;
+    }
+    fft(xr, xi, true);
+
+    const out = new Float64Array(maxLag - minLag + 1);
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        out[lag - minLag] = xr[((lag % n) + n) % n];
+    }
+    return out;
+}
+
+/** Linear convolution (a ⊛ b) via FFT. Returns a Float64Array of length a.length + b.length - 1. */
+export function convolve(a, b) {
+    const len = a.length + b.length - 1;
+    const n = nextPow2(len);
+    const ar = new Float64Array(n), ai = new Float64Array(n);
+    const br = new Float64Array(n), bi = new Float64Array(n);
+    ar.set(a);
+    br.set(b);
+    fft(ar, ai);
+    fft(br, bi);
+
+    for (let k = 0; k < n; k++) {
+        const r = ar[k] * br[k] - ai[k] * bi[k];
+        const i = ar[k] * bi[k] + ai[k] * br[k];
+        ar[k] = r; ai[k] = i;
+    }
+    fft(ar, ai, true);
+    return ar.subarray(0, len);
+}
+
+/**
+ * In-place unnormalized fast Walsh-Hadamard transform:
+ * out[u] = Σ_x a[x] · (-1)^popcount(x & u). `a.length` must be a power of two.
+ */
+export function fwht(a) {
+    const n = a.length;
+    for (let len = 1; len < n; len <<= 1) {
+        for (let i = 0; i < n; i += len << 1) {
+            for (let j = i; j < i + len; j++) {
+                const u = a[j], v = a[j + len];
+                a[j] = u + v;
+                a[j + len] = u - v;
+            }
+        }
+    }
+}
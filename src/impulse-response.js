@@ -0,0 +1,175 @@
+/**
+ * Round-trip impulse response measurement with an exponential sine sweep
+ * (Farina method).
+ * - Plays a log sweep and records the mic
+ * - Convolves the recording with the sweep's inverse filter (time-reversed
+ *   sweep with a -6 dB/octave envelope)
+ * - The linear IR lands at t >= 0; each harmonic-distortion IR lands ahead of
+ *   it at -T·ln(k)/ln(f1/f0), so they separate cleanly in time
+ *
+ * Usage:
+ *   const ir = await measureImpulseResponse(ctx, { sweep: { durationMs: 1000 } });
+ *   console.log(ir.directPath.delayMs, ir.firstReflection?.delayMs);
+ */
+
+import { makeLogChirp, playAndRecordCalibration } from './calibrate.js';
+import { convolve } from './fft.js';
+
+const DEFAULT_SWEEP = { durationMs: 1000, f0: 100, f1: 16000, amp: 0.5, fadeMs: 10 };
+
+/**
+ * Play a sweep, record it and deconvolve into the round-trip impulse response.
+ * Options other than `preRollMs` / `postRollMs` are passed to analyzeSweepResponse.
+ */
+export async function measureImpulseResponse(audioCtx, opts = {}) {
+    const {
+        sampleRate = audioCtx.sampleRate || 48000,
+        preRollMs = 60,
+        postRollMs = 500,          // must cover latency + room decay
+        input = {},                // { deviceId, channel }
+    } = opts;
+    const sweep = sweepParams(opts.sweep, sampleRate);
+
+    const ref = makeLogChirp(sampleRate, sweep.durationMs, sweep.f0, sweep.f1, sweep.amp, sweep.fadeMs);
+    const { mic, offsetSamples } = await playAndRecordCalibration(audioCtx, ref, { sampleRate, preRollMs, postRollMs, input });
+
+    return analyzeSweepResponse(mic, sampleRate, { ...opts, sweep, offsetSamples });
+}
+
+/**
+ * Deconvolve a recorded sweep into its impulse response and derived metrics.
+ *
+ * @param {Float32Array} mic            Recording that contains the sweep
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {object} [opts.sweep]         Same params as makeLogChirp: {durationMs, f0, f1, amp, fadeMs}
+ * @param {number} [opts.offsetSamples=0] Index in `mic` where the sweep started playing;
+ *   the IR's t=0 is placed there, so delays are pure round-trip
+ * @param {number} [opts.maxLagMs=300]  Search window for the direct path
+ * @param {number} [opts.directThreshold=0.5]      Earliest peak >= this × max is the direct path
+ * @param {number} [opts.reflectionThreshold=0.25] Reflection must reach this × direct amplitude
+ * @param {number} [opts.minReflectionGapMs=1]     Ignore the direct path's own ringing
+ * @param {number} [opts.harmonics=4]   Highest harmonic order to separate out
+ * @returns {{
+ *   ir: Float32Array, sampleRate: number,
+ *   directPath: {delaySamples:number, delayMs:number, amplitude:number},
+ *   firstReflection: {delaySamples:number, delayMs:number, amplitude:number, relativeDb:number} | null,
+ *   harmonics: Array<{order:number, ir:Float32Array, peak:number, relativeDb:number}>
+ * }}
+ */
+export function analyzeSweepResponse(mic, sampleRate, opts = {}) {
+    const {
+        maxLagMs = 300,
+        directThreshold = 0.5,
+        reflectionThreshold = 0.25,
+        minReflectionGapMs = 1,
+        harmonics: maxOrder = 4,
+        offsetSamples = 0,
+    } = opts;
+    const sweep = sweepParams(opts.sweep, sampleRate);
+
+    const unit = makeLogChirp(sampleRate, sweep.durationMs, sweep.f0, sweep.f1, 1, sweep.fadeMs);
+    const inv = makeInverseFilter(unit, sweep.f0, sweep.f1);
+    const N = unit.length;
+
+    // sweep ⊛ inverse peaks at N-1 (+ playback offset); scale so a unity-gain loopback gives 1.0
+    let norm = 0;
+    for (let n = 0; n < N; n++) norm += unit[n] * inv[N - 1 - n];
+    const scale = 1 / (norm * sweep.amp);
+
+    const full = convolve(mic, inv);
+    const t0 = N - 1 + Math.max(0, Math.round(offsetSamples));
+
+    const ir = new Float32Array(Math.max(0, full.length - t0));
+    for (let i = 0; i < ir.length; i++) ir[i] = full[t0 + i] * scale;
+
+    // Harmonic k arrives T·ln(k)/ln(f1/f0) seconds ahead of the linear IR
+    const T = N / sampleRate;
+    const L = Math.log(sweep.f1 / sweep.f0);
+    const advance = (k) => Math.round((T * Math.log(k) / L) * sampleRate);
+
+    const maxLag = Math.min(ir.length - 1, Math.floor((maxLagMs / 1000) * sampleRate));
+    const directPath = findDirectPath(ir, maxLag, directThreshold, sampleRate);
+
+    const firstReflection = findFirstReflection(
+        ir, directPath, Math.max(1, Math.round((minReflectionGapMs / 1000) * sampleRate)),
+        Math.min(ir.length, advance(2)), reflectionThreshold, sampleRate
+    );
+
+    const harmonicIRs = [];
+    for (let k = 2; k <= maxOrder; k++) {
+        // window reaches from this harmonic's t=0 up to where harmonic k-1 starts,
+        // both shifted by the round trip just like the linear IR's direct path,
+        // and opened a guard earlier so the peak isn't split at the boundary
+        const len = advance(k) - advance(k - 1);
+        const guard = Math.min(Math.round(0.001 * sampleRate), len >> 2);
+        const start = t0 + directPath.delaySamples - advance(k) - guard;
+        if (start < 0 || len <= 0) break;
+        const h = new Float32Array(len);
+        let peak = 0;
+        for (let i = 0; i < len && start + i < full.length; i++) {
+            h[i] = full[start + i] * scale;
+            if (Math.abs(h[i]) > peak) peak = Math.abs(h[i]);
+        }
+        harmonicIRs.push({ order: k, ir: h, peak, relativeDb: toDb(peak / directPath.amplitude) });
+    }
+
+    return { ir, sampleRate, directPath, firstReflection, harmonics: harmonicIRs };
+}
+
+/** Time-reversed sweep with a -6 dB/octave envelope (compensates the sweep's pink spectrum). */
+export function makeInverseFilter(sweep, f0, f1) {
+    const N = sweep.length;
+    const L = Math.log(f1 / f0);
+    const inv = new Float32Array(N);
+    for (let n = 0; n < N; n++) {
+        inv[n] = sweep[N - 1 - n] * Math.exp(-(n / N) * L);
+    }
+    return inv;
+}
+
+/* ------------------------- Peak picking ------------------------- */
+
+function findDirectPath(ir, maxLag, threshold, sr) {
+    let max = 0;
+    for (let i = 0; i <= maxLag; i++) max = Math.max(max, Math.abs(ir[i]));
+
+    // earliest local maximum that clears the threshold
+    let idx = 0;
+    for (let i = 0; i <= maxLag; i++) {
+        const v = Math.abs(ir[i]);
+        if (v >= threshold * max && isLocalMax(ir, i)) { idx = i; break; }
+    }
+    return { delaySamples: idx, delayMs: (idx / sr) * 1000, amplitude: Math.abs(ir[idx]) };
+}
+
+function findFirstReflection(ir, direct, minGap, end, threshold, sr) {
+    const level = threshold * direct.amplitude;
+    for (let i = direct.delaySamples + minGap; i < end; i++) {
+        const v = Math.abs(ir[i]);
+        if (v >= level && isLocalMax(ir, i)) {
+            return {
+                delaySamples: i,
+                delayMs: (i / sr) * 1000,
+                amplitude: v,
+                relativeDb: toDb(v / direct.amplitude),
+            };
+        }
+    }
+    return null;
+}
+
+function isLocalMax(a, i) {
+    const v = Math.abs(a[i]);
+    return (i === 0 || v >= Math.abs(a[i - 1])) && (i === a.length - 1 || v >= Math.abs(a[i + 1]));
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function sweepParams(sweep, sr) {
+    const p = { ...DEFAULT_SWEEP, ...sweep };
+    p.f1 = Math.min(p.f1, 0.45 * sr);
+    return p;
+}
+
+function toDb(ratio) { return ratio > 0 ? 20 * Math.log10(ratio) : -Infinity; }
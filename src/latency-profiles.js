@@ -0,0 +1,209 @@
+/**
+ * Per-device latency profiles persisted in localStorage.
+ * A profile belongs to one audio route: input deviceId + channel, output device (sinkId),
+ * context sample rate and the context's reported baseLatency/outputLatency.
+ * Profiles are flagged stale when the route's sample rate no longer matches,
+ * or on `devicechange` when their input or output device disappeared or is
+ * now a different device (e.g. 'default' switched to new headphones); a
+ * fresh calibration clears the flag.
+ *
+ * Usage:
+ *   const store = new LatencyProfileStore();
+ *   const route = describeRoute(ctx, micStream);
+ *   const saved = store.find(route);           // null, or { latencySeconds, stale, ... }
+ *   store.save(route, calibrationResult);
+ *   store.watch(ctx, () => describeRoute(ctx, micStream));
+ *   store.addEventListener("stale", (e) => console.warn(e.detail.reason));
+ */
+
+import { listAudioDevices } from './devices.js';
+
+const STORAGE_KEY = 'recording-calibration/latency-profiles/v1';
+
+/**
+ * Snapshot the identifying properties of the current route.
+ * @param {AudioContext} ctx
+ * @param {MediaStream|string} [input]  Mic stream (deviceId is read from its track) or a deviceId
+ * @param {object} [opts]
+ * @param {number|null} [opts.inputChannel=null]  Selected channel of a multichannel input
+ * @param {string} [opts.outputDeviceId]          Defaults to ctx.sinkId where supported
+ */
+export function describeRoute(ctx, input, { inputChannel = null, outputDeviceId } = {}) {
+    const track = typeof input === 'string' ? null : input?.getAudioTracks?.()[0];
+    const settings = track?.getSettings?.() ?? {};
+    const sinkId = typeof ctx.sinkId === 'string' ? ctx.sinkId : '';
+    return {
+        inputDeviceId: typeof input === 'string' ? input : (settings.deviceId || 'default'),
+        inputChannel,
+        outputDeviceId: outputDeviceId ?? (sinkId || 'default'),
+        sampleRate: ctx.sampleRate,
+        inputSampleRate: settings.sampleRate ?? ctx.sampleRate,
+        baseLatency: ctx.baseLatency ?? 0,
+        outputLatency: ctx.outputLatency ?? 0,
+    };
+}
+
+export class LatencyProfileStore extends EventTarget {
+    /**
+     * @param {object} [opts]
+     * @param {Storage} [opts.storage=localStorage]
+     * @param {string} [opts.storageKey]
+     * @param {number} [opts.latencyToleranceMs=2]  base/outputLatency drift still considered the same route
+     */
+    constructor(opts = {}) {
+        super();
+        const { storage = globalThis.localStorage, storageKey = STORAGE_KEY, latencyToleranceMs = 2 } = opts;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.tolerance = latencyToleranceMs / 1000;
+        this.watching = null;
+    }
+
+    /** All stored profiles, newest first. */
+    list() {
+        try {
+            const raw = this.storage?.getItem(this.storageKey);
+            const arr = raw ? JSON.parse(raw) : [];
+            return Array.isArray(arr) ? arr.sort((a, b) => b.timestamp - a.timestamp) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /** The most recent profile measured on `route`, or null. */
+    find(route) {
+        return this.list().find((p) => this.matches(p.route, route)) ?? null;
+    }
+
+    /**
+     * Store a calibration result for `route`, replacing any previous profile for it.
+     * @param {object} route   From describeRoute()
+     * @param {{lagSamples:number, lagSamplesFrac?:number, score:number, method?:string}} result
+     *   `method: 'tap'` marks a low-precision tap-along calibration (tap-calibration.js)
+     */
+    save(route, result) {
+        const lag = result.lagSamplesFrac ?? result.lagSamples;
+        const profile = {
+            route,
+            latencySeconds: lag / route.sampleRate,
+            lagSamples: lag,
+            score: result.score,
+            method: result.method ?? 'acoustic',
+            timestamp: Date.now(),
+            stale: false,
+            staleReason: null,
+        };
+        const rest = this.list().filter((p) => !this.matches(p.route, route));
+        this.write([profile, ...rest]);
+        return profile;
+    }
+
+    /** Remove the profile for `route`. */
+    remove(route) {
+        this.write(this.list().filter((p) => !this.matches(p.route, route)));
+    }
+
+    /** Flag every stored profile as stale (e.g. the sample rate changed). */
+    markAllStale(reason) {
+        this.markStale(() => true, reason);
+    }
+
+    /**
+     * Flag the profiles `predicate` selects as stale. Fires "stale" with
+     * `{reason, count}` if any profile was newly flagged.
+     * @param {(profile:object) => boolean} predicate
+     * @param {string} reason
+     */
+    markStale(predicate, reason) {
+        const all = this.list();
+        let count = 0;
+        for (const p of all) {
+            if (p.stale || !predicate(p)) continue;
+            p.stale = true;
+            p.staleReason = reason;
+            count++;
+        }
+        if (!count) return;
+        this.write(all);
+        this.dispatchEvent(new CustomEvent('stale', { detail: { reason, count } }));
+    }
+
+    /**
+     * Invalidate profiles when the hardware changes underneath a running app.
+     * `getRoute` is re-evaluated after each change to detect sample-rate switches;
+     * on `devicechange` only profiles whose devices went away or changed are
+     * flagged. Devices the browser does not list (no permission yet) are left alone.
+     * @param {AudioContext} ctx
+     * @param {() => object} getRoute
+     * @returns {() => void} unsubscribe
+     */
+    watch(ctx, getRoute) {
+        this.unwatch();
+        let last = getRoute();
+        let devices = null; // last enumeration, see deviceSnapshot()
+        const snapshot = () => listAudioDevices().then(deviceSnapshot, () => null);
+        snapshot().then((now) => { devices ??= now; });
+
+        const checkRate = () => {
+            const now = getRoute();
+            if (now.sampleRate !== last.sampleRate || now.inputSampleRate !== last.inputSampleRate) {
+                this.markAllStale('samplerate');
+            }
+            last = now;
+        };
+        const onDeviceChange = async () => {
+            checkRate();
+            const now = await snapshot();
+            if (devices && now) {
+                this.markStale(({ route }) => deviceChanged(devices.inputs, now.inputs, route.inputDeviceId)
+                    || deviceChanged(devices.outputs, now.outputs, route.outputDeviceId), 'devicechange');
+            }
+            devices = now ?? devices;
+        };
+        const onStateChange = () => checkRate();
+
+        navigator.mediaDevices?.addEventListener?.('devicechange', onDeviceChange);
+        ctx.addEventListener?.('statechange', onStateChange);
+        this.watching = () => {
+            navigator.mediaDevices?.removeEventListener?.('devicechange', onDeviceChange);
+            ctx.removeEventListener?.('statechange', onStateChange);
+        };
+        return () => this.unwatch();
+    }
+
+    unwatch() {
+        if (this.watching) this.watching();
+        this.watching = null;
+    }
+
+    matches(a, b) {
+        return a.inputDeviceId === b.inputDeviceId
+            && (a.inputChannel ?? null) === (b.inputChannel ?? null)
+            && a.outputDeviceId === b.outputDeviceId
+            && a.sampleRate === b.sampleRate
+            && a.inputSampleRate === b.inputSampleRate
+            && Math.abs(a.baseLatency - b.baseLatency) <= this.tolerance
+            && Math.abs(a.outputLatency - b.outputLatency) <= this.tolerance;
+    }
+
+    write(profiles) {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(profiles));
+        } catch (err) {
+            console.warn('Could not persist latency profiles:', err);
+        }
+    }
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+// deviceId → what identifies the physical device behind it ('default' follows the system)
+function deviceSnapshot({ inputs, outputs }) {
+    const map = (list) => new Map(list.map((d) => [d.deviceId, `${d.groupId}|${d.label}`]));
+    return { inputs: map(inputs), outputs: map(outputs) };
+}
+
+// Listed before, and now gone or a different device
+function deviceChanged(before, after, deviceId) {
+    return before.has(deviceId) && before.get(deviceId) !== after.get(deviceId);
+}
@@ -0,0 +1,149 @@
+/**
+ * Level check before calibration.
+ * - Records silence to measure the ambient noise floor
+ * - Plays a short stretch of the calibration's own reference signal at
+ *   increasing levels until the capture reaches `targetSnrDb` with its peak
+ *   still below `maxPeak`; the probe has the signal's band and crest factor,
+ *   so the chosen amplitude means the same for the attempts
+ * The chosen amplitude and noise floor then drive every calibration attempt
+ * (calibrateLatencyRobust runs this by default instead of adapting the level
+ * after each full attempt).
+ *
+ * Usage:
+ *   const level = await runLevelCheck(ctx, { mode: 'mls', input: { deviceId } });
+ *   await calibrateLatency(ctx, { mode: 'mls', mls: { amp: level.amplitude }, noiseFloorRms: level.noiseFloorRms });
+ */
+
+import { playAndRecordCalibration } from './capture.js';
+import { createReferenceSignal } from './reference-signals.js';
+import { localAnalysis } from './analysis.js';
+
+/**
+ * @param {AudioContext} audioCtx
+ * @param {object} [opts]
+ * @param {number} [opts.noiseMs=300]         Silence recorded for the noise floor
+ * @param {string} [opts.mode='chirp']        Reference signal to probe with (reference-signals.js)
+ * @param {object} [opts.params]              Its params; `amp` is left to the level check
+ * @param {number} [opts.maxProbeMs=250]      Longer signals (MLS, click trains) are cut to this
+ * @param {number} [opts.startAmp=0.05]       First probe level (peak, 0..1)
+ * @param {number} [opts.stepDb=6]            Level increase per step
+ * @param {number} [opts.maxAmp=0.95]
+ * @param {number} [opts.targetSnrDb=30]      Stop once the probe is this far above the noise
+ * @param {number} [opts.maxPeak=0.5]         Capture peak ceiling (headroom below clipping)
+ * @param {number} [opts.maxLagMs=120]        Where to look for the probe after playback starts
+ * @param {number} [opts.filterHpHz=150]      Same conditioning as calibrateLatency
+ * @param {object} [opts.input]               { deviceId, channel, stream }
+ * @param {object} [opts.analysis=localAnalysis]  Where the filtering runs (analysis.js)
+ * @param {AbortSignal} [opts.signal]
+ * @param {(step:{step:number, amplitude:number, peak:number, snrDb:number, clipped:boolean}) => void} [opts.onStep]
+ * @returns {Promise<{amplitude:number, noiseFloorRms:number, noiseFloorDb:number, snrDb:number, peak:number,
+ *   reachedTarget:boolean, steps:Array<{step:number, amplitude:number, peak:number, snrDb:number, clipped:boolean}>}>}
+ */
+export async function runLevelCheck(audioCtx, opts = {}) {
+    const {
+        sampleRate = audioCtx.sampleRate || 48000,
+        noiseMs = 300,
+        mode = 'chirp',
+        params = {},
+        maxProbeMs = 250,
+        startAmp = 0.05,
+        stepDb = 6,
+        maxAmp = 0.95,
+        targetSnrDb = 30,
+        maxPeak = 0.5,
+        maxLagMs = 120,
+        filterHpHz = 150,
+        input = {},
+        analysis = localAnalysis,
+        signal,
+        onStep,
+    } = opts;
+    // `x` is handed over to the analysis side (detached if that is a worker)
+    const condition = async (x) => (filterHpHz ? analysis.highPassIIR(x, sampleRate, filterHpHz) : x);
+
+    // 1) Silence: ambient noise floor (skip the filter's start-up transient)
+    const silence = new Float32Array(Math.round((noiseMs / 1000) * sampleRate));
+    const quiet = await playAndRecordCalibration(audioCtx, silence, {
+        sampleRate, preRollMs: 20, postRollMs: 0, input, signal
+    });
+    const noise = await condition(quiet.mic);
+    const noiseFloorRms = rms(noise, Math.min(noise.length >> 2, Math.round(0.02 * sampleRate)), noise.length);
+
+    // 2) Probe at increasing levels: the reference at amp 1 (every generator
+    // scales linearly with it), levelled where it sounds as in the report
+    const reference = createReferenceSignal(mode, sampleRate, { ...params, amp: 1 });
+    const unit = reference.signal.subarray(0, Math.round((maxProbeMs / 1000) * sampleRate));
+    const windows = reference.levelWindows
+        .filter(([from]) => from < unit.length)
+        .map(([from, to]) => [from, Math.min(to, unit.length)]);
+    const step = 10 ** (stepDb / 20);
+    const maxLag = Math.round((maxLagMs / 1000) * sampleRate);
+    const steps = [];
+    let chosen = null;
+
+    for (let amp = Math.min(startAmp, maxAmp), k = 0; ; amp = Math.min(maxAmp, amp * step), k++) {
+        const ref = unit.map((v) => v * amp);
+        const { mic, offsetSamples } = await playAndRecordCalibration(audioCtx, ref, {
+            sampleRate, preRollMs: 40, postRollMs: maxLagMs + 20, input, signal
+        });
+        let peak = 0;
+        for (let i = offsetSamples; i < mic.length; i++) peak = Math.max(peak, Math.abs(mic[i]));
+        const x = await condition(mic);
+        // Level at the loudest lag where the probe can have arrived
+        const signalRms = maxWindowsRms(x, offsetSamples, maxLag, windows);
+        const power = Math.max(signalRms * signalRms - noiseFloorRms * noiseFloorRms, 1e-20);
+        const snrDb = noiseFloorRms > 0 ? 10 * Math.log10(power / (noiseFloorRms * noiseFloorRms)) : Infinity;
+        const clipped = peak >= maxPeak;
+
+        const entry = { step: k, amplitude: amp, peak, snrDb, clipped };
+        steps.push(entry);
+        onStep?.(entry);
+
+        if (clipped) {
+            // Too hot: settle on the previous level, or keep backing off from the first one
+            if (chosen || amp <= 1e-3) break;
+            amp /= step * step; // the loop multiplies by `step` again
+            continue;
+        }
+        chosen = entry;
+        if (snrDb >= targetSnrDb || amp >= maxAmp) break;
+    }
+
+    const pick = chosen ?? steps[steps.length - 1];
+    return {
+        amplitude: pick.amplitude,
+        noiseFloorRms,
+        noiseFloorDb: noiseFloorRms > 0 ? 20 * Math.log10(noiseFloorRms) : -Infinity,
+        snrDb: pick.snrDb,
+        peak: pick.peak,
+        reachedTarget: !!chosen && chosen.snrDb >= targetSnrDb,
+        steps,
+    };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function rms(x, from, to) {
+    const a = Math.max(0, from), b = Math.min(x.length, to);
+    if (b <= a) return 0;
+    let sum = 0;
+    for (let i = a; i < b; i++) sum += x[i] * x[i];
+    return Math.sqrt(sum / (b - a));
+}
+
+// Largest RMS over the [start, end) `windows`, all shifted by the same lag
+// in 0..maxLag from `from`
+function maxWindowsRms(x, from, maxLag, windows) {
+    const energy = new Float64Array(x.length + 1);
+    for (let i = 0; i < x.length; i++) energy[i + 1] = energy[i] + x[i] * x[i];
+    const at = (i) => energy[Math.max(0, Math.min(x.length, i))];
+    const width = windows.reduce((n, [a, b]) => n + b - a, 0);
+    if (width <= 0) return 0;
+    let best = 0;
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (const [a, b] of windows) sum += at(from + lag + b) - at(from + lag + a);
+        if (sum > best) best = sum;
+    }
+    return Math.sqrt(best / width);
+}
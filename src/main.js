@@ -1,44 +1,86 @@
 import { scheduleTake } from "./recorder-utils.js";
 
 import { calibrateLatencyRobust } from "./calibrate.js";
+import { TakeRecorder, takeToWav } from "./take-recorder.js";
+import { Metronome } from "./metronome.js";
+import { LatencyProfileStore, describeRoute } from "./latency-profiles.js";
+import { listAudioDevices, openInput, setOutputDevice, canSelectOutput } from "./devices.js";
+import { isRingBufferSupported, createRingBuffer, RingBufferReader } from "./ring-buffer.js";
+import { measureClockDrift, compensateTakeDrift } from "./drift.js";
+import { clickTrack, correctTakeAlignment } from "./take-alignment.js";
+import { OverdubSession } from "./overdub-session.js";
+import { plotCaptureOverlay, plotCorrelation, plotAttempts, plotTake } from "./diagnostics-panel.js";
+import { createMonitor, meterLevels, monitorLatency } from "./monitoring.js";
+import { createAnalysisService } from "./analysis.js";
+import { encodeCaptureBundle, decodeCaptureBundle, replayCaptureBundle } from "./capture-bundle.js";
 
 const $ = (id) => document.getElementById(id);
 
 const btnInit = $("init");
 const btnCalibrate = $("calibrate");
 const btnTake = $("take");
+const btnStop = $("stop");
+const btnDrift = $("drift");
 const $lat = $("latency");
 const $clickStart = $("clickStart");
 const $recordStart = $("recordStart");
 const $chunks = $("chunks");
+const $takes = $("takes");
+const $transport = $("transport");
+const $dropped = $("dropped");
+const $bpm = $("bpm");
+const $beatsPerBar = $("beatsPerBar");
+const $beatUnit = $("beatUnit");
+const $subdivision = $("subdivision");
+const $countIn = $("countIn");
+const $verifyTake = $("verifyTake");
+const $backing = $("backing");
+const $overdub = $("overdub");
+const btnMixdown = $("mixdown");
+const $mixdownLink = $("mixdownLink");
+const $session = $("session");
+const $plotCapture = $("plotCapture");
+const $plotCorrelation = $("plotCorrelation");
+const $plotAttempts = $("plotAttempts");
+const $plotTake = $("plotTake");
+const $monitor = $("monitor");
+const $monitorGain = $("monitorGain");
+const $monitorLatency = $("monitorLatency");
+const $peakMeter = $("peakMeter");
+const $rmsMeter = $("rmsMeter");
+const $levels = $("levels");
+const $clip = $("clip");
+const $beatPos = $("beatPos");
+const $profile = $("profile");
+const $quality = $("quality");
+const $guidance = $("guidance");
+const $driftPpm = $("driftPpm");
+const $inputDevice = $("inputDevice");
+const $inputChannel = $("inputChannel");
+const $outputDevice = $("outputDevice");
+const $refSignal = $("refSignal");
+const $captureBundle = $("captureBundle");
+const $bundleLink = $("bundleLink");
+const $replayBundle = $("replayBundle");
+const $tapSource = $("tapSource");
 
 let ctx;
 let recNode;
-let micNode;
+let input;        // selected input route (see devices.js)
 let refGain;      // reference path into worklet (not audible)
 let latencySeconds = 0;
+let driftPpm = 0;     // input vs output clock, applied to finished takes
 let chunkCount = 0;
-let clickBuffer;
-
-// Simple click buffer generator: 1 bar (4 beats) at given BPM
-function makeClickBuffer(sampleRate, bpm = 120, beats = 4) {
-    const secondsPerBeat = 60 / bpm;
-    const totalDur = secondsPerBeat * beats;
-    const frames = Math.floor(totalDur * sampleRate);
-    const buf = new AudioBuffer({ length: frames, sampleRate, numberOfChannels: 1 });
-    const ch0 = buf.getChannelData(0);
-
-    // short “tick” at each beat: 2ms burst at start of each beat
-    const burstLen = Math.max(1, Math.floor(0.002 * sampleRate));
-    for (let b = 0; b < beats; b++) {
-        const start = Math.floor(b * secondsPerBeat * sampleRate);
-        for (let i = 0; i < burstLen && start + i < ch0.length; i++) {
-            // simple high click
-            ch0[start + i] = 1.0;
-        }
-    }
-    return buf;
-}
+let metronome;
+let takeRecorder;
+let ringReader;   // SharedArrayBuffer transport, when cross-origin isolated
+let calibration;  // AbortController of the calibration or drift measurement in progress
+let session;      // OverdubSession: backing tracks and kept takes
+let overdub;      // { downbeat, playback } while an overdub pass runs
+let monitor;      // mic → speakers through the recorder node (see monitoring.js)
+let analysis;     // correlation/filtering off the main thread (see analysis.js)
+let measuring = false;  // a measurement is playing: keep the monitor muted so it can't feed back
+const profiles = new LatencyProfileStore();
 
 // A very short pulse for calibration (10ms with one big spike)
 function makePulseBuffer(sampleRate) {
@@ -58,35 +100,74 @@ btnInit.onclick = async () => {
         // Prepare node with 2 inputs (mic, reference)
         recNode = new AudioWorkletNode(ctx, "recorder-processor", {
             numberOfInputs: 2,  // IMPORTANT: we want mic on input 0, ref on input 1
-            numberOfOutputs: 0, // recording-only node (no audio output)
+            numberOfOutputs: 1, // monitor output (muted unless monitoring is on)
+            outputChannelCount: [2],
             channelCountMode: "explicit",
             channelInterpretation: "speakers"
         });
+        monitor = createMonitor(ctx, recNode);
+        applyMonitor();
+
+        takeRecorder = new TakeRecorder(ctx.sampleRate);
+        takeRecorder.onTake = finishTake;
+        session = new OverdubSession(ctx.sampleRate);
+        analysis = createAnalysisService();
+        $backing.disabled = false;
+
+        const onChunk = (chunk) => {
+            chunkCount++;
+            $chunks.textContent = String(chunkCount);
+            takeRecorder.handleMessage(chunk);
+        };
+
+        // Prefer the shared ring buffer; postMessage chunks remain the fallback
+        if (isRingBufferSupported()) {
+            const config = createRingBuffer({
+                capacityFrames: ctx.sampleRate * 2,
+                micChannels: recNode.channelCount,
+                refChannels: 1,
+            });
+            recNode.port.postMessage({ type: "useRingBuffer", config });
+            ringReader = new RingBufferReader(config);
+            ringReader.start(onChunk);
+            $transport.textContent = "SharedArrayBuffer ring";
+        } else {
+            $transport.textContent = "postMessage (page is not cross-origin isolated)";
+        }
 
         recNode.port.onmessage = (e) => {
             if (e.data.type === "chunk") {
-                chunkCount++;
-                $chunks.textContent = String(chunkCount);
-                // In a real app: buffer/encode e.data.mic (and optionally use e.data.ref)
+                onChunk(e.data);
+            } else if (e.data.type === "stopped") {
+                // frames still sitting in the ring belong to the take being closed
+                ringReader?.drain(onChunk);
+                takeRecorder.handleMessage(e.data);
+            } else if (e.data.type === "meter") {
+                showMeter(meterLevels(e.data));
+            } else if (e.data.type === "overflow") {
+                console.warn(`Recorder ring buffer overflow: ${e.data.droppedFrames} frames dropped so far`);
+                $dropped.textContent = String(e.data.droppedFrames);
             }
         };
 
-        // Mic
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        micNode = ctx.createMediaStreamSource(stream);
-        micNode.connect(recNode, 0, 0); // mic → input 0
+        // Mic (default device until the user picks a route)
+        await applyRoute();
 
         // Reference path (silent to speakers; only feeds the worklet)
         refGain = ctx.createGain();
         refGain.gain.value = 1.0; // full into worklet input (not the destination)
         refGain.connect(recNode, 0, 1); // ref → input 1
 
-        // Prepare click buffer now that sampleRate is known
-        clickBuffer = makeClickBuffer(ctx.sampleRate, 120, 4);
-
         btnCalibrate.disabled = false;
-        btnTake.disabled = true;
-        btnInit.disabled = true;
+        btnDrift.disabled = false;
+        btnInit.disabled = true; // Take is enabled once the route has a latency
+
+        profiles.watch(ctx, currentRoute);
+        profiles.addEventListener("stale", (e) => {
+            // other routes' devices changing leaves this one alone
+            if (!profiles.find(currentRoute())?.stale) return;
+            $profile.textContent = `stale (${e.detail.reason}) — please recalibrate`;
+        });
     } catch (err) {
         console.error(err);
         alert("Init failed. Check console.");
@@ -94,6 +175,11 @@ btnInit.onclick = async () => {
 };
 
 btnCalibrate.onclick = async () => {
+    calibration = new AbortController();
+    measuring = true;
+    applyMonitor();
+    btnCalibrate.disabled = true;
+    btnStop.disabled = false;
     try {
         // Reset counters
         chunkCount = 0;
@@ -111,44 +197,404 @@ btnCalibrate.onclick = async () => {
         // });
 
         const result = await calibrateLatencyRobust(ctx, {
-            mode: 'chirp',
+            // reuse the route's open stream rather than a getUserMedia per attempt
+            input: { deviceId: input.deviceId, channel: input.channel, stream: input.stream },
+            mode: $refSignal.value,
             chirp: { durationMs: 500, f0: 1500, f1: 8000, amp: 0.6, fadeMs: 8 },
             maxLagMs: 160,
             allowNegative: false,
             attempts: 7,
             minScore: 0.3,
+            signal: calibration.signal,
+            diagnostics: true, // capture + correlation curve for the plots
+            captureBundle: $captureBundle.checked,
+            analysis,
+            // Headphones: the mic never hears the chirp, so offer tapping along instead
+            tapFallback: async () => confirm("The calibration sound was not picked up (headphones?).\n"
+                + "Calibrate by tapping along with the metronome instead? This is less precise.") && {
+                source: $tapSource.value,
+                onTap: (t) => { $lat.textContent = `tap ${t.count}: ${t.offsetMs.toFixed(0)} ms from the click`; },
+            },
+            onProgress: (p) => {
+                if (p.phase === "tap") {
+                    $lat.textContent = $tapSource.value === "key"
+                        ? "tap any key on every click (4 to get in, then 16 that count)"
+                        : "clap on every click (4 to get in, then 16 that count)";
+                    return;
+                }
+                if (p.phase === "levelCheck") {
+                    $lat.textContent = `level check: probe ${p.amplitude.toFixed(3)}, SNR ${p.snrDb.toFixed(1)} dB${p.clipped ? " (too loud)" : ""}`;
+                    return;
+                }
+                plotCorrelation($plotCorrelation, p.result, ctx.sampleRate);
+                const amp = p.nextAmplitude !== p.amplitude ? `, level ${p.amplitude.toFixed(2)} → ${p.nextAmplitude.toFixed(2)}` : "";
+                $lat.textContent = `attempt ${p.attempt + 1}/${p.attempts}: ${p.result.lagMsPrecise.toFixed(2)} ms, score ${p.result.score.toFixed(2)}${amp}`;
+            },
         });
 
-        console.log(`lag = ${result.lagSamples} samples (${result.lagMs.toFixed(2)} ms), score=${result.score.toFixed(3)}`);
+        console.log(`lag = ${result.lagSamplesFrac.toFixed(2)} samples (${result.lagMsPrecise.toFixed(3)} ms), score=${result.score.toFixed(3)}`);
+        showReport(result.report);
+        // after a tap-along fallback the plots show the acoustic attempts that failed
+        const acoustic = result.acoustic ?? result;
+        plotCaptureOverlay($plotCapture, acoustic);
+        plotCorrelation($plotCorrelation, acoustic, ctx.sampleRate);
+        plotAttempts($plotAttempts, acoustic.report);
+        if (acoustic.bundle) showBundleLink(acoustic.bundle);
 
-        // Persist latency in seconds for scheduling
-        latencySeconds = result.lagSamples / ctx.sampleRate;
+        // Persist latency in seconds for scheduling (sub-sample precision)
+        latencySeconds = result.lagSamplesFrac / ctx.sampleRate;
 
-        $lat.textContent = `${result.lagMs.toFixed(1)} ms`;
+        const lowPrecision = result.precision === "low" ? " (tap-along, low precision)" : "";
+        $lat.textContent = `${result.lagMsPrecise.toFixed(2)} ms${lowPrecision}`;
         btnTake.disabled = false;
+
+        // Only a passing calibration becomes the route's stored latency
+        if (result.report.verdict.pass) {
+            profiles.save(currentRoute(), result);
+            $profile.textContent = `saved for this route${lowPrecision}`;
+        } else {
+            $profile.textContent = "not saved (calibration failed)";
+        }
     } catch (err) {
+        if (err?.name === "AbortError") {
+            $lat.textContent = latencySeconds ? `${(latencySeconds * 1000).toFixed(2)} ms` : "—";
+            return;
+        }
         console.error(err);
         alert("Calibration failed. Check console.");
+    } finally {
+        calibration = null;
+        measuring = false;
+        applyMonitor();
+        btnCalibrate.disabled = false;
+        btnStop.disabled = true;
+    }
+};
+
+// Re-run a saved calibration through the current analysis code; the route's latency is left alone
+$replayBundle.onchange = async () => {
+    const file = $replayBundle.files[0];
+    if (!file) return;
+    try {
+        const bundle = decodeCaptureBundle(await file.arrayBuffer());
+        const { result, attempts, original } = await replayCaptureBundle(bundle, { analysis: analysis ?? undefined, diagnostics: true });
+        const changed = attempts.filter((a) => a.changed).length;
+        const was = original ? ` (recorded ${original.lagMsPrecise.toFixed(2)} ms)` : "";
+        $lat.textContent = `replay of ${file.name}: ${result.lagMsPrecise.toFixed(2)} ms${was}, ${changed}/${attempts.length} attempts changed`;
+        showReport(result.report);
+        plotCaptureOverlay($plotCapture, result);
+        plotCorrelation($plotCorrelation, result, bundle.sampleRate);
+        plotAttempts($plotAttempts, result.report, attempts.map((a) => a.original?.lagMsPrecise ?? null));
+    } catch (err) {
+        console.error(err);
+        alert("Could not replay the capture bundle. Check console.");
+    } finally {
+        $replayBundle.value = "";
     }
 };
 
+function showBundleLink(bundle) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([encodeCaptureBundle(bundle)], { type: "application/octet-stream" }));
+    a.download = `calibration-${bundle.createdAt.replace(/[:.]/g, "-")}.calbundle`;
+    a.textContent = `capture bundle (${bundle.attempts.length} attempts)`;
+    $bundleLink.replaceChildren(a);
+}
+
+function showReport(report) {
+    const { verdict, snrDb, noiseFloorDb, spread, validCount, attempts } = report;
+    const ci = spread.ci95Ms ? ` (95% CI ${spread.ci95Ms[0].toFixed(2)}–${spread.ci95Ms[1].toFixed(2)} ms)` : "";
+    $quality.textContent = report.method === "tap"
+        ? `${verdict.pass ? "pass" : "FAIL"} (tap-along, low precision) — ${validCount}/${report.taps.expected} taps used, `
+            + `${report.taps.rejected} rejected, MAD ${spread.madMs.toFixed(1)} ms${ci}`
+        : `${verdict.pass ? "pass" : "FAIL"} — ${validCount}/${attempts.length} attempts, `
+            + `SNR ${snrDb.toFixed(1)} dB, noise ${noiseFloorDb.toFixed(1)} dBFS, MAD ${spread.madMs.toFixed(3)} ms${ci}`;
+    $guidance.replaceChildren(...verdict.reasons.map((r) => {
+        const li = document.createElement("li");
+        li.textContent = `${r.severity === "error" ? "⚠" : "ℹ"} ${r.message} [${r.code}]`;
+        return li;
+    }));
+}
+
+function applyMonitor() {
+    monitor.setGain($monitor.checked && !measuring ? Number($monitorGain.value) : 0);
+}
+$monitor.onchange = () => monitor && applyMonitor();
+$monitorGain.oninput = () => monitor && applyMonitor();
+
+function showMeter({ peakDb, rmsDb, clip }) {
+    $peakMeter.value = Math.max(-60, peakDb);
+    $rmsMeter.value = Math.max(-60, rmsDb);
+    $levels.textContent = `${peakDb > -120 ? peakDb.toFixed(1) : "-∞"} / ${rmsDb > -120 ? rmsDb.toFixed(1) : "-∞"} dBFS`;
+    $clip.textContent = clip ? "CLIP" : "";
+}
+
+// What the performer hears is late by this much; separate from the record offset the takes compensate
+function showMonitorLatency() {
+    const { seconds, inputReported } = monitorLatency(ctx, input.stream);
+    $monitorLatency.textContent = `${(seconds * 1000).toFixed(1)} ms${inputReported ? "" : " + unreported input latency"}`;
+}
+
+function currentRoute() {
+    return describeRoute(ctx, input.stream, { inputChannel: input.channel });
+}
+
+// Open the selected input/channel, point the context at the selected output,
+// then pick up that route's stored latency (or ask for a calibration).
+async function applyRoute() {
+    const channel = $inputChannel.value === "" ? null : Number($inputChannel.value);
+    const next = await openInput(ctx, { deviceId: $inputDevice.value || undefined, channel });
+    input?.dispose();
+    input = next;
+    input.node.connect(recNode, 0, 0); // mic → input 0
+    showMonitorLatency();
+
+    if (canSelectOutput(ctx) && $outputDevice.value) await setOutputDevice(ctx, $outputDevice.value);
+    await populateDevices();
+    loadProfile();
+}
+
+async function populateDevices() {
+    const { inputs, outputs } = await listAudioDevices();
+    const fill = (select, devices, selected) => {
+        select.replaceChildren(...devices.map((d, i) => new Option(d.label || `Device ${i + 1}`, d.deviceId)));
+        if (devices.some((d) => d.deviceId === selected)) select.value = selected;
+    };
+    fill($inputDevice, inputs, input.deviceId);
+    fill($outputDevice, outputs, $outputDevice.value || "default");
+    $outputDevice.disabled = !canSelectOutput(ctx);
+
+    const channels = [new Option("all", "")];
+    for (let ch = 0; ch < Math.max(input.channelCount, (input.channel ?? 0) + 1); ch++) {
+        channels.push(new Option(`${ch + 1}`, String(ch)));
+    }
+    $inputChannel.replaceChildren(...channels);
+    $inputChannel.value = input.channel == null ? "" : String(input.channel);
+}
+
+function loadProfile() {
+    const profile = profiles.find(currentRoute());
+    if (!profile) {
+        latencySeconds = 0;
+        $lat.textContent = "—";
+        $profile.textContent = "none for this route — please calibrate";
+        btnTake.disabled = true;
+        return;
+    }
+    latencySeconds = profile.latencySeconds;
+    $lat.textContent = `${(latencySeconds * 1000).toFixed(2)} ms`;
+    const when = new Date(profile.timestamp).toLocaleString();
+    $profile.textContent = profile.stale
+        ? `stale (${profile.staleReason}) from ${when} — please recalibrate`
+        : `loaded from ${when} (${profile.method === "tap" ? "tap-along, low precision" : `score ${profile.score.toFixed(2)}`})`;
+    btnTake.disabled = false;
+}
+
+for (const select of [$inputDevice, $inputChannel, $outputDevice]) {
+    select.onchange = async () => {
+        if (select === $inputDevice) $inputChannel.value = ""; // channel list belongs to the old device
+        try {
+            await applyRoute();
+        } catch (err) {
+            console.error(err);
+            alert("Switching audio route failed. Check console.");
+        }
+    };
+}
+
 btnTake.onclick = () => {
     try {
         chunkCount = 0;
         $chunks.textContent = "0";
 
-        const { clickStart, recordStart } = scheduleTake(
-            ctx,
-            recNode,
-            clickBuffer,
+        const settings = {
+            bpm: Number($bpm.value) || 120,
+            beatsPerBar: Number($beatsPerBar.value) || 4,
+            beatUnit: Number($beatUnit.value) || 4,
+            subdivision: Number($subdivision.value) || 1,
+        };
+        const countInBars = Math.max(1, Number($countIn.value) || 1);
+
+        metronome?.dispose();
+        metronome = new Metronome(ctx, settings);
+        metronome.addEventListener("beat", (e) => {
+            const { time, bar, beat } = e.detail;
+            // events arrive up to one lookahead early; show them when they sound
+            const label = bar < countInBars ? `count-in ${bar + 1}.${beat + 1}` : `bar ${bar - countInBars + 1}.${beat + 1}`;
+            setTimeout(() => { $beatPos.textContent = label; }, Math.max(0, (time - ctx.currentTime) * 1000));
+        });
+
+        // Checking alignment needs the count-in in the take: no performance on top of the clicks yet
+        const { clickStart, downbeat, recordStart, downbeatFrame } = scheduleTake(ctx, recNode, metronome, latencySeconds, {
+            countInBars,
+            recordCountIn: $verifyTake.checked,
+        });
+        takeRecorder.begin({
+            contextStartTime: recordStart,
             latencySeconds,
-            120, // bpm
-            4    // beats per bar
-        );
+            bpm: settings.bpm,
+            bars: countInBars,
+            beatsPerBar: settings.beatsPerBar,
+            downbeatFrame,
+            downbeatTime: downbeat,
+        });
+        // The session plays from the downbeat, in time with the metronome
+        overdub = $overdub.checked && session.tracks.length ? { downbeat, playback: session.play(ctx, downbeat) } : null;
         $clickStart.textContent = `${clickStart.toFixed(3)} s`;
         $recordStart.textContent = `${recordStart.toFixed(3)} s`;
+        btnTake.disabled = true;
+        btnStop.disabled = false;
     } catch (err) {
         console.error(err);
         alert("Take scheduling failed. Check console.");
     }
-};
\ No newline at end of file
+};
+
+btnDrift.onclick = async () => {
+    calibration = new AbortController();
+    btnStop.disabled = false;
+    try {
+        btnDrift.disabled = true;
+        measuring = true;
+        applyMonitor();
+        $driftPpm.textContent = "measuring (30 s)…";
+        const res = await measureClockDrift(ctx, {
+            windowSeconds: 30,
+            input: { deviceId: input.deviceId, channel: input.channel },
+            signal: calibration.signal,
+            analysis,
+        });
+        driftPpm = res.driftPpm;
+        const lags = res.points.map((p) => p.lagSamples.toFixed(2)).join(" → ");
+        $driftPpm.textContent = `${driftPpm.toFixed(1)} ppm (latency ${lags} samples over ${res.points.length} chirps, `
+            + `residual ${res.residualSamples.toFixed(2)}; takes are resampled to the output clock)`;
+    } catch (err) {
+        if (err?.name === "AbortError") {
+            $driftPpm.textContent = driftPpm ? `${driftPpm.toFixed(1)} ppm` : "—";
+            return;
+        }
+        console.error(err);
+        alert("Drift measurement failed. Check console.");
+    } finally {
+        calibration = null;
+        measuring = false;
+        applyMonitor();
+        btnDrift.disabled = false;
+        btnStop.disabled = true;
+    }
+};
+
+btnStop.onclick = () => {
+    if (calibration) {
+        calibration.abort();
+        return;
+    }
+    // The worklet answers with "stopped" after its last chunk, which closes the take
+    recNode.port.postMessage({ type: "stop" });
+    metronome?.stop();
+    overdub?.playback.stop();
+    btnStop.disabled = true;
+    btnTake.disabled = false;
+};
+
+// Optional alignment check (on the context timeline, so before drift compensation), then list the take
+async function finishTake(take) {
+    let alignment = null;
+    if ($verifyTake.checked && metronome) {
+        try {
+            // the take is copied to the analysis worker, not transferred: it is still listed below
+            alignment = await analysis.verifyTakeAlignment(take, clickTrack(metronome));
+        } catch (err) {
+            console.error(err); // keep the take, unchecked
+        }
+        if (alignment?.exceeded) {
+            // The route's latency moved since calibration: fix this take and the stored profile
+            take = correctTakeAlignment(take, alignment);
+            latencySeconds = alignment.latencySeconds;
+            $lat.textContent = `${(latencySeconds * 1000).toFixed(2)} ms`;
+            const previous = profiles.find(currentRoute());
+            profiles.save(currentRoute(), {
+                lagSamplesFrac: latencySeconds * ctx.sampleRate,
+                score: previous?.score ?? alignment.score,
+                // a tapped profile stays marked low-precision
+                method: previous?.method,
+            });
+            $profile.textContent = `updated from take ${take.id} (off by ${alignment.offsetMs.toFixed(2)} ms)`;
+        }
+    }
+    if (driftPpm) take = compensateTakeDrift(take, driftPpm);
+
+    // An overdub pass joins the session it was played against
+    const inSession = !!overdub;
+    if (overdub) {
+        session.addTake(take);
+        showSession();
+        overdub = null;
+    }
+    addTakeLinks(take, alignment, inSession);
+    plotTake($plotTake, take, metronome?.scheduled);
+}
+
+function showSession() {
+    $session.textContent = session.tracks.length
+        ? `${session.tracks.map((t) => t.name).join(", ")} (${session.duration.toFixed(2)} s)`
+        : "empty";
+    btnMixdown.disabled = !session.tracks.length;
+}
+
+$backing.onchange = async () => {
+    const file = $backing.files[0];
+    if (!file) return;
+    try {
+        // decodeAudioData resamples to the context rate, as the session requires
+        const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+        session.addBuffer(buffer, { name: file.name });
+        showSession();
+        $overdub.checked = true;
+    } catch (err) {
+        console.error(err);
+        alert("Could not load the backing track. Check console.");
+    } finally {
+        $backing.value = "";
+    }
+};
+
+btnMixdown.onclick = () => {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([session.toWav("pcm24")], { type: "audio/wav" }));
+    a.download = "session-mixdown.wav";
+    a.textContent = "mixdown (24-bit)";
+    $mixdownLink.replaceChildren(a);
+};
+
+// One download link per export format. Files start at the downbeat: the
+// count-in a verified take recorded is left out
+function addTakeLinks(take, alignment = null, inSession = false) {
+    const li = document.createElement("li");
+    li.textContent = `Take ${take.id} (${take.duration.toFixed(2)} s, ${take.channels.length} ch) `;
+    if (alignment) {
+        li.textContent += !alignment.detected
+            ? "[no click bleed found, alignment not checked] "
+            : alignment.exceeded
+                ? `[was off by ${alignment.offsetMs.toFixed(2)} ms, corrected] `
+                : `[aligned within ${Math.abs(alignment.offsetMs).toFixed(2)} ms] `;
+    }
+    for (const [format, label] of [["pcm16", "16-bit"], ["pcm24", "24-bit"], ["float32", "32-bit float"]]) {
+        const a = document.createElement("a");
+        a.href = URL.createObjectURL(new Blob([takeToWav(take, format)], { type: "audio/wav" }));
+        a.download = `take-${take.id}-${format}.wav`;
+        a.textContent = label;
+        li.appendChild(a);
+    }
+    if (!inSession) {
+        const add = document.createElement("button");
+        add.textContent = "add to session";
+        add.onclick = () => {
+            session.addTake(take);
+            showSession();
+            add.disabled = true;
+        };
+        li.appendChild(add);
+    }
+    $takes.appendChild(li);
+}
\ No newline at end of file
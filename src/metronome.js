@@ -0,0 +1,204 @@
+/**
+ * Lookahead metronome driven by the AudioContext clock.
+ * - A short timer wakes up every `intervalMs` and schedules every tick that
+ *   falls within the next `lookahead` seconds, so it can run for minutes
+ *   without pre-rendering a long buffer
+ * - Time signature (beatsPerBar / beatUnit), subdivisions and an accented
+ *   downbeat with its own tone. `bpm` counts quarter notes, so a beat of
+ *   `beatUnit` 8 lasts half as long; compound meters (6/8, 9/8, 12/8) click
+ *   the first eighth of each group of three with the beat tone and the
+ *   other two with the subdivision tone
+ * - Emits "beat" and "bar" events carrying the context time of the tick
+ * - Keeps the list of ticks it played (`scheduled`) so a take can be checked
+ *   against the click bleed afterwards (take-alignment.js)
+ *
+ * Usage:
+ *   const met = new Metronome(ctx, { bpm: 96, beatsPerBar: 3, subdivision: 2 });
+ *   met.addEventListener("bar", (e) => console.log(e.detail.bar, e.detail.time));
+ *   const t0 = met.start(ctx.currentTime + 0.2);
+ *   met.stop(t0 + 4 * met.barDuration);
+ */
+
+const DEFAULT_TONES = {
+    accent: { freq: 1760, durMs: 35, gain: 1.0 },   // downbeat
+    beat: { freq: 1320, durMs: 30, gain: 0.7 },
+    sub: { freq: 880, durMs: 20, gain: 0.35 },      // subdivisions
+};
+
+export class Metronome extends EventTarget {
+    /**
+     * @param {BaseAudioContext} ctx
+     * @param {object} [opts]
+     * @param {number} [opts.bpm=120]          Quarter notes per minute
+     * @param {number} [opts.beatsPerBar=4]
+     * @param {number} [opts.beatUnit=4]       Denominator of the time signature (2, 4, 8, …)
+     * @param {number} [opts.subdivision=1]    Ticks per beat (2 = eighths in x/4)
+     * @param {AudioNode} [opts.destination=ctx.destination]
+     * @param {number} [opts.gain=0.8]
+     * @param {number} [opts.lookahead=0.1]    Seconds scheduled ahead of currentTime
+     * @param {number} [opts.intervalMs=25]    Scheduler wake-up period
+     * @param {object} [opts.tones]            Override {accent, beat, sub}: {freq, durMs, gain}
+     */
+    constructor(ctx, opts = {}) {
+        super();
+        const {
+            bpm = 120,
+            beatsPerBar = 4,
+            beatUnit = 4,
+            subdivision = 1,
+            destination = ctx.destination,
+            gain = 0.8,
+            lookahead = 0.1,
+            intervalMs = 25,
+            tones = {},
+        } = opts;
+
+        this.ctx = ctx;
+        this.bpm = bpm;
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        this.subdivision = Math.max(1, Math.floor(subdivision));
+        this.lookahead = lookahead;
+        this.intervalMs = intervalMs;
+
+        this.output = ctx.createGain();
+        this.output.gain.value = gain;
+        this.output.connect(destination);
+
+        this.tones = {
+            accent: { ...DEFAULT_TONES.accent, ...tones.accent },
+            beat: { ...DEFAULT_TONES.beat, ...tones.beat },
+            sub: { ...DEFAULT_TONES.sub, ...tones.sub },
+        };
+        this.buffers = {};
+        for (const kind of Object.keys(this.tones)) {
+            const samples = makeClickTone(ctx.sampleRate, this.tones[kind]);
+            const buf = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+            buf.getChannelData(0).set(samples);
+            this.buffers[kind] = buf;
+        }
+
+        this.running = false;
+        this.startTime = 0;
+        this.stopTime = Infinity;
+        this.nextTick = 0;      // index of the next tick to schedule
+        this.timer = null;
+        this.sources = [];      // scheduled, not yet finished
+        this.scheduled = [];    // {time, kind} of every tick played since start()
+    }
+
+    get beatDuration() { return (60 / this.bpm) * (4 / this.beatUnit); }
+    /** Beats per accent group: 3 in compound meters (6/8, 9/8, 12/8), else 1. */
+    get beatGroup() { return this.beatUnit >= 8 && this.beatsPerBar > 3 && this.beatsPerBar % 3 === 0 ? 3 : 1; }
+    get barDuration() { return this.beatDuration * this.beatsPerBar; }
+
+    /** Context time of `beat` (0-based) in `bar` (0-based) relative to start(). */
+    timeOf(bar, beat = 0) {
+        return this.startTime + bar * this.barDuration + beat * this.beatDuration;
+    }
+
+    /**
+     * Start ticking at `when` (context time). Returns the start time.
+     * @param {number} [when=ctx.currentTime + 0.05]
+     */
+    start(when = this.ctx.currentTime + 0.05) {
+        if (this.running) this.stop();
+        this.running = true;
+        this.startTime = when;
+        this.stopTime = Infinity;
+        this.nextTick = 0;
+        this.scheduled = [];
+        this.schedule();
+        return when;
+    }
+
+    /**
+     * Stop at `when` (context time, default now). Ticks already scheduled past
+     * `when` are cancelled.
+     */
+    stop(when = this.ctx.currentTime) {
+        this.stopTime = when;
+        this.sources = this.sources.filter(({ src, time }) => {
+            if (time >= when) {
+                try { src.stop(); } catch { /* not started yet in some engines */ }
+                src.disconnect();
+                return false;
+            }
+            return true;
+        });
+        this.scheduled = this.scheduled.filter((t) => t.time < when);
+        if (when <= this.ctx.currentTime) this.halt();
+    }
+
+    halt() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        if (!this.running) return;
+        const horizon = this.ctx.currentTime + this.lookahead;
+        const tickDur = this.beatDuration / this.subdivision;
+        const ticksPerBar = this.beatsPerBar * this.subdivision;
+
+        for (;;) {
+            const time = this.startTime + this.nextTick * tickDur;
+            if (time >= horizon) break;
+            if (time >= this.stopTime) { this.halt(); return; }
+
+            const bar = Math.floor(this.nextTick / ticksPerBar);
+            const inBar = this.nextTick % ticksPerBar;
+            const beat = Math.floor(inBar / this.subdivision);
+            const sub = inBar % this.subdivision;
+            const kind = sub !== 0 || beat % this.beatGroup !== 0 ? 'sub' : beat === 0 ? 'accent' : 'beat';
+            this.nextTick++;
+
+            // Ticks that are already late (e.g. a throttled tab) are skipped, not bunched up
+            if (time < this.ctx.currentTime) continue;
+
+            this.playTick(kind, time);
+            this.scheduled.push({ time, kind });
+            const detail = { time, bar, beat, sub, accent: kind === 'accent' };
+            if (sub === 0) {
+                if (beat === 0) this.dispatchEvent(new CustomEvent('bar', { detail }));
+                this.dispatchEvent(new CustomEvent('beat', { detail }));
+            }
+        }
+        this.timer = setTimeout(() => this.schedule(), this.intervalMs);
+    }
+
+    playTick(kind, time) {
+        const src = this.ctx.createBufferSource();
+        src.buffer = this.buffers[kind];
+        src.connect(this.output);
+        src.start(time);
+        const entry = { src, time };
+        this.sources.push(entry);
+        src.onended = () => {
+            src.disconnect();
+            const i = this.sources.indexOf(entry);
+            if (i >= 0) this.sources.splice(i, 1);
+        };
+    }
+
+    /** Release the output node. */
+    dispose() {
+        this.stop();
+        this.halt();
+        this.output.disconnect();
+    }
+}
+
+/** Short sine burst with a fast attack and exponential decay. */
+export function makeClickTone(sr, { freq, durMs, gain }) {
+    const n = Math.max(1, Math.round((durMs / 1000) * sr));
+    const y = new Float32Array(n);
+    const attack = Math.max(1, Math.round(0.0005 * sr));
+    const tau = n / 5;
+    for (let i = 0; i < n; i++) {
+        const env = Math.min(1, i / attack) * Math.exp(-i / tau);
+        y[i] = gain * env * Math.sin(2 * Math.PI * freq * i / sr);
+    }
+    return y;
+}
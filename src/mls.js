@@ -0,0 +1,93 @@
+/**
+ * Maximum-length sequences (MLS): primitive-polynomial table, generator with
+ * a period check, and circular correlation via the fast Walsh-Hadamard
+ * transform (Cohn-Lempel permutation method).
+ *
+ * LFSR form (the one makeMLSSequence has always used): the register holds
+ * s[n .. n+N-1] with bit k = s[n+k]; each step outputs bit 0 and shifts in
+ *   s[n+N] = s[n] ⊕ (⊕ over taps t) s[n+t]
+ * i.e. characteristic polynomial x^N + Σ_t x^t + 1. Output value: s ? 1 : -1.
+ *
+ * Usage:
+ *   const mls = generateMLS(16);                 // { sequence, states, length, ... }
+ *   const r = mlsCorrelate(onePeriodOfMic, mls); // r[k] ≈ (L + 1) · h[k]
+ */
+
+import { fwht } from './fft.js';
+
+/** Feedback taps (excluding the implicit bit 0 tap) of a primitive polynomial per order. */
+export const MLS_TAPS = {
+    2: [1], 3: [2], 4: [3], 5: [3], 6: [5], 7: [6], 8: [6, 5, 4], 9: [5],
+    10: [7], 11: [9], 12: [11, 10, 4], 13: [12, 11, 8], 14: [13, 12, 2], 15: [14],
+    16: [15, 13, 4], 17: [14], 18: [11], 19: [18, 17, 14], 20: [17],
+};
+
+const cache = new Map();
+
+/**
+ * One period of the bipolar MLS and the register state at every step.
+ * Throws if the register comes back to its start before 2^order - 1 steps,
+ * i.e. the taps are not a primitive polynomial.
+ * @param {number} order  2..20
+ * @param {number[]} [taps=MLS_TAPS[order]]
+ * @returns {{order:number, taps:number[], length:number, sequence:Float32Array, states:Uint32Array}}
+ */
+export function generateMLS(order, taps = MLS_TAPS[order]) {
+    if (!taps) throw new Error(`MLS order ${order} not supported (2..20)`);
+    const key = `${order}:${taps.join(',')}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const length = (1 << order) - 1;
+    const sequence = new Float32Array(length);
+    const states = new Uint32Array(length);
+    let reg = 1; // non-zero init
+    for (let i = 0; i < length; i++) {
+        if (i > 0 && reg === 1) throw new Error(`MLS taps [${taps}] for order ${order} repeat after ${i} samples, not ${length}`);
+        states[i] = reg;
+        const bit = reg & 1;
+        sequence[i] = bit ? 1 : -1; // bipolar
+        let fb = bit;
+        for (const t of taps) fb ^= (reg >> t) & 1;
+        reg = (reg >> 1) | (fb << (order - 1));
+    }
+    if (reg !== 1) throw new Error(`MLS taps [${taps}] for order ${order} do not return to the initial state`);
+
+    const mls = { order, taps, length, sequence, states };
+    cache.set(key, mls);
+    return mls;
+}
+
+/**
+ * Circular cross-correlation of one period `y` with the MLS:
+ *   r[k] = Σ_n y[n] · m[(n - k) mod L],  k = 0 .. L-1
+ * For a system response y = h ⊛ m this is (L + 1) · h[k] minus a tiny DC term.
+ * O(L log L) via the Hadamard transform instead of O(L²).
+ * @param {Float32Array|Float64Array} y  At least one period long (extra samples are ignored)
+ * @param {ReturnType<typeof generateMLS>} mls
+ * @returns {Float64Array}
+ */
+export function mlsCorrelate(y, mls) {
+    const { order, taps, length: L, states } = mls;
+
+    // Scatter into Hadamard order: z[state at step n] = y[n]
+    const z = new Float64Array(1 << order);
+    for (let n = 0; n < L; n++) z[states[n]] = y[n];
+    fwht(z);
+
+    // s[n + j] = parity(state_n & mask[j]); the masks obey the same recurrence as s
+    const mask = new Uint32Array(L);
+    for (let j = 0; j < L; j++) {
+        if (j < order) {
+            mask[j] = 1 << j;
+        } else {
+            let m = mask[j - order];
+            for (const t of taps) m ^= mask[j - order + t];
+            mask[j] = m;
+        }
+    }
+
+    // m = s ? 1 : -1 = -(-1)^s, and m[n - k] = m[n + (L - k) mod L]
+    const r = new Float64Array(L);
+    for (let k = 0; k < L; k++) r[k] = -z[mask[(L - k) % L]];
+    return r;
+}
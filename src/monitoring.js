@@ -0,0 +1,84 @@
+/**
+ * Live input monitoring and level metering around recorder-processor.
+ * - The worklet copies its mic input to output 0; createMonitor() sends that
+ *   to the speakers through its own GainNode (gain 0 = monitoring off)
+ * - The worklet posts {type: "meter", peak, rms, clip} per channel at a
+ *   throttled rate; meterLevels() condenses one message to dBFS for the UI
+ * - monitorLatency() is how late performers hear themselves (input + output
+ *   latency as reported by the browser). It is a different number from the
+ *   calibrated record offset, which the take scheduling compensates for;
+ *   monitoring latency cannot be compensated, only kept small.
+ *
+ * Usage:
+ *   const recNode = new AudioWorkletNode(ctx, "recorder-processor", { numberOfInputs: 2, numberOfOutputs: 1 });
+ *   const monitor = createMonitor(ctx, recNode, { gain: 0.8 });
+ *   recNode.port.onmessage = (e) => { if (e.data.type === "meter") show(meterLevels(e.data)); };
+ *   console.log(monitorLatency(ctx, micStream).seconds);
+ */
+
+/**
+ * Route the recorder node's monitor output to the speakers.
+ * @param {AudioContext} ctx
+ * @param {AudioWorkletNode} recNode     recorder-processor with one output
+ * @param {object} [opts]
+ * @param {number} [opts.gain=0]
+ * @param {AudioNode} [opts.destination=ctx.destination]
+ * @returns {{node: GainNode, setGain: (gain:number, rampSeconds?:number) => void, dispose: () => void}}
+ */
+export function createMonitor(ctx, recNode, { gain = 0, destination = ctx.destination } = {}) {
+    const node = ctx.createGain();
+    node.gain.value = gain;
+    recNode.connect(node, 0, 0);
+    node.connect(destination);
+    return {
+        node,
+        // short ramp: an instant jump of a loud input clicks
+        setGain(value, rampSeconds = 0.02) {
+            const now = ctx.currentTime;
+            node.gain.cancelScheduledValues(now);
+            node.gain.setValueAtTime(node.gain.value, now);
+            node.gain.linearRampToValueAtTime(value, now + rampSeconds);
+        },
+        dispose() {
+            recNode.disconnect(node);
+            node.disconnect();
+        },
+    };
+}
+
+/**
+ * One worklet meter message in dBFS; the loudest channel drives the summary.
+ * @param {{peak:number[], rms:number[], clip:boolean[]}} msg
+ * @returns {{peakDb:number, rmsDb:number, clip:boolean, channels:Array<{peakDb:number, rmsDb:number, clip:boolean}>}}
+ */
+export function meterLevels({ peak, rms, clip }) {
+    const channels = peak.map((p, ch) => ({ peakDb: toDb(p), rmsDb: toDb(rms[ch]), clip: !!clip[ch] }));
+    return {
+        peakDb: Math.max(-Infinity, ...channels.map((c) => c.peakDb)),
+        rmsDb: Math.max(-Infinity, ...channels.map((c) => c.rmsDb)),
+        clip: channels.some((c) => c.clip),
+        channels,
+    };
+}
+
+/**
+ * Latency of the monitor path: mic → input buffering → graph → output buffering → speakers.
+ * `inputSeconds` is the track's reported capture latency (0 where the browser
+ * does not report it, so `seconds` is then a lower bound).
+ * @param {AudioContext} ctx
+ * @param {MediaStream} [stream]
+ * @returns {{inputSeconds:number, outputSeconds:number, seconds:number, inputReported:boolean}}
+ */
+export function monitorLatency(ctx, stream) {
+    const settings = stream?.getAudioTracks?.()[0]?.getSettings?.() ?? {};
+    const inputReported = typeof settings.latency === 'number';
+    const inputSeconds = inputReported ? settings.latency : 0;
+    const outputSeconds = (ctx.baseLatency ?? 0) + (ctx.outputLatency ?? 0);
+    return { inputSeconds, outputSeconds, seconds: inputSeconds + outputSeconds, inputReported };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function toDb(v) {
+    return v > 0 ? 20 * Math.log10(v) : -Infinity;
+}
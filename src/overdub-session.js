@@ -0,0 +1,155 @@
+/**
+ * Multitrack overdub session.
+ * - Tracks are backing material (a decoded AudioBuffer) or earlier takes,
+ *   placed on one sample-accurate timeline whose frame 0 is the downbeat
+ * - play() schedules every track against the downbeat of a scheduleTake()
+ *   pass, so the backing runs in sync with the metronome
+ * - addTake() places a new recording with the calibrated latency removed:
+ *   the frame heard at context time t + latency belongs at time t
+ * - Mixdown to planar channels or a WAV file
+ *
+ * Usage:
+ *   const session = new OverdubSession(ctx.sampleRate);
+ *   session.addBuffer(await ctx.decodeAudioData(bytes), { name: "backing" });
+ *   const { downbeat } = scheduleTake(ctx, recNode, met, latency, { countInBars: 1 });
+ *   const playback = session.play(ctx, downbeat);
+ *   takes.onTake = (take) => { playback.stop(); session.addTake(take, downbeat); };
+ *   download(session.toWav("pcm24"));
+ */
+
+import { encodeWav } from './wav.js';
+
+export class OverdubSession {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /** End of the last track, in frames after the downbeat. */
+    get length() {
+        return this.tracks.reduce((end, t) => Math.max(end, t.startFrame + (t.channels[0]?.length ?? 0)), 0);
+    }
+
+    get duration() { return this.length / this.sampleRate; }
+
+    /**
+     * Add backing material.
+     * @param {AudioBuffer} buffer     Must be at the session's sample rate
+     * @param {object} [opts]
+     * @param {string} [opts.name]
+     * @param {number} [opts.startFrame=0]  Position of the buffer's first frame relative to the downbeat
+     * @param {number} [opts.gain=1]
+     */
+    addBuffer(buffer, { name, startFrame = 0, gain = 1 } = {}) {
+        const channels = [];
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch).slice());
+        return this.addTrack(channels, buffer.sampleRate, { name: name ?? `Backing ${this.nextId}`, startFrame, gain });
+    }
+
+    /**
+     * Add a take recorded against `downbeat`. Frame n of the take was captured
+     * at meta.contextStartTime + n / sampleRate, i.e. it is what was played at
+     * that time minus meta.latencySeconds.
+     * @param {object} take        From TakeRecorder
+     * @param {number} [downbeat=take.meta.downbeatTime]  Context time of the downbeat (scheduleTake().downbeat)
+     * @param {object} [opts]
+     * @param {string} [opts.name]
+     * @param {number} [opts.gain=1]
+     */
+    addTake(take, downbeat = take.meta.downbeatTime, { name, gain = 1 } = {}) {
+        const { meta } = take;
+        if (downbeat == null) throw new Error(`Take ${take.id} has no downbeat time to place it by`);
+        const startFrame = Math.round((meta.contextStartTime - meta.latencySeconds - downbeat) * meta.sampleRate);
+        return this.addTrack(take.channels, meta.sampleRate, { name: name ?? `Take ${take.id}`, startFrame, gain });
+    }
+
+    addTrack(channels, sampleRate, { name, startFrame = 0, gain = 1 }) {
+        if (sampleRate !== this.sampleRate) {
+            throw new Error(`Track is ${sampleRate} Hz but the session runs at ${this.sampleRate} Hz`);
+        }
+        const track = { id: this.nextId++, name, channels, startFrame, gain, muted: false };
+        this.tracks.push(track);
+        return track;
+    }
+
+    removeTrack(id) {
+        this.tracks = this.tracks.filter((t) => t.id !== id);
+    }
+
+    /**
+     * Schedule every unmuted track so session frame 0 sounds at `downbeat`.
+     * Material before frame 0 (e.g. a recorded count-in) is not played.
+     * @param {BaseAudioContext} ctx
+     * @param {number} downbeat       Context time
+     * @param {object} [opts]
+     * @param {AudioNode} [opts.destination=ctx.destination]
+     * @returns {{stop: (when?: number) => void}}
+     */
+    play(ctx, downbeat, { destination = ctx.destination } = {}) {
+        const nodes = [];
+        for (const track of this.tracks) {
+            const frames = track.channels[0]?.length ?? 0;
+            if (track.muted || !frames || track.startFrame + frames <= 0) continue;
+
+            const buffer = ctx.createBuffer(track.channels.length, frames, this.sampleRate);
+            track.channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+            const src = ctx.createBufferSource();
+            src.buffer = buffer;
+            const gain = ctx.createGain();
+            gain.gain.value = track.gain;
+            src.connect(gain).connect(destination);
+
+            const skip = Math.max(0, -track.startFrame) / this.sampleRate;
+            src.start(downbeat + Math.max(0, track.startFrame) / this.sampleRate, skip);
+            src.onended = () => { src.disconnect(); gain.disconnect(); };
+            nodes.push(src);
+        }
+        return {
+            stop(when = ctx.currentTime) {
+                for (const src of nodes) {
+                    try { src.stop(when); } catch { /* already stopped */ }
+                }
+            },
+        };
+    }
+
+    /**
+     * Sum the unmuted tracks from the downbeat on.
+     * @param {object} [opts]
+     * @param {number} [opts.channels]   Output channel count (default: widest track); mono tracks go to every channel
+     * @param {number} [opts.length=this.length]
+     * @returns {Float32Array[]}
+     */
+    mixdown({ channels, length = this.length } = {}) {
+        const live = this.tracks.filter((t) => !t.muted);
+        const count = channels ?? Math.max(1, ...live.map((t) => t.channels.length));
+        const out = Array.from({ length: count }, () => new Float32Array(length));
+
+        for (const track of live) {
+            for (let ch = 0; ch < count; ch++) {
+                const data = track.channels.length === 1 ? track.channels[0] : track.channels[ch];
+                if (!data) continue;
+                const from = Math.max(0, -track.startFrame);
+                const to = Math.min(data.length, length - track.startFrame);
+                const dst = out[ch];
+                for (let i = from; i < to; i++) dst[track.startFrame + i] += track.gain * data[i];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Export the mixdown as RIFF/WAVE.
+     * @param {'pcm16'|'pcm24'|'float32'} [format='pcm16']
+     * @returns {ArrayBuffer}
+     */
+    toWav(format = 'pcm16') {
+        const names = this.tracks.filter((t) => !t.muted).map((t) => t.name).join(', ');
+        return encodeWav(this.mixdown(), this.sampleRate, {
+            format,
+            bext: { description: `mixdown; tracks=${names}`, originator: 'recording-calibration' },
+            cues: [{ position: 0, label: 'Downbeat' }],
+        });
+    }
+}
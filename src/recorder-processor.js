@@ -1,27 +1,74 @@
+// SharedArrayBuffer ring layout, mirrored from src/ring-buffer.js (worklet
+// modules are loaded standalone, so it can't be imported here)
+const RING_WRITE = 0;
+const RING_READ = 1;
+const RING_DROPPED = 2;
+const RING_HEADER_BYTES = 16;
+
+// Frames from t0 to `time`. A time on a frame boundary comes out a hair off
+// in floating point, and ceil() would then move it by a whole frame.
+function framesUntil(time, t0) {
+    const frames = (time - t0) * sampleRate;
+    const nearest = Math.round(frames);
+    return Math.abs(frames - nearest) < 1e-6 ? nearest : frames;
+}
+
 class RecorderProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
+        const { meterIntervalMs = 50, clipLevel = 0.99, clipHoldMs = 1000 } = options?.processorOptions ?? {};
         this.startAt = null;     // seconds
         this.endAt = null;       // seconds (optional)
         this.recording = false;
+        this.frac = 0;           // sub-frame delay applied while recording (0..1)
+        this.prevMic = [];       // last sample of each channel from the previous block
+        this.prevRef = [];
+        this.ring = null;        // optional SharedArrayBuffer transport
+        // Input metering, posted as "meter" every intervalMs (0 = off)
+        this.meter = { intervalMs: meterIntervalMs, clipLevel, clipHoldMs, frames: 0, peak: [], sumSq: [], clipUntil: [] };
 
         this.port.onmessage = (e) => {
-            const { type, time, start, end } = e.data || {};
+            const { type, time, start, end, config, intervalMs, clipLevel, clipHoldMs } = e.data || {};
             if (type === "startAt") {
                 this.startAt = time; this.endAt = null; this.recording = false;
             } else if (type === "setWindow") { // schedule a finite window
                 this.startAt = start; this.endAt = end; this.recording = false;
             } else if (type === "stop") {
+                const wasActive = this.recording || this.startAt != null;
                 this.recording = false; this.startAt = null; this.endAt = null;
+                // every chunk of the take was posted before this, so the
+                // main thread can close the take when it sees "stopped"
+                if (wasActive) this.port.postMessage({ type: "stopped" });
+            } else if (type === "meter") { // change metering: any of intervalMs, clipLevel, clipHoldMs
+                if (intervalMs != null) this.meter.intervalMs = intervalMs;
+                if (clipLevel != null) this.meter.clipLevel = clipLevel;
+                if (clipHoldMs != null) this.meter.clipHoldMs = clipHoldMs;
+            } else if (type === "useRingBuffer") { // config from createRingBuffer(), or null for postMessage
+                this.ring = config ? {
+                    header: new Int32Array(config.sab, 0, RING_HEADER_BYTES / 4),
+                    data: new Float32Array(config.sab, RING_HEADER_BYTES,
+                        config.capacityFrames * (config.micChannels + config.refChannels)),
+                    capacity: config.capacityFrames,
+                    micChannels: config.micChannels,
+                    refChannels: config.refChannels,
+                    overflowing: false,
+                } : null;
             }
         };
     }
 
-    process(inputs) {
+    process(inputs, outputs) {
         const micIn = inputs[0];
         const refIn = inputs[1];
         if (!micIn || micIn.length === 0) return true;
 
+        // Monitor: the mic straight to output 0 (the node's owner sets the level)
+        const monitor = outputs[0];
+        if (monitor) {
+            for (let ch = 0; ch < monitor.length; ch++) monitor[ch].set(micIn[Math.min(ch, micIn.length - 1)]);
+        }
+        this.measure(micIn);
+
         const blockSize = micIn[0].length;
         const t0 = currentTime;
         const t1 = t0 + blockSize / sampleRate;
@@ -29,48 +76,161 @@ class RecorderProcessor extends AudioWorkletProcessor {
         // Not recording yet? Check if we should start inside this block.
         let startFrameInBlock = 0;
         if (!this.recording) {
-            if (this.startAt == null || this.startAt >= t1) return true; // not time yet
-            // start this block
-            startFrameInBlock = Math.max(0, Math.floor((this.startAt - t0) * sampleRate));
+            if (this.startAt == null || this.startAt >= t1) { this.keepLast(micIn, refIn); return true; } // not time yet
+            // start this block: first whole frame at/after startAt, and the
+            // fraction of a frame we need to look back to hit startAt exactly
+            const pos = Math.max(0, framesUntil(this.startAt, t0));
+            startFrameInBlock = Math.ceil(pos);
+            this.frac = startFrameInBlock - pos;
             this.recording = true;
         }
 
         // If we have an endAt, truncate within this block (and stop thereafter)
         let endFrameInBlock = blockSize;
         if (this.endAt != null) {
-            if (this.endAt <= t0) { this.recording = false; return true; }
+            if (this.endAt <= t0) {
+                this.recording = false; this.startAt = null; this.endAt = null;
+                this.port.postMessage({ type: "stopped" });
+                this.keepLast(micIn, refIn);
+                return true;
+            }
             if (this.endAt < t1) {
-                endFrameInBlock = Math.max(0, Math.floor((this.endAt - t0) * sampleRate));
+                // output frame j represents time (j - frac), keep those before endAt
+                endFrameInBlock = Math.min(blockSize, Math.max(0, Math.ceil(framesUntil(this.endAt, t0) + this.frac)));
                 // After sending this truncated chunk, we’ll stop
                 var willStopAfterThisBlock = true;
             }
         }
 
         const framesToCopy = Math.max(0, endFrameInBlock - startFrameInBlock);
-        if (framesToCopy > 0) {
-            const copyChannels = (srcArray) => {
+        if (framesToCopy > 0 && this.ring) {
+            this.writeRing(micIn, refIn, startFrameInBlock, endFrameInBlock);
+        } else if (framesToCopy > 0) {
+            const frac = this.frac;
+            const copyChannels = (srcArray, prev) => {
                 if (!srcArray || srcArray.length === 0) return null;
                 const out = new Array(srcArray.length);
                 for (let ch = 0; ch < srcArray.length; ch++) {
                     const src = srcArray[ch];
                     const view = src.subarray(startFrameInBlock, endFrameInBlock);
                     const copy = new Float32Array(view.length);
-                    copy.set(view);
+                    if (frac === 0) {
+                        copy.set(view);
+                    } else {
+                        // linear interpolation between frame j-1 and j
+                        for (let j = startFrameInBlock; j < endFrameInBlock; j++) {
+                            const before = j > 0 ? src[j - 1] : (prev[ch] ?? 0);
+                            copy[j - startFrameInBlock] = (1 - frac) * src[j] + frac * before;
+                        }
+                    }
                     out[ch] = copy;
                 }
                 return out;
             };
             this.port.postMessage({
                 type: "chunk",
-                mic: copyChannels(micIn),
-                ref: copyChannels(refIn),
+                mic: copyChannels(micIn, this.prevMic),
+                ref: copyChannels(refIn, this.prevRef),
             });
         }
+        this.keepLast(micIn, refIn);
 
         if (willStopAfterThisBlock) {
             this.recording = false; this.startAt = null; this.endAt = null;
+            this.port.postMessage({ type: "stopped" });
         }
         return true;
     }
+
+    // Peak / RMS per channel over each meter interval; a clip stays flagged for
+    // clipHoldMs so a single hot sample is still visible in the UI.
+    measure(micIn) {
+        const m = this.meter;
+        if (!m.intervalMs) return;
+        if (m.peak.length !== micIn.length) {
+            m.peak = new Array(micIn.length).fill(0);
+            m.sumSq = new Array(micIn.length).fill(0);
+            m.clipUntil = new Array(micIn.length).fill(0);
+        }
+        for (let ch = 0; ch < micIn.length; ch++) {
+            const src = micIn[ch];
+            let peak = m.peak[ch], sum = m.sumSq[ch];
+            for (let i = 0; i < src.length; i++) {
+                const v = Math.abs(src[i]);
+                if (v > peak) peak = v;
+                sum += v * v;
+            }
+            if (peak >= m.clipLevel) m.clipUntil[ch] = currentTime + m.clipHoldMs / 1000;
+            m.peak[ch] = peak;
+            m.sumSq[ch] = sum;
+        }
+        m.frames += micIn[0].length;
+
+        if (m.frames < (m.intervalMs / 1000) * sampleRate) return;
+        this.port.postMessage({
+            type: "meter",
+            time: currentTime,
+            peak: m.peak.slice(),
+            rms: m.sumSq.map((sum) => Math.sqrt(sum / m.frames)),
+            clip: m.clipUntil.map((until) => until > currentTime),
+        });
+        m.peak.fill(0);
+        m.sumSq.fill(0);
+        m.frames = 0;
+    }
+
+    // Append frames to the shared ring without allocating. If the consumer has
+    // fallen behind, the whole block is dropped and the overflow is reported
+    // once per episode (the running total lives in the ring header).
+    writeRing(micIn, refIn, start, end) {
+        const { header, data, capacity, micChannels, refChannels } = this.ring;
+        const frames = end - start;
+        const w = Atomics.load(header, RING_WRITE);
+        const r = Atomics.load(header, RING_READ);
+        const free = capacity - 1 - ((w - r + capacity) % capacity);
+        if (frames > free) {
+            const dropped = Atomics.add(header, RING_DROPPED, frames) + frames;
+            if (!this.ring.overflowing) {
+                this.ring.overflowing = true;
+                this.port.postMessage({ type: "overflow", droppedFrames: dropped, time: currentTime });
+            }
+            return;
+        }
+        this.ring.overflowing = false;
+
+        const stride = micChannels + refChannels;
+        let pos = w;
+        for (let j = start; j < end; j++) {
+            const base = pos * stride;
+            for (let ch = 0; ch < micChannels; ch++) data[base + ch] = this.sampleAt(micIn, ch, j, this.prevMic);
+            for (let ch = 0; ch < refChannels; ch++) data[base + micChannels + ch] = this.sampleAt(refIn, ch, j, this.prevRef);
+            if (++pos === capacity) pos = 0;
+        }
+        Atomics.store(header, RING_WRITE, pos);
+    }
+
+    // Frame j of one channel with the fractional start applied (0 if the channel is absent)
+    sampleAt(srcArray, ch, j, prev) {
+        const src = srcArray?.[ch];
+        if (!src) return 0;
+        if (this.frac === 0) return src[j];
+        const before = j > 0 ? src[j - 1] : (prev[ch] ?? 0);
+        return (1 - this.frac) * src[j] + this.frac * before;
+    }
+
+    // Remember the last frame of every channel so a fractional start can
+    // interpolate across the block boundary.
+    keepLast(micIn, refIn) {
+        const keep = (srcArray, prev) => {
+            if (!srcArray) return;
+            prev.length = srcArray.length;
+            for (let ch = 0; ch < srcArray.length; ch++) {
+                const src = srcArray[ch];
+                prev[ch] = src.length ? src[src.length - 1] : 0;
+            }
+        };
+        keep(micIn, this.prevMic);
+        keep(refIn, this.prevRef);
+    }
 }
 registerProcessor("recorder-processor", RecorderProcessor);
\ No newline at end of file
@@ -1,3 +1,7 @@
+import { estimateLagNormalized, estimateLagByCrossCorrelation } from "./correlation.js";
+
+export { estimateLagNormalized, estimateLagByCrossCorrelation };
+
 // Concatenate Float32Array chunks
 export function concatFloat32(chunks) {
     const total = chunks.reduce((s, a) => s + (a?.length || 0), 0);
@@ -10,74 +14,6 @@ export function concatFloat32(chunks) {
     return out;
 }
 
-/**
- * Estimate mic->ref latency using normalized cross-correlation.
- * By default only searches NON-NEGATIVE lags, so the sign can't flip.
- *
- * @param {Float32Array|number[]} mic   Recorded mic slice
- * @param {Float32Array|number[]} ref   Reference slice (what was played)
- * @param {number} sampleRate           e.g., 48000
- * @param {object} [opts]
- * @param {number} [opts.maxLagMs=120]  Limit search to plausible I/O round-trip (ms)
- * @param {boolean} [opts.allowNegative=false]  If true, search ±maxLag
- * @returns {{lagSamples:number, lagMs:number, score:number}}
- */
-export function estimateLagNormalized(mic, ref, sampleRate, opts = {}) {
-    const { maxLagMs = 120, allowNegative = false } = opts;
-
-    // Copy into Float32Arrays and remove DC offset
-    const x = toF32(mic);
-    const y = toF32(ref);
-    zeroMean(x);
-    zeroMean(y);
-
-    // Early outs
-    if (x.length < 8 || y.length < 8) return { lagSamples: 0, lagMs: 0, score: 0 };
-
-    const maxLag = Math.min(
-        Math.floor((maxLagMs / 1000) * sampleRate),
-        Math.floor(Math.max(x.length, y.length) / 2)
-    );
-
-    let bestLag = 0;
-    let bestScore = -Infinity;
-
-    // Helper to compute normalized correlation for a given lag
-    // Correlate y (ref) with shifted x (mic): ref[i] * mic[i + lag]
-    const evalLag = (lag) => {
-        // Overlap region indices in ref (0..yLen-1) that also exist in x shifted by lag
-        const yStart = Math.max(0, -lag);
-        const yEnd = Math.min(y.length, x.length - lag); // exclusive
-        if (yEnd - yStart < 8) return -Infinity; // too little overlap, ignore
-
-        // Compute dot and per-lag energy normalization over overlap
-        let dot = 0, xx = 0, yy = 0;
-        for (let i = yStart; i < yEnd; i++) {
-            const a = y[i];
-            const b = x[i + lag];
-            dot += a * b;
-            xx += b * b;
-            yy += a * a;
-        }
-        if (xx <= 1e-12 || yy <= 1e-12) return -Infinity;
-        return dot / Math.sqrt(xx * yy); // in [-1, 1]
-    };
-
-    if (allowNegative) {
-        for (let lag = -maxLag; lag <= maxLag; lag++) {
-            const s = evalLag(lag);
-            if (s > bestScore) { bestScore = s; bestLag = lag; }
-        }
-    } else {
-        for (let lag = 0; lag <= maxLag; lag++) {
-            const s = evalLag(lag);
-            if (s > bestScore) { bestScore = s; bestLag = lag; }
-        }
-    }
-
-    return { lagSamples: bestLag, lagMs: (bestLag / sampleRate) * 1000, score: bestScore };
-}
-
 /** Median of multiple runs to stabilize noisy measurements. */
 export function medianLagSamples(results /* Array<{lagSamples:number}> */) {
     const arr = results.map(r => r.lagSamples).sort((a, b) => a - b);
@@ -86,38 +22,6 @@ export function medianLagSamples(results /* Array<{lagSamples:number}> */) {
     return n % 2 ? arr[(n - 1) >> 1] : 0.5 * (arr[n / 2 - 1] + arr[n / 2]);
 }
 
-/** Utilities */
-function toF32(a) {
-    return a instanceof Float32Array ? a.slice() : Float32Array.from(a);
-}
-function zeroMean(a) {
-    let m = 0;
-    for (let i = 0; i < a.length; i++) m += a[i];
-    m /= a.length;
-    for (let i = 0; i < a.length; i++) a[i] -= m;
-    return a;
-}
-
-// Brute-force lag estimation (cross-correlation)
-export function estimateLagByCrossCorrelation(mic, ref, sampleRate) {
-    // cap search ±1s
-    const maxLag = Math.min(sampleRate, Math.floor(ref.length / 2));
-    let bestLag = 0, bestScore = -Infinity;
-
-    for (let lag = -maxLag; lag <= maxLag; lag++) {
-        let score = 0;
-        for (let i = 0; i < ref.length; i++) {
-            const j = i + lag;
-            if (j >= 0 && j < mic.length) score += ref[i] * mic[j];
-        }
-        if (score > bestScore) {
-            bestScore = score;
-            bestLag = lag;
-        }
-    }
-    return bestLag; // + = mic lags ref
-}
-
 // 🔧 Calibrate latency once
 export async function calibrateLatency(ctx, recNode, refGain, makePulseBuffer) {
     return new Promise((resolve) => {
@@ -179,21 +83,38 @@ export async function calibrateLatency(ctx, recNode, refGain, makePulseBuffer) {
     });
 }
 
-// 🎶 Schedule click + recording on downbeat
-export function scheduleTake(ctx, recNode, clickBuffer, latencySeconds, bpm, beatsPerBar) {
-    const barDur = (60 / bpm) * beatsPerBar;
-    const lookahead = 0.2;
-    const clickStart = ctx.currentTime + lookahead;
+// 🎶 Schedule count-in + recording on downbeat
+/**
+ * Start the metronome for `countInBars` bars and arm the recorder so the first
+ * recorded frame is the downbeat as heard back through the input.
+ *
+ * @param {AudioContext} ctx
+ * @param {AudioWorkletNode} recNode       recorder-processor node
+ * @param {import("./metronome.js").Metronome} metronome
+ * @param {number} latencySeconds          Calibrated round-trip latency
+ * @param {object} [opts]
+ * @param {number} [opts.countInBars=1]
+ * @param {number} [opts.lookahead=0.2]    Seconds from now to the first click
+ * @param {boolean} [opts.clickDuringRecording=true]  Keep clicking after the downbeat
+ * @param {boolean} [opts.recordCountIn=false]  Start recording with the first click instead of the
+ *   downbeat, so the count-in bleed can be checked afterwards (take-alignment.js)
+ * @returns {{clickStart:number, downbeat:number, recordStart:number, downbeatFrame:number}}
+ *   `downbeatFrame` is the frame of the downbeat within the take
+ */
+export function scheduleTake(ctx, recNode, metronome, latencySeconds, opts = {}) {
+    const { countInBars = 1, lookahead = 0.2, clickDuringRecording = true, recordCountIn = false } = opts;
 
-    const click = ctx.createBufferSource();
-    click.buffer = clickBuffer;
-    click.connect(ctx.destination);
-    click.start(clickStart);
-    click.stop(clickStart + barDur);
+    const clickStart = metronome.start(ctx.currentTime + lookahead);
+    const downbeat = metronome.timeOf(countInBars);
+    if (!clickDuringRecording) metronome.stop(downbeat);
 
     const safety = 0.003; // 3ms margin
-    const startAt = clickStart + barDur + latencySeconds + safety;
+    const startAt = (recordCountIn ? clickStart : downbeat) + latencySeconds + safety;
     recNode.port.postMessage({ type: "startAt", time: startAt });
 
-    return { clickStart, recordStart: startAt };
-}
\ No newline at end of file
+    // Where the downbeat, heard back through the input, lands in the take: the
+    // margin moves it earlier (0 when the count-in isn't recorded, as the
+    // take then starts the margin after it)
+    const downbeatFrame = Math.max(0, Math.round((downbeat + latencySeconds - startAt) * ctx.sampleRate));
+    return { clickStart, downbeat, recordStart: startAt, downbeatFrame };
+}
@@ -0,0 +1,245 @@
+/**
+ * Registry of calibration reference signals.
+ * A plugin supplies a generator and, optionally, its own lag estimator (the
+ * default is normalized cross-correlation against the played signal) and the
+ * stretches where it sounds, for the level/SNR measurement (default: all of it).
+ * calibrateLatency({ mode: name, [name]: params }) looks plugins up here.
+ *
+ * Built in:
+ * - 'chirp'  log sweep (default 1.5–8 kHz)
+ * - 'mls'    repeated maximum-length sequence, circular Hadamard correlation
+ * - 'golay'  Golay complementary pair: a, silence, b; summed correlations have no sidelobes
+ * - 'clicks' train of band-limited clicks, averaged into one period and correlated circularly
+ * - 'custom' any Float32Array ({ signal })
+ *
+ * Usage:
+ *   registerReferenceSignal('lowChirp', {
+ *     defaults: { amp: 0.5 },
+ *     generate: (sr, p) => makeLogChirp(sr, 300, 60, 2000, p.amp, 10),
+ *   });
+ *   await calibrateLatency(ctx, { mode: 'clicks', clicks: { f0: 100, f1: 2000 } });
+ */
+
+import { estimateLagNormalized, estimateLagMLS, estimateLagGolay, estimateLagPeriodic } from './correlation.js';
+import { generateMLS } from './mls.js';
+
+const registry = new Map();
+
+/**
+ * @typedef {object} ReferenceSignalPlugin
+ * @property {object} [defaults]  Params merged under the caller's
+ * @property {(sampleRate:number, params:object) => Float32Array | {signal:Float32Array, info?:any}} generate
+ * @property {(mic:Float32Array, opts:{ref:Float32Array, info:any, params:object, sampleRate:number,
+ *   offsetSamples:number, maxLagMs:number, allowNegative:boolean, directPathThreshold:number, topN:number,
+ *   includeCurve:boolean, condition:(x:Float32Array) => Float32Array}) => object} [estimate]
+ *   Must return the same shape as estimateLagNormalized() (with `curve` when asked for).
+ *   `mic` and `ref` arrive conditioned (high-passed); templates of its own go
+ *   through `condition` first so they match
+ * @property {(info:any, params:object, length:number) => Array<[number, number]>} [levelWindows]
+ *   Where the signal actually sounds, as [start, end) sample ranges from its
+ *   start; the capture's signal level and SNR are measured there only.
+ *   Default: the whole signal
+ */
+
+/**
+ * Add (or replace) a reference signal.
+ * @param {string} name
+ * @param {ReferenceSignalPlugin} plugin
+ */
+export function registerReferenceSignal(name, plugin) {
+    if (typeof plugin?.generate !== 'function') throw new Error(`Reference signal "${name}" needs a generate() function`);
+    registry.set(name, plugin);
+}
+
+/** @returns {ReferenceSignalPlugin} */
+export function getReferenceSignal(name) {
+    const plugin = registry.get(name);
+    if (!plugin) throw new Error(`Unknown reference signal "${name}" (available: ${listReferenceSignals().join(', ')})`);
+    return plugin;
+}
+
+export function listReferenceSignals() {
+    return [...registry.keys()];
+}
+
+/**
+ * Generate a signal and bind its estimator.
+ * @returns {{name:string, signal:Float32Array, info:any, params:object, levelWindows:Array<[number, number]>,
+ *   estimate:(mic:Float32Array, opts:object) => object}}
+ */
+export function createReferenceSignal(name, sampleRate, params = {}) {
+    const plugin = getReferenceSignal(name);
+    const p = { ...plugin.defaults, ...params };
+    const out = plugin.generate(sampleRate, p);
+    const { signal, info = null } = out instanceof Float32Array ? { signal: out } : out;
+    const estimate = plugin.estimate
+        ? (mic, opts) => plugin.estimate(mic, { condition: (x) => x, ...opts, info, params: p })
+        : (mic, { ref, sampleRate: sr, condition, ...opts }) => estimateLagNormalized(mic, ref, sr, opts);
+    const levelWindows = plugin.levelWindows ? plugin.levelWindows(info, p, signal.length) : [[0, signal.length]];
+    return { name, signal, info, params: p, levelWindows, estimate };
+}
+
+/* ------------------------- Built-in signals ------------------------- */
+
+registerReferenceSignal('chirp', {
+    defaults: { durationMs: 120, f0: 1500, f1: 8000, amp: 0.8, fadeMs: 6 },
+    generate: (sr, p) => makeLogChirp(sr, p.durationMs, p.f0, p.f1, p.amp, p.fadeMs),
+});
+
+registerReferenceSignal('mls', {
+    defaults: { order: 16, repeats: 4, amp: 0.35 },
+    generate: (sr, p) => makeMLSSequence(sr, p.order, p.repeats, p.amp),
+    estimate: (mic, { params, sampleRate, ...opts }) => estimateLagMLS(mic, sampleRate, {
+        ...opts, order: params.order, repeats: params.repeats, amp: params.amp
+    }),
+});
+
+registerReferenceSignal('golay', {
+    // gap must outlast the round trip plus the room's decay
+    defaults: { order: 12, gapMs: 250, amp: 0.5 },
+    generate: (sr, p) => {
+        const { a, b } = makeGolayPair(p.order);
+        const gapSamples = Math.round((p.gapMs / 1000) * sr);
+        const signal = new Float32Array(2 * a.length + gapSamples);
+        for (let i = 0; i < a.length; i++) {
+            signal[i] = a[i] * p.amp;
+            signal[a.length + gapSamples + i] = b[i] * p.amp;
+        }
+        return { signal, info: { a, b, gapSamples } };
+    },
+    estimate: (mic, { info, sampleRate, condition, ...opts }) => estimateLagGolay(mic, condition(info.a), condition(info.b), sampleRate, {
+        ...opts, gapSamples: info.gapSamples
+    }),
+    levelWindows: ({ a, gapSamples }) => [[0, a.length], [a.length + gapSamples, 2 * a.length + gapSamples]],
+});
+
+registerReferenceSignal('clicks', {
+    defaults: { count: 8, intervalMs: 200, f0: 200, f1: 4000, clickMs: 4, amp: 0.8 },
+    generate: (sr, p) => {
+        const click = makeBandLimitedClick(sr, p.f0, p.f1, p.clickMs, p.amp);
+        const intervalSamples = Math.round((p.intervalMs / 1000) * sr);
+        const signal = new Float32Array(p.count * intervalSamples);
+        for (let k = 0; k < p.count; k++) signal.set(click, k * intervalSamples);
+        return { signal, info: { click, intervalSamples } };
+    },
+    // Average the clicks into one period first: correlating the whole train would
+    // also match each click against its neighbours (peaks at every interval)
+    estimate: (mic, { info, params, sampleRate, offsetSamples, condition, ...opts }) => {
+        const { intervalSamples } = info;
+        const off = Math.round(offsetSamples);
+        const avg = new Float32Array(intervalSamples);
+        let n = 0;
+        for (let k = 0; k < params.count; k++) {
+            const start = off + k * intervalSamples;
+            if (start < 0 || start + intervalSamples > mic.length) continue;
+            for (let i = 0; i < intervalSamples; i++) avg[i] += mic[start + i];
+            n++;
+        }
+        for (let i = 0; i < intervalSamples; i++) avg[i] /= Math.max(1, n);
+        return estimateLagPeriodic(avg, condition(info.click), sampleRate, { ...opts, offsetSamples: offsetSamples - off });
+    },
+    // The clicks are short: level and SNR over the whole train would mostly be silence
+    levelWindows: ({ click, intervalSamples }, p) => Array.from({ length: p.count }, (_, k) => [k * intervalSamples, k * intervalSamples + click.length]),
+});
+
+registerReferenceSignal('custom', {
+    defaults: { signal: null, amp: 1 },
+    generate: (sr, p) => {
+        if (!(p.signal instanceof Float32Array) || p.signal.length === 0) {
+            throw new Error('Custom reference signal needs { custom: { signal: Float32Array } }');
+        }
+        return p.signal.map((v) => v * p.amp);
+    },
+});
+
+/* ------------------------- Generators ------------------------- */
+
+/** Logarithmic chirp with short fade in/out to avoid clicks. */
+export function makeLogChirp(sr, durationMs = 120, f0 = 1500, f1 = 8000, amp = 0.5, fadeMs = 6) {
+    const T = durationMs / 1000;
+    const N = Math.max(8, Math.round(T * sr));
+    const y = new Float32Array(N);
+
+    const w0 = 2 * Math.PI * f0;
+    const w1 = 2 * Math.PI * f1;
+    const L = Math.log(w1 / w0); // ln(ω1/ω0) == ln(f1/f0)
+
+    // Phase(t) = (ω0 * T / L) * (exp((t/T)*L) - 1)
+    for (let n = 0; n < N; n++) {
+        const t = n / sr;
+        const phase = (w0 * T / L) * (Math.exp((t / T) * L) - 1);
+        y[n] = Math.cos(phase) * amp;
+    }
+
+    applyFades(y, sr, fadeMs);
+    return y;
+}
+
+/**
+ * Maximal length sequence (MLS), repeated. Taps come from the primitive-polynomial
+ * table in mls.js and the period is checked to be maximal (2^order - 1).
+ */
+export function makeMLSSequence(sr, order = 16, repeats = 4, amp = 0.35) {
+    if (order < 2 || order > 20) throw new Error('MLS order 2..20 supported');
+    const { sequence: one, length: len } = generateMLS(order);
+    // Repeat the period: the first one settles the system, the rest are
+    // averaged for circular correlation (estimateLagMLS)
+    const y = new Float32Array(len * repeats);
+    for (let r = 0; r < repeats; r++) y.set(one, r * len);
+    // Amplitude
+    for (let i = 0; i < y.length; i++) y[i] *= amp;
+    return y;
+}
+
+/**
+ * Golay complementary pair of length 2^order (bipolar): the autocorrelations
+ * of a and b sum to 2·N at lag 0 and exactly zero everywhere else.
+ * @returns {{a: Float32Array, b: Float32Array}}
+ */
+export function makeGolayPair(order = 12) {
+    if (order < 1 || order > 20) throw new Error('Golay order 1..20 supported');
+    let a = Float32Array.of(1);
+    let b = Float32Array.of(1);
+    for (let k = 0; k < order; k++) {
+        // a' = a | b, b' = a | -b
+        const na = new Float32Array(2 * a.length);
+        const nb = new Float32Array(2 * a.length);
+        na.set(a); na.set(b, a.length);
+        nb.set(a);
+        for (let i = 0; i < b.length; i++) nb[a.length + i] = -b[i];
+        a = na;
+        b = nb;
+    }
+    return { a, b };
+}
+
+/**
+ * One band-limited click: a Blackman-windowed band-pass (f0..f1) impulse,
+ * peak-normalized to `amp`. Useful where a sweep's band doesn't suit the
+ * speaker (phone speakers, bass-heavy monitors).
+ */
+export function makeBandLimitedClick(sr, f0 = 200, f1 = 4000, clickMs = 4, amp = 0.8) {
+    const M = Math.max(2, Math.round((clickMs / 2000) * sr));
+    const y = new Float32Array(2 * M + 1);
+    const lp = (fc, n) => (n === 0 ? 2 * fc / sr : Math.sin(2 * Math.PI * fc * n / sr) / (Math.PI * n));
+    let peak = 0;
+    for (let i = 0; i < y.length; i++) {
+        const n = i - M;
+        const w = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (y.length - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (y.length - 1));
+        y[i] = w * (lp(f1, n) - lp(f0, n));
+        peak = Math.max(peak, Math.abs(y[i]));
+    }
+    for (let i = 0; i < y.length; i++) y[i] *= peak > 0 ? amp / peak : 0;
+    return y;
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function applyFades(y, sr, fadeMs = 6) {
+    const M = Math.max(1, Math.round((fadeMs / 1000) * sr));
+    for (let i = 0; i < M; i++) {
+        const w = 0.5 - 0.5 * Math.cos(Math.PI * i / M); // Hann half-window
+        y[i] *= w;
+        y[y.length - 1 - i] *= w;
+    }
+}
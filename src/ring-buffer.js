@@ -0,0 +1,106 @@
+/**
+ * Lock-free single-producer/single-consumer ring buffer on a SharedArrayBuffer,
+ * used as the transport from recorder-processor to the main thread (or a worker)
+ * instead of one postMessage per render quantum.
+ *
+ * Layout (the worklet side in recorder-processor.js mirrors it):
+ *   Int32  [0] write index (frames, owned by the worklet)
+ *   Int32  [1] read index  (frames, owned by the consumer)
+ *   Int32  [2] total frames dropped on overflow
+ *   Int32  [3] reserved
+ *   Float32[capacityFrames × (micChannels + refChannels)]  interleaved frames
+ * One frame slot is always left empty so "full" and "empty" differ.
+ *
+ * Usage:
+ *   if (isRingBufferSupported()) {
+ *     const config = createRingBuffer({ capacityFrames: ctx.sampleRate * 2, micChannels: 2 });
+ *     recNode.port.postMessage({ type: "useRingBuffer", config });
+ *     const reader = new RingBufferReader(config);
+ *     reader.start((chunk) => takes.handleMessage(chunk));
+ *   }
+ */
+
+export const RING_WRITE = 0;
+export const RING_READ = 1;
+export const RING_DROPPED = 2;
+const HEADER_BYTES = 16;
+
+/** SharedArrayBuffer is only usable when the page is cross-origin isolated. */
+export function isRingBufferSupported() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Allocate a ring and return the config object to post to the worklet and
+ * to hand to a RingBufferReader.
+ */
+export function createRingBuffer({ capacityFrames, micChannels = 2, refChannels = 1 }) {
+    const stride = micChannels + refChannels;
+    const sab = new SharedArrayBuffer(HEADER_BYTES + capacityFrames * stride * 4);
+    return { sab, capacityFrames, micChannels, refChannels };
+}
+
+export class RingBufferReader {
+    constructor(config) {
+        const { sab, capacityFrames, micChannels, refChannels } = config;
+        this.capacity = capacityFrames;
+        this.micChannels = micChannels;
+        this.refChannels = refChannels;
+        this.header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+        this.data = new Float32Array(sab, HEADER_BYTES, capacityFrames * (micChannels + refChannels));
+        this.timer = null;
+    }
+
+    /** Frames dropped by the producer because the consumer fell behind. */
+    get droppedFrames() {
+        return Atomics.load(this.header, RING_DROPPED);
+    }
+
+    /** Frames waiting to be read. */
+    get available() {
+        const w = Atomics.load(this.header, RING_WRITE);
+        const r = Atomics.load(this.header, RING_READ);
+        return (w - r + this.capacity) % this.capacity;
+    }
+
+    /**
+     * Read everything available as one chunk shaped like recorder-processor's
+     * "chunk" message, or null when the ring is empty.
+     * @returns {{type:"chunk", mic:Float32Array[], ref:Float32Array[]} | null}
+     */
+    read() {
+        const cap = this.capacity;
+        const r = Atomics.load(this.header, RING_READ);
+        const n = this.available;
+        if (n === 0) return null;
+
+        const stride = this.micChannels + this.refChannels;
+        const mic = Array.from({ length: this.micChannels }, () => new Float32Array(n));
+        const ref = Array.from({ length: this.refChannels }, () => new Float32Array(n));
+        let pos = r;
+        for (let i = 0; i < n; i++) {
+            const base = pos * stride;
+            for (let ch = 0; ch < this.micChannels; ch++) mic[ch][i] = this.data[base + ch];
+            for (let ch = 0; ch < this.refChannels; ch++) ref[ch][i] = this.data[base + this.micChannels + ch];
+            if (++pos === cap) pos = 0;
+        }
+        Atomics.store(this.header, RING_READ, pos);
+        return { type: 'chunk', mic, ref };
+    }
+
+    /** Read until empty, passing each chunk to `onChunk`. */
+    drain(onChunk) {
+        for (let chunk = this.read(); chunk; chunk = this.read()) onChunk(chunk);
+    }
+
+    /** Poll the ring every `intervalMs` (keep it well under the ring's duration). */
+    start(onChunk, intervalMs = 50) {
+        this.stop();
+        this.timer = setInterval(() => this.drain(onChunk), intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
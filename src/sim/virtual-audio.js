@@ -0,0 +1,455 @@
+/**
+ * A small Web Audio stand-in for Node, wired to a VirtualLoopbackDevice, so the
+ * real calibration and take-scheduling code paths run without a browser.
+ *
+ * Covered: AudioContext (currentTime/state/resume/suspend/close, sinkId),
+ * AudioBuffer, AudioBufferSourceNode, GainNode, ChannelSplitterNode,
+ * MediaStreamAudioSourceNode, destination, and AudioWorklet with the real
+ * worklet message protocol (processors are loaded from file: or blob: URLs
+ * and talk to their node over a MessageChannel).
+ *
+ * Rendering happens in 128-frame quanta: the destination is pulled first and
+ * handed to the device, then every AudioWorkletNode is processed. With
+ * `speed: Infinity` (default) the context renders as fast as the event loop
+ * allows while still interleaving messages and timers; `speed: 1` paces the
+ * clock to wall time for code that relies on setTimeout lookahead (Metronome).
+ *
+ * Usage:
+ *   const { device, uninstall } = installVirtualAudio({ delaySamples: 480.25, noiseRms: 0.001 });
+ *   const ctx = new AudioContext({ sampleRate: 48000 });
+ *   const res = await calibrateLatency(ctx, { mode: 'chirp' });
+ *   // res.lagSamplesFrac ≈ 480.25
+ *   await ctx.close();
+ *   uninstall();
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolveObjectURL } from 'node:buffer';
+import { fileURLToPath } from 'node:url';
+import { VirtualLoopbackDevice } from './virtual-device.js';
+
+export const RENDER_QUANTUM = 128;
+
+/**
+ * Install the simulated globals (AudioContext, AudioBuffer, AudioWorkletNode,
+ * navigator.mediaDevices) backed by one loopback device.
+ * @param {object} [deviceOpts]  VirtualLoopbackDevice options, plus
+ * @param {number} [deviceOpts.speed=Infinity]  Context seconds per wall-clock second
+ * @returns {{device: VirtualLoopbackDevice, uninstall: () => void}}
+ */
+export function installVirtualAudio(deviceOpts = {}) {
+    const { speed = Infinity, ...rest } = deviceOpts;
+    const device = new VirtualLoopbackDevice(rest);
+
+    const saved = {};
+    const names = ['AudioContext', 'AudioBuffer', 'AudioWorkletNode', 'navigator'];
+    for (const name of names) saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+
+    const define = (name, value) => Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    define('AudioContext', class extends VirtualAudioContext {
+        constructor(opts = {}) { super({ speed, ...opts, device }); }
+    });
+    define('AudioBuffer', VirtualAudioBuffer);
+    define('AudioWorkletNode', VirtualAudioWorkletNode);
+    define('navigator', { ...(saved.navigator?.value ?? {}), mediaDevices: device.mediaDevices });
+
+    return {
+        device,
+        uninstall() {
+            for (const name of names) {
+                if (saved[name]) Object.defineProperty(globalThis, name, saved[name]);
+                else delete globalThis[name];
+            }
+        },
+    };
+}
+
+/* ------------------------- Context ------------------------- */
+
+export class VirtualAudioContext extends EventTarget {
+    /**
+     * @param {object} opts
+     * @param {VirtualLoopbackDevice} opts.device
+     * @param {number} [opts.sampleRate=48000]
+     * @param {number} [opts.speed=Infinity]
+     * @param {number} [opts.quantaPerTick=8]   Render quanta per event-loop turn when unpaced
+     */
+    constructor(opts) {
+        super();
+        const { device, sampleRate = 48000, speed = Infinity, quantaPerTick = 8 } = opts;
+        this.device = device;
+        this.sampleRate = sampleRate;
+        this.speed = speed;
+        this.quantaPerTick = quantaPerTick;
+        this.baseLatency = RENDER_QUANTUM / sampleRate;
+        this.outputLatency = 0;
+        this.sinkId = '';
+        this.state = 'running';
+
+        this.frame = 0;
+        this.quantum = 0;
+        this.destination = new VirtualDestinationNode(this);
+        this.listener = {};
+        this.workletNodes = new Set();
+        this.processors = new Map();
+        this.audioWorklet = { addModule: (url) => this.loadWorkletModule(url) };
+
+        this.wallStart = performance.now();
+        this.frameAtWallStart = 0;
+        this.timer = null;
+        this.scheduleTick();
+    }
+
+    get currentTime() { return this.frame / this.sampleRate; }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new VirtualAudioBuffer({ numberOfChannels, length, sampleRate });
+    }
+    createBufferSource() { return new VirtualBufferSourceNode(this); }
+    createGain() { return new VirtualGainNode(this); }
+    createChannelSplitter(n = 6) { return new VirtualChannelSplitterNode(this, n); }
+    createMediaStreamSource(stream) { return new VirtualMediaStreamSourceNode(this, stream); }
+
+    async resume() { this.setState('running'); }
+    async suspend() { this.setState('suspended'); }
+    async close() {
+        this.setState('closed');
+        for (const node of this.workletNodes) node.port.close();
+        this.workletNodes.clear();
+    }
+
+    async setSinkId(id) {
+        if (id && id !== this.device.outputDeviceId && id !== 'default') {
+            throw new DOMException(`Unknown output device ${id}`, 'NotFoundError');
+        }
+        this.sinkId = id;
+    }
+
+    getOutputTimestamp() {
+        return { contextTime: this.currentTime, performanceTime: performance.now() };
+    }
+
+    setState(state) {
+        if (this.state === state || this.state === 'closed') return;
+        this.state = state;
+        if (state === 'running') {
+            this.wallStart = performance.now();
+            this.frameAtWallStart = this.frame;
+            this.scheduleTick();
+        } else {
+            clearTimeout(this.timer);
+            clearImmediate(this.timer);
+            this.timer = null;
+        }
+        this.dispatchEvent(new Event('statechange'));
+    }
+
+    scheduleTick() {
+        if (this.timer || this.state !== 'running') return;
+        const run = () => { this.timer = null; this.tick(); };
+        this.timer = this.speed === Infinity ? setImmediate(run) : setTimeout(run, 2);
+    }
+
+    tick() {
+        if (this.state !== 'running') return;
+        let quanta = this.quantaPerTick;
+        if (this.speed !== Infinity) {
+            const elapsed = ((performance.now() - this.wallStart) / 1000) * this.speed;
+            const target = this.frameAtWallStart + elapsed * this.sampleRate;
+            quanta = Math.max(0, Math.min(64, Math.floor((target - this.frame) / RENDER_QUANTUM)));
+        }
+        for (let q = 0; q < quanta; q++) this.renderQuantum();
+        this.scheduleTick();
+    }
+
+    /** Render one quantum synchronously (also handy for stepping the clock by hand). */
+    renderQuantum() {
+        const out = this.destination.pull(0);
+        this.device.writeOutput(this.frame, out);
+        for (const node of this.workletNodes) node.pull(0);
+        this.frame += RENDER_QUANTUM;
+        this.quantum++;
+    }
+
+    async loadWorkletModule(url) {
+        const href = String(url);
+        let code;
+        if (href.startsWith('blob:')) {
+            const blob = resolveObjectURL(href);
+            if (!blob) throw new Error(`Unknown blob URL ${href}`);
+            code = await blob.text();
+        } else if (href.startsWith('file:')) {
+            code = await readFile(fileURLToPath(href), 'utf8');
+        } else {
+            throw new Error(`Virtual audio worklet can only load file: or blob: URLs (got ${href})`);
+        }
+
+        // Evaluate against a stand-in AudioWorkletGlobalScope
+        const ctx = this;
+        const scope = {
+            AudioWorkletProcessor: VirtualAudioWorkletProcessor,
+            registerProcessor: (name, cls) => { ctx.processors.set(name, cls); },
+            get currentTime() { return ctx.currentTime; },
+            get currentFrame() { return ctx.frame; },
+            get sampleRate() { return ctx.sampleRate; },
+        };
+        new Function('scope', `with (scope) {\n${code}\n}`)(scope);
+    }
+}
+
+/* ------------------------- Buffers ------------------------- */
+
+export class VirtualAudioBuffer {
+    constructor({ numberOfChannels = 1, length, sampleRate }) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+    get duration() { return this.length / this.sampleRate; }
+    getChannelData(ch) { return this.channels[ch]; }
+    copyToChannel(src, ch, offset = 0) { this.channels[ch].set(src.subarray(0, this.length - offset), offset); }
+    copyFromChannel(dst, ch, offset = 0) { dst.set(this.channels[ch].subarray(offset, offset + dst.length)); }
+}
+
+/* ------------------------- Nodes ------------------------- */
+
+class VirtualAudioParam {
+    constructor(value) { this.value = value; this.defaultValue = value; }
+    setValueAtTime(v) { this.value = v; return this; }
+    linearRampToValueAtTime(v) { this.value = v; return this; }
+    exponentialRampToValueAtTime(v) { this.value = v; return this; }
+    setTargetAtTime(v) { this.value = v; return this; }
+    cancelScheduledValues() { return this; }
+}
+
+class VirtualAudioNode extends EventTarget {
+    constructor(ctx, { numberOfInputs = 1, numberOfOutputs = 1, channelCount = 2, channelCountMode = 'max', channelInterpretation = 'speakers' } = {}) {
+        super();
+        this.context = ctx;
+        this.numberOfInputs = numberOfInputs;
+        this.numberOfOutputs = numberOfOutputs;
+        this.channelCount = channelCount;
+        this.channelCountMode = channelCountMode;
+        this.channelInterpretation = channelInterpretation;
+        this.inputs = Array.from({ length: numberOfInputs }, () => []);   // [{node, output}]
+        this.outgoing = [];                                                // [{node, output, input}]
+        this.renderedQuantum = -1;
+        this.rendering = false;
+        this.outputs = [];
+    }
+
+    connect(dest, output = 0, input = 0) {
+        if (dest instanceof VirtualAudioParam) return undefined; // modulation isn't simulated
+        if (input >= dest.numberOfInputs) throw new RangeError(`Input ${input} out of range`);
+        if (output >= this.numberOfOutputs) throw new RangeError(`Output ${output} out of range`);
+        if (!dest.inputs[input].some((c) => c.node === this && c.output === output)) {
+            dest.inputs[input].push({ node: this, output });
+            this.outgoing.push({ node: dest, output, input });
+        }
+        return dest;
+    }
+
+    disconnect(dest, output, input) {
+        this.outgoing = this.outgoing.filter((c) => {
+            const match = (dest === undefined || typeof dest === 'number' ? (typeof dest !== 'number' || c.output === dest) : c.node === dest)
+                && (output === undefined || c.output === output)
+                && (input === undefined || c.input === input);
+            if (match) c.node.inputs[c.input] = c.node.inputs[c.input].filter((x) => !(x.node === this && x.output === c.output));
+            return !match;
+        });
+    }
+
+    /** Output channels of this node for the current quantum (rendered once). */
+    pull(output) {
+        if (this.renderedQuantum !== this.context.quantum && !this.rendering) {
+            this.rendering = true;
+            this.outputs = this.render(this.inputs.map((_, i) => this.mixInput(i)));
+            this.rendering = false;
+            this.renderedQuantum = this.context.quantum;
+        }
+        return this.outputs[output] ?? [new Float32Array(RENDER_QUANTUM)];
+    }
+
+    // Sum every connection into one input, up/down-mixing per the channel rules.
+    // An input with no connections yields [] (as AudioWorklet sees it).
+    mixInput(i) {
+        const conns = this.inputs[i];
+        if (conns.length === 0) return [];
+        const sources = conns.map((c) => c.node.pull(c.output));
+        const maxCh = Math.max(...sources.map((s) => s.length));
+        const count = this.channelCountMode === 'explicit' ? this.channelCount
+            : this.channelCountMode === 'clamped-max' ? Math.min(maxCh, this.channelCount) : maxCh;
+        const out = Array.from({ length: count }, () => new Float32Array(RENDER_QUANTUM));
+        for (const src of sources) mixInto(out, src, this.channelInterpretation);
+        return out;
+    }
+
+    /** @returns {Float32Array[][]} channels per output */
+    render() { return []; }
+}
+
+class VirtualDestinationNode extends VirtualAudioNode {
+    constructor(ctx) {
+        super(ctx, { numberOfOutputs: 0, channelCount: 2, channelCountMode: 'explicit' });
+        this.maxChannelCount = 2;
+    }
+    pull() {
+        const chans = this.mixInput(0);
+        return chans.length ? chans : [new Float32Array(RENDER_QUANTUM)];
+    }
+}
+
+class VirtualGainNode extends VirtualAudioNode {
+    constructor(ctx) {
+        super(ctx);
+        this.gain = new VirtualAudioParam(1);
+    }
+    render([input]) {
+        const g = this.gain.value;
+        const chans = input.length ? input : [new Float32Array(RENDER_QUANTUM)];
+        for (const ch of chans) for (let i = 0; i < ch.length; i++) ch[i] *= g;
+        return [chans];
+    }
+}
+
+class VirtualChannelSplitterNode extends VirtualAudioNode {
+    constructor(ctx, n) {
+        super(ctx, { numberOfOutputs: n, channelCount: n, channelCountMode: 'explicit', channelInterpretation: 'discrete' });
+    }
+    render([input]) {
+        return Array.from({ length: this.numberOfOutputs }, (_, k) => [input[k] ?? new Float32Array(RENDER_QUANTUM)]);
+    }
+}
+
+class VirtualMediaStreamSourceNode extends VirtualAudioNode {
+    constructor(ctx, stream) {
+        super(ctx, { numberOfInputs: 0 });
+        this.mediaStream = stream;
+    }
+    render() {
+        const chans = Array.from({ length: this.mediaStream.channelCount }, () => new Float32Array(RENDER_QUANTUM));
+        if (this.mediaStream.active) this.context.device.readInput(this.context.frame, chans);
+        return [chans];
+    }
+}
+
+class VirtualBufferSourceNode extends VirtualAudioNode {
+    constructor(ctx) {
+        super(ctx, { numberOfInputs: 0 });
+        this.buffer = null;
+        this.startFrame = null;
+        this.stopFrame = Infinity;
+        this.offset = 0;
+        this.ended = false;
+        this.onended = null;
+        this.loop = false;
+        this.playbackRate = new VirtualAudioParam(1);
+    }
+
+    start(when = 0, offset = 0, duration) {
+        if (this.startFrame !== null) throw new DOMException('start() called twice', 'InvalidStateError');
+        const sr = this.context.sampleRate;
+        this.startFrame = Math.max(this.context.frame, Math.round(when * sr));
+        this.offset = Math.round(offset * sr);
+        if (duration !== undefined) this.stopFrame = Math.min(this.stopFrame, this.startFrame + Math.round(duration * sr));
+    }
+
+    stop(when = 0) {
+        if (this.startFrame === null) throw new DOMException('stop() before start()', 'InvalidStateError');
+        this.stopFrame = Math.min(this.stopFrame, Math.max(this.context.frame, Math.round(when * this.context.sampleRate)));
+    }
+
+    render() {
+        const n = this.buffer?.numberOfChannels ?? 1;
+        const chans = Array.from({ length: n }, () => new Float32Array(RENDER_QUANTUM));
+        if (this.startFrame === null || this.ended || !this.buffer) return [chans];
+
+        const f0 = this.context.frame;
+        const end = Math.min(this.stopFrame, this.startFrame + this.buffer.length - this.offset);
+        for (let i = 0; i < RENDER_QUANTUM; i++) {
+            const f = f0 + i;
+            if (f < this.startFrame || f >= end) continue;
+            const idx = f - this.startFrame + this.offset;
+            for (let ch = 0; ch < n; ch++) chans[ch][i] = this.buffer.getChannelData(ch)[idx];
+        }
+        if (f0 + RENDER_QUANTUM >= end) this.finish();
+        return [chans];
+    }
+
+    finish() {
+        this.ended = true;
+        setImmediate(() => {
+            const ev = new Event('ended');
+            this.dispatchEvent(ev);
+            if (typeof this.onended === 'function') this.onended(ev);
+        });
+    }
+}
+
+/* ------------------------- AudioWorklet ------------------------- */
+
+let pendingProcessorPort = null;
+
+class VirtualAudioWorkletProcessor {
+    constructor() {
+        this.port = pendingProcessorPort;
+        pendingProcessorPort = null;
+    }
+}
+
+export class VirtualAudioWorkletNode extends VirtualAudioNode {
+    constructor(ctx, name, options = {}) {
+        const {
+            numberOfInputs = 1,
+            numberOfOutputs = 1,
+            outputChannelCount,
+            channelCount = 2,
+            channelCountMode = 'max',
+            channelInterpretation = 'speakers',
+            processorOptions = {},
+        } = options;
+        super(ctx, { numberOfInputs, numberOfOutputs, channelCount, channelCountMode, channelInterpretation });
+
+        const Processor = ctx.processors.get(name);
+        if (!Processor) throw new DOMException(`AudioWorkletProcessor "${name}" is not registered`, 'InvalidStateError');
+
+        const { port1, port2 } = new MessageChannel();
+        this.port = port1;
+        this.outputChannelCount = outputChannelCount;
+        this.parameters = new Map();
+        this.alive = true;
+
+        pendingProcessorPort = port2;
+        this.processor = new Processor({ numberOfInputs, numberOfOutputs, outputChannelCount, processorOptions });
+        ctx.workletNodes.add(this);
+    }
+
+    render(inputs) {
+        const outputs = Array.from({ length: this.numberOfOutputs }, (_, k) => {
+            const count = this.outputChannelCount?.[k]
+                ?? (this.numberOfInputs === 1 && this.numberOfOutputs === 1 ? Math.max(1, inputs[0].length) : 1);
+            return Array.from({ length: count }, () => new Float32Array(RENDER_QUANTUM));
+        });
+        if (this.alive) {
+            const keep = this.processor.process(inputs, outputs, {});
+            if (!keep) this.alive = false;
+        }
+        return outputs;
+    }
+}
+
+/* ------------------------- Mixing ------------------------- */
+
+// Web Audio up/down-mix for the mono/stereo cases; everything else is discrete
+function mixInto(out, src, interpretation) {
+    if (interpretation === 'speakers' && src.length === 1 && out.length === 2) {
+        for (let i = 0; i < RENDER_QUANTUM; i++) { out[0][i] += src[0][i]; out[1][i] += src[0][i]; }
+    } else if (interpretation === 'speakers' && src.length === 2 && out.length === 1) {
+        for (let i = 0; i < RENDER_QUANTUM; i++) out[0][i] += 0.5 * (src[0][i] + src[1][i]);
+    } else {
+        for (let ch = 0; ch < Math.min(out.length, src.length); ch++) {
+            for (let i = 0; i < RENDER_QUANTUM; i++) out[ch][i] += src[ch][i];
+        }
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Simulated loopback hardware for running calibration code in Node.
+ * Whatever the virtual AudioContext sends to its destination is fed back to
+ * the virtual microphone through a configurable acoustic/electrical path:
+ *
+ *   mic[n] = clip( gain · Σ_k g_k · out((n - D) / (1 + ε) - d_k) + noise )
+ *
+ * - D: round-trip delay in samples (fractional delays are rendered with a
+ *   windowed-sinc interpolator)
+ * - g_k, d_k: direct path (1, 0) plus optional room reflections
+ * - ε: input/output clock drift (driftPpm · 1e-6), same convention as drift.js
+ * - noise: seeded Gaussian noise, so every run is reproducible
+ *
+ * The device also stands in for `navigator.mediaDevices` (getUserMedia,
+ * enumerateDevices, devicechange) so route-selection code runs unchanged.
+ */
+
+const SINC_HALF_WIDTH = 16;
+
+export class VirtualLoopbackDevice extends EventTarget {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.delaySamples=480]    Round-trip delay, may be fractional
+     * @param {number} [opts.gain=0.5]            Direct-path gain speaker → mic
+     * @param {Array<{delaySamples:number, gain:number}>} [opts.reflections=[]]  Room echoes, relative to the direct path
+     * @param {number} [opts.noiseRms=0]          Additive Gaussian noise level
+     * @param {number} [opts.seed=1]              Noise PRNG seed
+     * @param {number} [opts.clipLevel=1]         Mic clips symmetrically at ±clipLevel
+     * @param {number} [opts.driftPpm=0]          Input clock drift relative to output
+     * @param {number} [opts.inputChannels=1]     Channels of the virtual interface
+     * @param {number} [opts.loopbackChannel=0]   Input channel the speaker signal reaches
+     * @param {string} [opts.inputDeviceId='virtual-input']
+     * @param {string} [opts.outputDeviceId='virtual-output']
+     */
+    constructor(opts = {}) {
+        super();
+        const {
+            delaySamples = 480,
+            gain = 0.5,
+            reflections = [],
+            noiseRms = 0,
+            seed = 1,
+            clipLevel = 1,
+            driftPpm = 0,
+            inputChannels = 1,
+            loopbackChannel = 0,
+            inputDeviceId = 'virtual-input',
+            outputDeviceId = 'virtual-output',
+        } = opts;
+        this.delaySamples = delaySamples;
+        this.gain = gain;
+        this.reflections = reflections;
+        this.noiseRms = noiseRms;
+        this.clipLevel = clipLevel;
+        this.driftPpm = driftPpm;
+        this.inputChannels = inputChannels;
+        this.loopbackChannel = loopbackChannel;
+        this.inputDeviceId = inputDeviceId;
+        this.outputDeviceId = outputDeviceId;
+        this.random = gaussian(seed);
+
+        this.history = new Float32Array(1 << 16);   // mono speaker output, indexed by context frame
+        this.written = 0;
+        this.streams = new Set();
+    }
+
+    /* ------------------------- Audio path ------------------------- */
+
+    /** Called by the context after each render quantum with the destination's channels. */
+    writeOutput(frame, channels) {
+        const n = channels[0]?.length ?? 0;
+        this.ensureCapacity(frame + n);
+        const k = channels.length ? 1 / channels.length : 0;
+        for (let i = 0; i < n; i++) {
+            let s = 0;
+            for (const ch of channels) s += ch[i];
+            this.history[frame + i] = s * k;
+        }
+        this.written = Math.max(this.written, frame + n);
+    }
+
+    /**
+     * Fill `out` (one Float32Array per input channel) with what the mic hears
+     * for context frames [frame, frame + out[0].length).
+     */
+    readInput(frame, out) {
+        const n = out[0]?.length ?? 0;
+        const ratio = 1 + this.driftPpm * 1e-6;
+        const taps = [{ delaySamples: 0, gain: 1 }, ...this.reflections];
+        for (let i = 0; i < n; i++) {
+            const t = (frame + i - this.delaySamples) / ratio;
+            let s = 0;
+            for (const tap of taps) s += tap.gain * this.outputAt(t - tap.delaySamples);
+            for (let ch = 0; ch < out.length; ch++) {
+                let v = (ch === this.loopbackChannel ? this.gain * s : 0) + this.noiseRms * this.random();
+                if (v > this.clipLevel) v = this.clipLevel;
+                else if (v < -this.clipLevel) v = -this.clipLevel;
+                out[ch][i] = v;
+            }
+        }
+    }
+
+    // Band-limited read of the speaker history at fractional time t (Blackman-windowed sinc)
+    outputAt(t) {
+        const i0 = Math.floor(t);
+        const frac = t - i0;
+        if (frac === 0) return this.sample(i0);
+        let s = 0;
+        for (let k = -SINC_HALF_WIDTH + 1; k <= SINC_HALF_WIDTH; k++) {
+            const x = k - frac;
+            const w = 0.42 + 0.5 * Math.cos(Math.PI * x / SINC_HALF_WIDTH) + 0.08 * Math.cos(2 * Math.PI * x / SINC_HALF_WIDTH);
+            s += this.sample(i0 + k) * w * Math.sin(Math.PI * x) / (Math.PI * x);
+        }
+        return s;
+    }
+
+    sample(i) {
+        return i >= 0 && i < this.written ? this.history[i] : 0;
+    }
+
+    ensureCapacity(n) {
+        if (n <= this.history.length) return;
+        let size = this.history.length;
+        while (size < n) size *= 2;
+        const next = new Float32Array(size);
+        next.set(this.history.subarray(0, this.written));
+        this.history = next;
+    }
+
+    /* ------------------------- navigator.mediaDevices ------------------------- */
+
+    /** A MediaDevices stand-in bound to this device. */
+    get mediaDevices() {
+        const device = this;
+        if (!this._mediaDevices) {
+            const md = new EventTarget();
+            md.getUserMedia = async (constraints = {}) => device.openStream(constraints);
+            md.enumerateDevices = async () => [
+                { kind: 'audioinput', deviceId: device.inputDeviceId, groupId: 'virtual', label: 'Virtual loopback input' },
+                { kind: 'audiooutput', deviceId: device.outputDeviceId, groupId: 'virtual', label: 'Virtual loopback output' },
+            ];
+            this._mediaDevices = md;
+        }
+        return this._mediaDevices;
+    }
+
+    /** Simulate plugging/unplugging hardware. */
+    fireDeviceChange() {
+        this.mediaDevices.dispatchEvent(new Event('devicechange'));
+    }
+
+    openStream(constraints) {
+        const audio = constraints.audio;
+        if (!audio) throw new DOMException('Only audio streams are simulated', 'NotSupportedError');
+        const want = typeof audio === 'object' ? audio : {};
+        const id = want.deviceId?.exact ?? want.deviceId;
+        if (id && id !== this.inputDeviceId && id !== 'default') {
+            throw new DOMException(`Unknown input device ${id}`, 'NotFoundError');
+        }
+        const cc = want.channelCount;
+        const requested = typeof cc === 'number' ? cc : (cc?.exact ?? cc?.ideal ?? 1);
+        const stream = new VirtualMediaStream(this, Math.max(1, Math.min(this.inputChannels, requested)));
+        this.streams.add(stream);
+        return stream;
+    }
+}
+
+export class VirtualMediaStream {
+    constructor(device, channelCount) {
+        this.device = device;
+        this.id = `virtual-stream-${Math.random().toString(36).slice(2)}`;
+        const track = {
+            kind: 'audio',
+            label: 'Virtual loopback input',
+            readyState: 'live',
+            getSettings: () => ({
+                deviceId: device.inputDeviceId,
+                channelCount,
+                sampleRate: undefined,      // follows the context, like most browsers
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+            }),
+            stop: () => {
+                track.readyState = 'ended';
+                device.streams.delete(this);
+            },
+        };
+        this.track = track;
+    }
+
+    get channelCount() { return this.track.getSettings().channelCount; }
+    get active() { return this.track.readyState === 'live'; }
+    getAudioTracks() { return [this.track]; }
+    getTracks() { return [this.track]; }
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+// Seeded standard-normal generator (mulberry32 + Box-Muller)
+function gaussian(seed) {
+    let a = seed >>> 0;
+    const uniform = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return () => {
+        const u = Math.max(uniform(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Take alignment check against the metronome bleed.
+ * With speakers, the click reaches the mic along with the performance. The
+ * ticks the metronome actually played, placed on the take's timeline with the
+ * latency the take was recorded with, are the bleed we expect to find;
+ * correlating them with the recording shows how far off that latency is now.
+ * A residual beyond the threshold means the route changed since calibration:
+ * the take can be shifted into place and the stored latency updated.
+ *
+ * Usage:
+ *   scheduleTake(ctx, recNode, met, latency, { recordCountIn: true });
+ *   ...
+ *   const check = await analysis.verifyTakeAlignment(take, clickTrack(met)); // or verifyTakeAlignment(take, met)
+ *   if (check.exceeded) take = correctTakeAlignment(take, check);
+ */
+
+import { estimateLagNormalized } from './correlation.js';
+import { highPassIIR } from './capture.js';
+
+/**
+ * A Metronome's ticks and tones as plain data, for verifyTakeAlignment in the
+ * analysis worker (AudioBuffers can't be posted to it).
+ * @param {{scheduled:Array<{time:number, kind:string}>, buffers:Object<string, AudioBuffer|Float32Array>}} metronome
+ * @returns {{scheduled:Array<{time:number, kind:string}>, buffers:Object<string, Float32Array>}}
+ */
+export function clickTrack({ scheduled, buffers }) {
+    const tones = {};
+    for (const [kind, tone] of Object.entries(buffers)) tones[kind] = toneSamples(tone);
+    return { scheduled: scheduled.slice(), buffers: tones };
+}
+
+/**
+ * Render the expected click bleed on a take's timeline.
+ * @param {Array<{time:number, kind:string}>} ticks  Metronome.scheduled
+ * @param {Object<string, AudioBuffer|Float32Array>} tones  Tone per tick kind (Metronome.buffers)
+ * @param {object} at
+ * @param {number} at.sampleRate
+ * @param {number} at.startTime          Context time of the take's first frame
+ * @param {number} [at.latencySeconds=0] Round trip from playback to the take
+ * @param {number} at.length             Frames to render
+ * @returns {{pattern:Float32Array, count:number, first:number, last:number}}
+ *   `count` ticks landed in the take, spanning frames [first, last)
+ */
+export function renderClickPattern(ticks, tones, { sampleRate, startTime, latencySeconds = 0, length }) {
+    const pattern = new Float32Array(length);
+    let count = 0, first = length, last = 0;
+    for (const { time, kind } of ticks) {
+        const tone = tones[kind];
+        if (!tone) continue;
+        const samples = toneSamples(tone);
+        const at = Math.round((time + latencySeconds - startTime) * sampleRate);
+        if (at + samples.length <= 0 || at >= length) continue;
+
+        for (let i = Math.max(0, -at); i < samples.length && at + i < length; i++) pattern[at + i] += samples[i];
+        count++;
+        first = Math.min(first, Math.max(0, at));
+        last = Math.max(last, Math.min(length, at + samples.length));
+    }
+    return { pattern, count, first: count ? first : 0, last };
+}
+
+/**
+ * Measure the residual offset of a take against the clicks it was recorded to.
+ * @param {object} take          From TakeRecorder (meta.contextStartTime, latencySeconds, downbeatFrame)
+ * @param {{scheduled:Array<{time:number, kind:string}>, buffers:object}} clicks  The Metronome of the take
+ * @param {object} [opts]
+ * @param {number} [opts.thresholdMs=1]    Residual that counts as misaligned
+ * @param {number} [opts.maxOffsetMs=30]   Search range around the expected position
+ * @param {number} [opts.minScore=0.2]     Below this the bleed is not considered detected
+ * @param {boolean} [opts.countInOnly]     Only use clicks before the downbeat (no performance on top);
+ *                                         default: when the take contains the count-in
+ * @param {number|null} [opts.channel=null]  Take channel to analyse; null mixes all channels
+ * @param {number} [opts.filterHpHz=150]
+ * @returns {{detected:boolean, exceeded:boolean, clicks:number, offsetSamples:number, offsetMs:number,
+ *   score:number, peakToSidelobe:number, latencySeconds:number}}
+ *   `offsetSamples` > 0: the clicks arrived later than the take assumed.
+ *   `latencySeconds` is the latency the take should have been recorded with.
+ */
+export function verifyTakeAlignment(take, clicks, opts = {}) {
+    const { meta } = take;
+    const {
+        thresholdMs = 1,
+        maxOffsetMs = 30,
+        minScore = 0.2,
+        countInOnly = meta.downbeatFrame > 0,
+        channel = null,
+        filterHpHz = 150,
+    } = opts;
+    const sampleRate = meta.sampleRate;
+    const latencySeconds = meta.latencySeconds ?? 0;
+    const none = {
+        detected: false, exceeded: false, clicks: 0, offsetSamples: 0, offsetMs: 0,
+        score: 0, peakToSidelobe: 0, latencySeconds,
+    };
+
+    const length = countInOnly ? Math.min(take.length, meta.downbeatFrame) : take.length;
+    const { pattern, count, first, last } = renderClickPattern(clicks.scheduled, clicks.buffers, {
+        sampleRate, startTime: meta.contextStartTime, latencySeconds, length,
+    });
+    if (!count) return none;
+
+    let x = channel != null ? take.channels[channel] : mixDown(take.channels);
+    if (!x) return none;
+    if (filterHpHz) x = highPassIIR(x, sampleRate, filterHpHz);
+
+    // Correlate only the stretch with clicks in it (plus the search range)
+    const maxOffset = Math.round((maxOffsetMs / 1000) * sampleRate);
+    const from = Math.max(0, first - maxOffset);
+    const to = Math.min(x.length, last + maxOffset);
+    const template = filterHpHz ? highPassIIR(pattern.subarray(first, last), sampleRate, filterHpHz) : pattern.subarray(first, last);
+    const res = estimateLagNormalized(x.subarray(from, to), template, sampleRate, {
+        maxLagMs: maxOffsetMs,
+        allowNegative: true,
+        offsetSamples: first - from,
+        directPathThreshold: 1,
+    });
+
+    const offsetMs = res.lagMsPrecise;
+    const detected = res.score >= minScore;
+    return {
+        detected,
+        exceeded: detected && Math.abs(offsetMs) > thresholdMs,
+        clicks: count,
+        offsetSamples: res.lagSamplesFrac,
+        offsetMs,
+        score: res.score,
+        peakToSidelobe: res.peakToSidelobe,
+        latencySeconds: latencySeconds + (detected ? res.lagSamplesFrac / sampleRate : 0),
+    };
+}
+
+/**
+ * Shift a take by a verified offset so the downbeat lands on `downbeatFrame`
+ * again. The take keeps its length; frames shifted in are silent.
+ * @param {object} take
+ * @param {ReturnType<typeof verifyTakeAlignment>} check
+ * @returns {object} A new take; meta.latencySeconds and contextStartTime follow the shift
+ */
+export function correctTakeAlignment(take, check) {
+    const shift = Math.round(check.offsetSamples);
+    const channels = take.channels.map((ch) => {
+        const out = new Float32Array(ch.length);
+        if (shift >= 0) out.set(ch.subarray(shift));
+        else out.set(ch.subarray(0, ch.length + shift), -shift);
+        return out;
+    });
+    return {
+        ...take,
+        channels,
+        meta: {
+            ...take.meta,
+            contextStartTime: take.meta.contextStartTime + shift / take.meta.sampleRate,
+            latencySeconds: check.latencySeconds,
+            alignment: { offsetMs: check.offsetMs, score: check.score, corrected: true },
+        },
+    };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function toneSamples(tone) {
+    return typeof tone.getChannelData === 'function' ? tone.getChannelData(0) : tone;
+}
+
+function mixDown(channels) {
+    if (channels.length <= 1) return channels[0];
+    const out = new Float32Array(channels[0].length);
+    for (const ch of channels) {
+        for (let i = 0; i < out.length; i++) out[i] += ch[i] / channels.length;
+    }
+    return out;
+}
@@ -0,0 +1,120 @@
+/**
+ * Collects `chunk` messages from recorder-processor into complete takes.
+ *
+ * Usage:
+ *   const takes = new TakeRecorder(ctx.sampleRate);
+ *   recNode.port.onmessage = (e) => takes.handleMessage(e.data);
+ *   takes.begin({ contextStartTime: recordStart, latencySeconds, bpm: 120, bars: 1 });
+ *   recNode.port.postMessage({ type: "stop" }); // → "stopped" closes the take
+ *   takes.onTake = (take) => download(takeToWav(take, "pcm24"));
+ */
+
+import { concatFloat32 } from './recorder-utils.js';
+import { encodeWav } from './wav.js';
+
+export class TakeRecorder {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.takes = [];
+        this.current = null;
+        this.onTake = null;     // (take) => void, called when a take is closed
+    }
+
+    /**
+     * Start collecting a new take. Any take still open is closed first.
+     * @param {object} meta
+     * @param {number} meta.contextStartTime  AudioContext time of the first recorded frame
+     * @param {number} [meta.latencySeconds=0] Latency compensation applied to the record start
+     * @param {number} [meta.bpm]
+     * @param {number} [meta.bars]            Count-in bars before the downbeat
+     * @param {number} [meta.beatsPerBar]
+     * @param {number} [meta.downbeatFrame=0] Frame of the downbeat within the take
+     * @param {number} [meta.downbeatTime]    Context time of the downbeat (places the take in an OverdubSession)
+     */
+    begin(meta) {
+        if (this.current) this.finish();
+        this.current = {
+            meta: { latencySeconds: 0, downbeatFrame: 0, ...meta, sampleRate: this.sampleRate },
+            chunks: [],         // per channel: Float32Array[]
+        };
+    }
+
+    /** Feed every message from the recorder node; non-take messages are ignored. */
+    handleMessage(data) {
+        if (!this.current || !data) return;
+        if (data.type === 'chunk') {
+            this.push(data.mic);
+        } else if (data.type === 'stopped') {
+            this.finish();
+        }
+    }
+
+    /** Append one multichannel chunk (array of per-channel Float32Arrays). */
+    push(channels) {
+        if (!this.current || !channels) return;
+        const chunks = this.current.chunks;
+        if (chunks.length === 0) {
+            for (let ch = 0; ch < channels.length; ch++) chunks.push([]);
+        }
+        // A chunk with fewer channels (e.g. input re-routed) is padded with silence
+        const frames = channels[0]?.length ?? 0;
+        for (let ch = 0; ch < chunks.length; ch++) {
+            chunks[ch].push(channels[ch] ?? new Float32Array(frames));
+        }
+    }
+
+    /** Close the open take and return it (or null if nothing was open). */
+    finish() {
+        if (!this.current) return null;
+        const { meta, chunks } = this.current;
+        this.current = null;
+
+        const channels = chunks.map(concatFloat32);
+        const length = channels[0]?.length ?? 0;
+        const take = {
+            id: this.takes.length + 1,
+            channels,
+            length,
+            duration: length / this.sampleRate,
+            meta,
+        };
+        this.takes.push(take);
+        if (this.onTake) this.onTake(take);
+        return take;
+    }
+}
+
+/**
+ * Export a take as RIFF/WAVE with a bext description and a downbeat cue.
+ * A take recorded with its count-in (meta.downbeatFrame > 0) starts at the
+ * downbeat unless `includeCountIn` is set.
+ * @param {object} take
+ * @param {'pcm16'|'pcm24'|'float32'} [format='pcm16']
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeCountIn=false]  Keep the frames before the downbeat
+ * @returns {ArrayBuffer}
+ */
+export function takeToWav(take, format = 'pcm16', { includeCountIn = false } = {}) {
+    const { meta } = take;
+    const first = includeCountIn ? 0 : Math.min(meta.downbeatFrame, take.length);
+    const description = [
+        `take=${take.id}`,
+        meta.bpm != null ? `bpm=${meta.bpm}` : null,
+        meta.bars != null ? `bars=${meta.bars}` : null,
+        meta.beatsPerBar != null ? `beatsPerBar=${meta.beatsPerBar}` : null,
+        `latencyMs=${(meta.latencySeconds * 1000).toFixed(3)}`,
+        `contextStart=${meta.contextStartTime.toFixed(6)}`,
+        first > 0 ? `countInFrames=${first}` : null,
+    ].filter(Boolean).join('; ');
+
+    return encodeWav(first > 0 ? take.channels.map((ch) => ch.subarray(first)) : take.channels, meta.sampleRate, {
+        format,
+        bext: {
+            description,
+            originator: 'recording-calibration',
+            // context frame of the file's first sample (the take has no wall-clock origin)
+            timeReference: Math.max(0, Math.round(meta.contextStartTime * meta.sampleRate) + first),
+        },
+        cues: [{ position: meta.downbeatFrame - first, label: 'Downbeat' }],
+    });
+}
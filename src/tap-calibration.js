@@ -0,0 +1,265 @@
+/**
+ * Tap-along calibration: the fallback when the mic cannot hear the speakers
+ * (headphones), so the acoustic calibration has nothing to correlate.
+ * - The metronome plays a few bars; the performer claps into the mic
+ *   (source 'mic') or taps a key (source 'key') on every click
+ * - Each tap is paired with its click; after a warm-up, the median offset with
+ *   outliers rejected (median ± 3·MAD) is the latency estimate
+ * - Claps are recorded on the context-frame timeline, so they measure the
+ *   whole round trip the way a performance is recorded. Key taps are placed
+ *   by the browser's output timestamp and get the reported input + output
+ *   latency (monitoring.js) added, so they depend on what the browser reports
+ * - Human timing limits this to a few milliseconds at best: results carry
+ *   `precision: 'low'` and a LOW_PRECISION reason in their report
+ *
+ * The offset has to stay within half a click interval (333 ms at 90 BPM).
+ * With speakers the clicks themselves reach the mic; use the acoustic
+ * calibration there.
+ *
+ * Usage:
+ *   const res = await calibrateByTapping(ctx, { source: 'mic', input: { stream } });
+ *   if (res.report.verdict.pass) profiles.save(route, res); // res.precision === 'low'
+ *   await calibrateLatencyRobust(ctx, { tapFallback: async () => confirm('Tap along instead?') });
+ */
+
+import { Metronome } from './metronome.js';
+import { playAndRecordCalibration, highPassIIR } from './capture.js';
+import { monitorLatency } from './monitoring.js';
+import { buildTapReport } from './calibration-report.js';
+
+/**
+ * @param {AudioContext} audioCtx
+ * @param {object} [opts]
+ * @param {'mic'|'key'} [opts.source='mic']  Claps recorded by the mic, or key presses
+ * @param {number} [opts.bpm=90]
+ * @param {number} [opts.clicks=16]          Clicks that count, after the warm-up
+ * @param {number} [opts.warmup=4]           Clicks to lock in with, not counted
+ * @param {number} [opts.leadInMs=1000]      Before the first click (the capture starts in between)
+ * @param {number} [opts.minTaps=8]          Fewer usable taps fails the report
+ * @param {number} [opts.maxSpreadMs=15]     Tap-offset MAD that still counts as steady
+ * @param {number} [opts.filterHpHz=300]     High-pass before clap detection
+ * @param {object} [opts.metronome]          Extra Metronome options (tones, gain, destination)
+ * @param {object} [opts.input]              { deviceId, channel, stream }
+ * @param {EventTarget} [opts.keyTarget=document]  Where key presses are listened for
+ * @param {(tap:{count:number, offsetMs:number}) => void} [opts.onTap]  Key taps as they come, with
+ *   the offset from the nearest click
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{method:'tap', source:string, precision:'low', lagSamples:number, lagMs:number,
+ *   lagSamplesFrac:number, lagMsPrecise:number, score:number, valid:boolean, taps:object[], report:object}>}
+ *   `score` is the fraction of counted clicks with a usable tap
+ */
+export async function calibrateByTapping(audioCtx, opts = {}) {
+    const {
+        source = 'mic',
+        sampleRate = audioCtx.sampleRate || 48000,
+        bpm = 90,
+        clicks = 16,
+        warmup = 4,
+        leadInMs = 1000,
+        minTaps = 8,
+        maxSpreadMs = 15,
+        filterHpHz = 300,
+        metronome = {},
+        input = {},
+        keyTarget = globalThis.document,
+        onTap,
+        signal,
+    } = opts;
+    if (source !== 'mic' && source !== 'key') throw new Error(`Unknown tap source "${source}"`);
+
+    signal?.throwIfAborted();
+    if (audioCtx.state === 'suspended') await audioCtx.resume();
+
+    const met = new Metronome(audioCtx, { bpm, beatsPerBar: 4, ...metronome });
+    const t0 = met.start(audioCtx.currentTime + leadInMs / 1000);
+    const end = t0 + (warmup + clicks) * met.beatDuration;
+    met.stop(end);
+    const until = end + met.beatDuration / 2; // a late last tap still counts
+
+    let tapTimes;
+    let extraSeconds = 0;       // key taps: the latency they cannot see
+    let inputLatencyKnown = true;
+    let clickTimes;
+    try {
+        if (source === 'key') {
+            tapTimes = await collectKeyTaps(audioCtx, keyTarget, until, signal, (time, count) => {
+                const nearest = met.scheduled.reduce((best, t) => (Math.abs(t.time - time) < Math.abs(best - time) ? t.time : best), Infinity);
+                onTap?.({ count, offsetMs: (time - nearest) * 1000 });
+            });
+            const latency = monitorLatency(audioCtx, input.stream);
+            extraSeconds = latency.seconds;
+            inputLatencyKnown = latency.inputReported;
+        } else {
+            // Nothing to play (the metronome has the clicks): the silent buffer
+            // only sets how long the capture runs
+            const length = Math.ceil((until - audioCtx.currentTime) * sampleRate);
+            const { mic, captureStartFrame } = await playAndRecordCalibration(audioCtx, new Float32Array(length), {
+                sampleRate, preRollMs: 0, postRollMs: 0, input, signal,
+            });
+            tapTimes = detectOnsets(mic, sampleRate, { filterHpHz, refractorySeconds: met.beatDuration / 4 })
+                .map((i) => (captureStartFrame + i) / sampleRate);
+        }
+        clickTimes = met.scheduled.map((t) => t.time);
+    } finally {
+        met.dispose();
+    }
+
+    const stats = estimateTapOffset(tapTimes, clickTimes, { warmup });
+    const lagSamplesFrac = (stats.offsetSeconds + extraSeconds) * sampleRate;
+    const report = buildTapReport(stats, { sampleRate, minTaps, maxSpreadMs, inputLatencyKnown });
+    return {
+        method: 'tap',
+        source,
+        precision: 'low',
+        lagSamples: Math.round(lagSamplesFrac),
+        lagMs: (Math.round(lagSamplesFrac) / sampleRate) * 1000,
+        lagSamplesFrac,
+        lagMsPrecise: (lagSamplesFrac / sampleRate) * 1000,
+        score: stats.expected ? stats.used / stats.expected : 0,
+        valid: report.verdict.pass,
+        taps: stats.pairs,
+        report,
+    };
+}
+
+/**
+ * Pair taps with clicks and take the robust mean offset.
+ * Each counted click takes the nearest tap within half a click interval;
+ * offsets further than `outlierK`·1.4826·MAD (at least `minOutlierMs`) from the
+ * median are rejected, twice over, and the median of the rest is the estimate.
+ * @param {number[]} tapTimes    Context times of the taps
+ * @param {number[]} clickTimes  Context times of the clicks, ascending
+ * @param {object} [opts]
+ * @param {number} [opts.warmup=4]         Leading clicks to ignore
+ * @param {number} [opts.outlierK=3]
+ * @param {number} [opts.minOutlierMs=5]
+ * @returns {{offsetSeconds:number, offsetMs:number, madMs:number, ci95Ms:[number, number]|null,
+ *   expected:number, matched:number, used:number, rejected:number,
+ *   pairs:Array<{clickTime:number, tapTime:number, offsetMs:number, outlier:boolean}>}}
+ *   `offsetSeconds` > 0: the taps came after the clicks (0 without usable taps)
+ */
+export function estimateTapOffset(tapTimes, clickTimes, opts = {}) {
+    const { warmup = 4, outlierK = 3, minOutlierMs = 5 } = opts;
+    const taps = [...tapTimes].sort((a, b) => a - b);
+    const counted = clickTimes.slice(warmup);
+    const gaps = clickTimes.slice(1).map((t, i) => t - clickTimes[i]);
+    const half = gaps.length ? median(gaps) / 2 : Infinity;
+
+    const pairs = [];
+    let j = 0;
+    for (const clickTime of counted) {
+        while (j < taps.length && taps[j] < clickTime - half) j++;
+        let best = null;
+        for (let k = j; k < taps.length && taps[k] < clickTime + half; k++) {
+            if (best === null || Math.abs(taps[k] - clickTime) < Math.abs(taps[best] - clickTime)) best = k;
+        }
+        if (best === null) continue;
+        pairs.push({ clickTime, tapTime: taps[best], offsetMs: (taps[best] - clickTime) * 1000, outlier: false });
+        j = best + 1; // a tap answers one click only
+    }
+
+    let kept = pairs;
+    for (let pass = 0; pass < 2 && kept.length > 2; pass++) {
+        const med = median(kept.map((p) => p.offsetMs));
+        const mad = median(kept.map((p) => Math.abs(p.offsetMs - med)));
+        const limit = Math.max(outlierK * 1.4826 * mad, minOutlierMs);
+        for (const p of kept) p.outlier = Math.abs(p.offsetMs - med) > limit;
+        kept = kept.filter((p) => !p.outlier);
+    }
+
+    const offsets = kept.map((p) => p.offsetMs);
+    const offsetMs = offsets.length ? median(offsets) : 0;
+    const madMs = offsets.length ? median(offsets.map((o) => Math.abs(o - offsetMs))) : 0;
+    // Normal-approximation 95% CI of the median, as in buildCalibrationReport()
+    const halfCi = offsets.length > 1 ? 1.96 * 1.2533 * 1.4826 * madMs / Math.sqrt(offsets.length) : null;
+    return {
+        offsetSeconds: offsetMs / 1000,
+        offsetMs,
+        madMs,
+        ci95Ms: halfCi === null ? null : [offsetMs - halfCi, offsetMs + halfCi],
+        expected: counted.length,
+        matched: pairs.length,
+        used: kept.length,
+        rejected: pairs.length - kept.length,
+        pairs,
+    };
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Tab', 'Escape']);
+
+// Key presses until context time `until`, as the context time that was being heard at each press
+function collectKeyTaps(audioCtx, target, until, signal, onTap) {
+    return new Promise((resolve, reject) => {
+        if (!target?.addEventListener) {
+            reject(new Error('Key tapping needs a key event target (no document here)'));
+            return;
+        }
+        const taps = [];
+        const onKey = (e) => {
+            if (e.repeat || MODIFIER_KEYS.has(e.key)) return;
+            e.preventDefault(); // Space would also press the focused button
+            const time = heardTime(audioCtx, e.timeStamp);
+            taps.push(time);
+            onTap(time, taps.length);
+        };
+        const finish = () => {
+            clearTimeout(timer);
+            target.removeEventListener('keydown', onKey);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            finish();
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            finish();
+            resolve(taps);
+        }, Math.max(0, until - audioCtx.currentTime) * 1000);
+        target.addEventListener('keydown', onKey);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Event time (performance.now() clock, ms) → context time at the speakers
+function heardTime(audioCtx, timeStampMs) {
+    const ts = audioCtx.getOutputTimestamp?.();
+    if (ts?.performanceTime > 0) return ts.contextTime + (timeStampMs - ts.performanceTime) / 1000;
+    // No output timestamp: the processing clock, less the reported output latency
+    const outputSeconds = (audioCtx.baseLatency ?? 0) + (audioCtx.outputLatency ?? 0);
+    return audioCtx.currentTime - outputSeconds + (timeStampMs - performance.now()) / 1000;
+}
+
+// Indices of clap onsets: first sample over the threshold, then quiet for `refractorySeconds`
+function detectOnsets(mic, sampleRate, { filterHpHz, refractorySeconds }) {
+    const x = filterHpHz ? highPassIIR(mic, sampleRate, filterHpHz) : mic;
+    let peak = 0;
+    const sampled = [];
+    for (let i = 0; i < x.length; i++) {
+        const a = Math.abs(x[i]);
+        if (a > peak) peak = a;
+        if ((i & 15) === 0) sampled.push(a);
+    }
+    // Claps are sparse, so the median level is the noise; ~20 dB above it,
+    // and not under a fifth of the loudest clap (keeps quiet bleed out)
+    const threshold = Math.max(10 * median(sampled), 0.2 * peak);
+    if (!(threshold > 0)) return [];
+
+    const refractory = Math.round(refractorySeconds * sampleRate);
+    const onsets = [];
+    for (let i = 0; i < x.length; i++) {
+        if (Math.abs(x[i]) >= threshold) {
+            onsets.push(i);
+            i += refractory;
+        }
+    }
+    return onsets;
+}
+
+function median(values) {
+    if (!values.length) return NaN;
+    const s = [...values].sort((a, b) => a - b);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : 0.5 * (s[m - 1] + s[m]);
+}
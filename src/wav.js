@@ -0,0 +1,249 @@
+/**
+ * RIFF/WAVE writer for recorded takes, and a reader for analysing them offline.
+ * - 16-bit PCM, 24-bit PCM or 32-bit float
+ * - optional `bext` (Broadcast Wave) chunk with description / time reference
+ * - optional `cue ` + LIST/adtl labels for markers (e.g. the downbeat)
+ * - decodeWav() reads 8/16/24/32-bit PCM and 32/64-bit float, including
+ *   WAVE_FORMAT_EXTENSIBLE files; other chunks are skipped
+ */
+
+export const WAV_FORMATS = {
+    pcm16: { bits: 16, tag: 1 },
+    pcm24: { bits: 24, tag: 1 },
+    float32: { bits: 32, tag: 3 },
+};
+
+/**
+ * Encode planar channels into a WAV file.
+ *
+ * @param {Float32Array[]} channels      One array per channel, equal lengths
+ * @param {number} sampleRate
+ * @param {object} [opts]
+ * @param {'pcm16'|'pcm24'|'float32'} [opts.format='pcm16']
+ * @param {{description?:string, originator?:string, timeReference?:number, date?:Date}} [opts.bext]
+ * @param {Array<{position:number, label?:string}>} [opts.cues]  Marker positions in sample frames
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(channels, sampleRate, opts = {}) {
+    const { format = 'pcm16', bext = null, cues = [] } = opts;
+    const fmt = WAV_FORMATS[format];
+    if (!fmt) throw new Error(`Unknown WAV format: ${format}`);
+
+    const numChannels = channels.length;
+    const frames = numChannels ? channels[0].length : 0;
+    const bytesPerSample = fmt.bits / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataBytes = frames * blockAlign;
+
+    const chunks = [];
+    chunks.push(fmtChunk(fmt, numChannels, sampleRate, blockAlign));
+    if (bext) chunks.push(bextChunk(bext));
+    if (cues.length) {
+        chunks.push(cueChunk(cues));
+        chunks.push(labelListChunk(cues));
+    }
+
+    const headerBytes = chunks.reduce((s, c) => s + c.byteLength, 0);
+    const total = 12 + headerBytes + 8 + dataBytes + (dataBytes & 1);
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+
+    writeTag(view, 0, 'RIFF');
+    view.setUint32(4, total - 8, true);
+    writeTag(view, 8, 'WAVE');
+
+    let off = 12;
+    for (const c of chunks) { out.set(new Uint8Array(c), off); off += c.byteLength; }
+
+    writeTag(view, off, 'data');
+    view.setUint32(off + 4, dataBytes, true);
+    off += 8;
+
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const v = channels[ch][i];
+            if (format === 'float32') {
+                view.setFloat32(off, v, true);
+            } else {
+                const c = Math.max(-1, Math.min(1, v));
+                if (format === 'pcm16') {
+                    view.setInt16(off, Math.round(c < 0 ? c * 0x8000 : c * 0x7fff), true);
+                } else {
+                    const s = Math.round(c < 0 ? c * 0x800000 : c * 0x7fffff);
+                    view.setUint8(off, s & 0xff);
+                    view.setUint8(off + 1, (s >> 8) & 0xff);
+                    view.setUint8(off + 2, (s >> 16) & 0xff);
+                }
+            }
+            off += bytesPerSample;
+        }
+    }
+    return out.buffer;
+}
+
+/**
+ * Decode a WAV file into planar float channels.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {{sampleRate:number, channels:Float32Array[], bits:number, float:boolean}}
+ */
+export function decodeWav(data) {
+    const view = ArrayBuffer.isView(data)
+        ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+        : new DataView(data);
+    if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let fmt = null;
+    let body = null;
+    for (let off = 12; off + 8 <= view.byteLength;) {
+        const id = readTag(view, off);
+        const size = view.getUint32(off + 4, true);
+        const start = off + 8;
+        if (id === 'fmt ') {
+            let tag = view.getUint16(start, true);
+            // WAVE_FORMAT_EXTENSIBLE: the real tag leads the SubFormat GUID
+            if (tag === 0xfffe && size >= 40) tag = view.getUint16(start + 24, true);
+            fmt = {
+                tag,
+                numChannels: view.getUint16(start + 2, true),
+                sampleRate: view.getUint32(start + 4, true),
+                blockAlign: view.getUint16(start + 12, true),
+                bits: view.getUint16(start + 14, true),
+            };
+        } else if (id === 'data') {
+            // Streamed writers leave the size at 0 or too large: read what is there
+            const end = size && start + size <= view.byteLength ? start + size : view.byteLength;
+            body = { start, end };
+        }
+        off = start + size + (size & 1);
+    }
+    if (!fmt) throw new Error('WAV file has no fmt chunk');
+    if (!body) throw new Error('WAV file has no data chunk');
+
+    const { tag, numChannels, sampleRate, blockAlign, bits } = fmt;
+    const float = tag === 3;
+    if (!(tag === 1 && [8, 16, 24, 32].includes(bits)) && !(float && (bits === 32 || bits === 64))) {
+        throw new Error(`Unsupported WAV encoding: format tag ${tag}, ${bits} bits`);
+    }
+
+    const bytesPerSample = bits / 8;
+    const frames = Math.floor((body.end - body.start) / blockAlign);
+    const channels = Array.from({ length: numChannels }, () => new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+        let off = body.start + i * blockAlign;
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels[ch][i] = readSample(view, off, bits, float);
+            off += bytesPerSample;
+        }
+    }
+    return { sampleRate, channels, bits, float };
+}
+
+/* ------------------------- Chunks ------------------------- */
+
+function fmtChunk(fmt, numChannels, sampleRate, blockAlign) {
+    const view = new DataView(new ArrayBuffer(8 + 16));
+    writeTag(view, 0, 'fmt ');
+    view.setUint32(4, 16, true);
+    view.setUint16(8, fmt.tag, true);
+    view.setUint16(10, numChannels, true);
+    view.setUint32(12, sampleRate, true);
+    view.setUint32(16, sampleRate * blockAlign, true);
+    view.setUint16(20, blockAlign, true);
+    view.setUint16(22, fmt.bits, true);
+    return view.buffer;
+}
+
+// EBU Tech 3285 v1 layout: 602 fixed bytes, no coding history
+function bextChunk({ description = '', originator = '', timeReference = 0, date = new Date() }) {
+    const size = 602;
+    const view = new DataView(new ArrayBuffer(8 + size));
+    writeTag(view, 0, 'bext');
+    view.setUint32(4, size, true);
+
+    const pad = (n) => String(n).padStart(2, '0');
+    writeString(view, 8, description, 256);
+    writeString(view, 264, originator, 32);
+    writeString(view, 296, '', 32); // OriginatorReference
+    writeString(view, 328, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`, 10);
+    writeString(view, 338, `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`, 8);
+    view.setUint32(346, timeReference % 0x100000000, true);
+    view.setUint32(350, Math.floor(timeReference / 0x100000000), true);
+    view.setUint16(354, 1, true); // Version
+    // UMID, loudness fields and reserved bytes stay zero
+    return view.buffer;
+}
+
+function cueChunk(cues) {
+    const size = 4 + cues.length * 24;
+    const view = new DataView(new ArrayBuffer(8 + size));
+    writeTag(view, 0, 'cue ');
+    view.setUint32(4, size, true);
+    view.setUint32(8, cues.length, true);
+    cues.forEach((cue, i) => {
+        const o = 12 + i * 24;
+        view.setUint32(o, i + 1, true);              // cue point ID
+        view.setUint32(o + 4, cue.position, true);   // play order position
+        writeTag(view, o + 8, 'data');
+        view.setUint32(o + 12, 0, true);             // chunk start
+        view.setUint32(o + 16, 0, true);             // block start
+        view.setUint32(o + 20, cue.position, true);  // sample offset
+    });
+    return view.buffer;
+}
+
+function labelListChunk(cues) {
+    const labels = cues.map((cue, i) => {
+        const text = cue.label ?? `Marker ${i + 1}`;
+        const len = 4 + text.length + 1;            // id + zero-terminated text
+        const view = new DataView(new ArrayBuffer(8 + len + (len & 1)));
+        writeTag(view, 0, 'labl');
+        view.setUint32(4, len, true);
+        view.setUint32(8, i + 1, true);
+        writeString(view, 12, text, text.length);
+        return view.buffer;
+    });
+    const size = 4 + labels.reduce((s, l) => s + l.byteLength, 0);
+    const out = new Uint8Array(8 + size);
+    const view = new DataView(out.buffer);
+    writeTag(view, 0, 'LIST');
+    view.setUint32(4, size, true);
+    writeTag(view, 8, 'adtl');
+    let off = 12;
+    for (const l of labels) { out.set(new Uint8Array(l), off); off += l.byteLength; }
+    return out.buffer;
+}
+
+/* ------------------------- Utilities ------------------------- */
+
+function writeTag(view, off, tag) {
+    for (let i = 0; i < 4; i++) view.setUint8(off + i, tag.charCodeAt(i));
+}
+
+// ASCII, truncated to maxLen; the remaining bytes are already zero
+function writeString(view, off, str, maxLen) {
+    for (let i = 0; i < Math.min(str.length, maxLen); i++) {
+        view.setUint8(off + i, str.charCodeAt(i) & 0x7f);
+    }
+}
+
+function readTag(view, off) {
+    let s = '';
+    for (let i = 0; i < 4; i++) s += String.fromCharCode(view.getUint8(off + i));
+    return s;
+}
+
+function readSample(view, off, bits, float) {
+    if (float) return bits === 64 ? view.getFloat64(off, true) : view.getFloat32(off, true);
+    switch (bits) {
+        case 8: return (view.getUint8(off) - 128) / 0x80; // 8-bit PCM is unsigned
+        case 16: return view.getInt16(off, true) / 0x8000;
+        case 24: {
+            const s = view.getUint8(off) | (view.getUint8(off + 1) << 8) | (view.getInt8(off + 2) << 16);
+            return s / 0x800000;
+        }
+        default: return view.getInt32(off, true) / 0x80000000;
+    }
+}
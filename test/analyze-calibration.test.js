@@ -0,0 +1,138 @@
+/**
+ * scripts/analyze-calibration.js as a child process on generated WAVs: a
+ * generated (--signal) or recorded (--ref) reference, single files and
+ * directories, the JSON it prints and its exit codes (0 valid, 1 no valid
+ * attempt, 2 usage or input error).
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodeWav } from '../src/wav.js';
+import { createReferenceSignal } from '../src/reference-signals.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/analyze-calibration.js', import.meta.url));
+const SAMPLE_RATE = 48000;
+const OFFSET_MS = 50;
+const DELAY = 480;
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'analyze-calibration-'));
+    const chirp = createReferenceSignal('chirp', SAMPLE_RATE).signal;
+    await writeWav('take.wav', recording(chirp, DELAY));
+    await writeWav('played.wav', chirp);
+    await writeWav('silence.wav', recording(chirp, DELAY, 0));
+
+    // three attempts of an MLS, one sample apart; the second directory also holds what was played
+    const mls = createReferenceSignal('mls', SAMPLE_RATE, { order: 12 }).signal;
+    for (const sub of ['attempts', 'attempts-and-ref']) {
+        await mkdir(join(dir, sub));
+        for (const k of [0, 1, 2]) await writeWav(`${sub}/attempt-${k}.wav`, recording(mls, DELAY + k));
+    }
+    await writeWav('attempts-and-ref/played.wav', mls);
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('a single recording against a generated signal', async () => {
+    const { code, json } = await run(['take.wav', '--signal', 'chirp', '--offset-ms', String(OFFSET_MS)]);
+    assert.equal(code, 0);
+    assert.equal(json.file, 'take.wav');
+    assert.equal(json.sampleRate, SAMPLE_RATE);
+    assert.equal(json.valid, true);
+    assert.equal(json.lagSamples, DELAY);
+    assert.ok(Math.abs(json.lagSamplesFrac - DELAY) < 0.05, `lag ${json.lagSamplesFrac}`);
+    assert.equal(json.report.verdict.pass, true);
+    assert.equal(json.curve, undefined);
+    assert.equal(json.diagnostics, undefined);
+});
+
+test('a single recording against a recorded reference, with the curve', async () => {
+    const { code, json } = await run(['take.wav', '--ref', join(dir, 'played.wav'), '--offset-ms', String(OFFSET_MS), '--curve']);
+    assert.equal(code, 0);
+    assert.equal(json.valid, true);
+    assert.ok(Math.abs(json.lagSamplesFrac - DELAY) < 0.05, `lag ${json.lagSamplesFrac}`);
+    assert.equal(json.curve.firstLagSamples, 0);
+    assert.equal(json.curve.scores.length, (120 / 1000) * SAMPLE_RATE + 1);
+});
+
+test('a directory is one attempt per file, plus the summary', async () => {
+    for (const args of [
+        ['attempts', '--signal', 'mls', '--param', 'order=12'],
+        // the reference inside the directory is not an attempt
+        ['attempts-and-ref', '--ref', join(dir, 'attempts-and-ref', 'played.wav')],
+    ]) {
+        const { code, json } = await run([...args, '--offset-ms', String(OFFSET_MS)]);
+        assert.equal(code, 0, args.join(' '));
+        assert.deepEqual(json.files.map((f) => f.file), ['attempt-0.wav', 'attempt-1.wav', 'attempt-2.wav']);
+        json.files.forEach((f, k) => assert.ok(Math.abs(f.lagSamplesFrac - (DELAY + k)) < 0.1, `${f.file}: ${f.lagSamplesFrac}`));
+        assert.equal(json.summary.valid, true);
+        assert.ok(Math.abs(json.summary.lagSamplesFrac - (DELAY + 1)) < 0.1, `median ${json.summary.lagSamplesFrac}`);
+        assert.equal(json.summary.report.validCount, 3);
+    }
+});
+
+test('exit status 1 when no attempt is valid', async () => {
+    const { code, json } = await run(['silence.wav', '--signal', 'chirp', '--offset-ms', String(OFFSET_MS)]);
+    assert.equal(code, 1);
+    assert.equal(json.valid, false);
+    assert.equal(json.report.verdict.pass, false);
+});
+
+test('exit status 2 on usage and input errors', async () => {
+    const usage = await run([]);
+    assert.equal(usage.code, 2);
+    assert.match(usage.stdout, /^Usage: analyze-calibration/);
+    assert.equal((await run(['--help'])).code, 0);
+
+    for (const [args, message] of [
+        [['take.wav', '--signal', 'sweep'], /Unknown signal "sweep"/],
+        [['take.wav', '--param', 'order'], /--param expects key=value/],
+        [['take.wav', '--offset-ms', 'soon'], /--offset-ms expects a number/],
+        [['take.wav', '--channel', '1'], /take.wav has no channel 1/],
+        [['missing.wav'], /ENOENT/],
+    ]) {
+        const { code, stderr, stdout } = await run(args);
+        assert.equal(code, 2, args.join(' '));
+        assert.match(stderr, message);
+        assert.equal(stdout, '');
+    }
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// `signal` at `gain`, played OFFSET_MS into the recording and heard `delay` samples later, in low noise
+function recording(signal, delay, gain = 0.3) {
+    const offset = Math.round((OFFSET_MS / 1000) * SAMPLE_RATE);
+    let seed = 11;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32) - 0.5;
+    const mic = new Float32Array(offset + delay + signal.length + 4800);
+    for (let i = 0; i < mic.length; i++) mic[i] = 0.001 * random();
+    for (let i = 0; i < signal.length; i++) mic[offset + delay + i] += gain * signal[i];
+    return mic;
+}
+
+function writeWav(name, samples) {
+    return writeFile(join(dir, name), new Uint8Array(encodeWav([samples], SAMPLE_RATE, { format: 'float32' })));
+}
+
+// Run the script in `dir`: exit code, output, and the output parsed when it is JSON
+function run(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [SCRIPT, ...args], { cwd: dir }, (err, stdout, stderr) => {
+            let json = null;
+            try {
+                json = JSON.parse(stdout);
+            } catch {
+                // help text or nothing
+            }
+            resolve({ code: err ? err.code : 0, stdout, stderr, json });
+        });
+    });
+}
@@ -0,0 +1,51 @@
+/**
+ * calibration-analysis.js on synthetic captures: every built-in reference
+ * signal recovers a whole-sample delay through the high-pass, and sparse
+ * signals (clicks, Golay) are levelled where they sound, not over their gaps.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCalibrationCapture } from '../src/calibration-analysis.js';
+import { createReferenceSignal } from '../src/reference-signals.js';
+
+const SAMPLE_RATE = 48000;
+const PRE_ROLL = 4800;
+
+test('each reference signal recovers a whole-sample delay through the high-pass', () => {
+    for (const [mode, params] of [['chirp', {}], ['mls', { order: 14 }], ['golay', {}], ['clicks', {}]]) {
+        const res = analyzeCalibrationCapture(capture(mode, params, 480), { mode, params, sampleRate: SAMPLE_RATE, offsetSamples: PRE_ROLL });
+        assert.equal(res.lagSamples, 480, mode);
+        assert.ok(Math.abs(res.lagSamplesFrac - 480) < 0.01, `${mode}: ${res.lagSamplesFrac}`);
+        assert.equal(res.report.verdict.pass, true, `${mode}: ${JSON.stringify(res.report.verdict.reasons)}`);
+    }
+});
+
+test('clicks and Golay are levelled over their sounding stretches', () => {
+    for (const mode of ['clicks', 'golay']) {
+        const { levelWindows, signal } = createReferenceSignal(mode, SAMPLE_RATE);
+        const sounding = levelWindows.reduce((n, [from, to]) => n + to - from, 0);
+        assert.ok(sounding < signal.length / 2, `${mode}: mostly gaps`);
+
+        const res = analyzeCalibrationCapture(capture(mode, {}, 480), { mode, sampleRate: SAMPLE_RATE, offsetSamples: PRE_ROLL });
+        // the level over the windows, as the whole-signal RMS scaled up by the duty cycle
+        const whole = analyzeCalibrationCapture(capture(mode, {}, 480), {
+            mode: 'custom', params: { signal }, sampleRate: SAMPLE_RATE, offsetSamples: PRE_ROLL,
+        });
+        const dutyDb = 10 * Math.log10(signal.length / sounding);
+        assert.ok(Math.abs(res.signalDb - (whole.signalDb + dutyDb)) < 1, `${mode}: ${res.signalDb} vs ${whole.signalDb} + ${dutyDb}`);
+    }
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// `mode`'s signal at 0.3 after PRE_ROLL + `delay` samples, in low noise
+function capture(mode, params, delay) {
+    const { signal } = createReferenceSignal(mode, SAMPLE_RATE, params);
+    let seed = 3;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32) - 0.5;
+    const mic = new Float32Array(PRE_ROLL + signal.length + 4800);
+    for (let i = 0; i < mic.length; i++) mic[i] = 0.001 * random();
+    for (let i = 0; i < signal.length; i++) mic[PRE_ROLL + delay + i] += 0.3 * signal[i];
+    return mic;
+}
@@ -0,0 +1,98 @@
+/**
+ * End-to-end latency calibration against the virtual loopback device
+ * (src/sim): fractional delays, room reflections, clipping and clock drift.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installVirtualAudio } from '../src/sim/virtual-audio.js';
+import { calibrateLatency, calibrateLatencyRobust } from '../src/calibrate.js';
+import { measureClockDrift } from '../src/drift.js';
+import { localAnalysis } from '../src/analysis.js';
+
+const SAMPLE_RATE = 48000;
+
+test('calibrateLatency recovers a fractional delay', async () => {
+    for (const mode of ['chirp', 'mls']) {
+        const res = await withDevice({ delaySamples: 480.25 }, (ctx) => calibrateLatency(ctx, { mode }));
+        assert.ok(Math.abs(res.lagSamplesFrac - 480.25) < 0.1, `${mode}: ${res.lagSamplesFrac}`);
+        assert.ok(res.score > 0.8, `${mode}: score ${res.score}`);
+    }
+});
+
+test('calibrateLatencyRobust picks the direct path next to a room reflection', async () => {
+    // a reflection louder than the direct sound (e.g. a speaker facing a wall) and a weaker one
+    for (const gain of [1.3, 0.9]) {
+        const res = await withDevice({ delaySamples: 480, reflections: [{ delaySamples: 150, gain }] },
+            (ctx) => calibrateLatencyRobust(ctx, { attempts: 3 }));
+        assert.ok(res.valid, `reflection gain ${gain}: ${JSON.stringify(res.report.verdict)}`);
+        assert.ok(Math.abs(res.lagSamplesFrac - 480) < 0.5, `reflection gain ${gain}: ${res.lagSamplesFrac}`);
+    }
+});
+
+test('calibrateLatencyRobust reports a clipping input', async () => {
+    const res = await withDevice({ delaySamples: 480, gain: 2 },
+        (ctx) => calibrateLatencyRobust(ctx, { attempts: 3, levelCheck: false, chirp: { amp: 0.9 } }));
+    assert.ok(res.report.attempts.every((a) => a.clipped));
+    assert.equal(res.report.verdict.pass, false);
+    assert.deepEqual(res.report.verdict.reasons.map((r) => r.code), ['CLIPPING']);
+});
+
+test('the level check keeps a hot input out of clipping', async () => {
+    const res = await withDevice({ delaySamples: 480, gain: 2 }, (ctx) => calibrateLatencyRobust(ctx, { attempts: 3 }));
+    assert.ok(res.report.levelCheck.peak < 0.5, `level check peak ${res.report.levelCheck.peak}`);
+    assert.ok(res.report.attempts.every((a) => !a.clipped));
+    assert.equal(res.report.verdict.pass, true);
+    assert.ok(Math.abs(res.lagSamplesFrac - 480) < 0.1);
+});
+
+test('the level check probes with the calibration\'s own signal', async () => {
+    // clicks are mostly silence and MLS has no crest: a chirp probe would misjudge both
+    for (const [mode, params] of [['clicks', {}], ['mls', { order: 12 }]]) {
+        const res = await withDevice({ delaySamples: 480, noiseRms: 0.005 },
+            (ctx) => calibrateLatencyRobust(ctx, { attempts: 3, mode, [mode]: params }));
+        const level = res.report.levelCheck;
+        assert.ok(level.steps.length > 1, `${mode}: ${level.steps.length} steps`);
+        for (const a of res.report.attempts) {
+            assert.ok(Math.abs(a.snrDb - level.snrDb) < 1, `${mode}: attempt SNR ${a.snrDb} vs level check ${level.snrDb}`);
+            assert.ok(Math.abs(a.peak - level.peak) < 0.1 * level.peak, `${mode}: attempt peak ${a.peak} vs level check ${level.peak}`);
+        }
+        assert.equal(res.report.verdict.pass, true, mode);
+    }
+});
+
+test('clock drift: latency stays on target, measureClockDrift finds the rate', async () => {
+    const driftPpm = 100;
+    const res = await withDevice({ delaySamples: 480, driftPpm }, (ctx) => calibrateLatency(ctx, {}));
+    // the drifted clock adds driftPpm·1e-6 of a sample per frame since the context started
+    assert.ok(Math.abs(res.lagSamplesFrac - 480) < 1.5, `lag ${res.lagSamplesFrac}`);
+
+    // the pilots are correlated by the analysis service passed in
+    const methods = [];
+    const analysis = new Proxy(localAnalysis, { get: (target, method) => (...args) => (methods.push(method), target[method](...args)) });
+    const drift = await withDevice({ delaySamples: 480, driftPpm }, (ctx) => measureClockDrift(ctx, { windowSeconds: 4, analysis }));
+    assert.ok(Math.abs(drift.driftPpm - driftPpm) < 2, `drift ${drift.driftPpm} ppm`);
+    assert.deepEqual(methods, ['analyzeDrift']);
+});
+
+test('measureClockDrift stops when its signal aborts', async () => {
+    const controller = new AbortController();
+    await assert.rejects(withDevice({ delaySamples: 480 }, (ctx) => {
+        const poll = () => (ctx.currentTime > 1 ? controller.abort() : setTimeout(poll, 1));
+        poll();
+        return measureClockDrift(ctx, { windowSeconds: 30, signal: controller.signal });
+    }), { name: 'AbortError' });
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+async function withDevice(device, fn) {
+    const { uninstall } = installVirtualAudio({ noiseRms: 0.0005, ...device });
+    const ctx = new AudioContext({ sampleRate: SAMPLE_RATE });
+    try {
+        return await fn(ctx);
+    } finally {
+        await ctx.close();
+        uninstall();
+    }
+}
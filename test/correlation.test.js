@@ -0,0 +1,125 @@
+/**
+ * mls.js and the periodic/paired lag estimators in correlation.js: MLS
+ * generation and fast circular correlation, and recovery of known whole- and
+ * fractional-sample delays by estimateLagMLS, estimateLagGolay and
+ * estimateLagPeriodic.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateMLS, mlsCorrelate, MLS_TAPS } from '../src/mls.js';
+import { estimateLagMLS, estimateLagGolay, estimateLagPeriodic } from '../src/correlation.js';
+import { makeMLSSequence, makeGolayPair, makeBandLimitedClick } from '../src/reference-signals.js';
+
+const SAMPLE_RATE = 48000;
+const DELAYS = [480, 480.3, 137.75];
+// A full-band sequence correlates to a sinc-shaped peak: a fractional delay
+// spreads it over neighbouring lags (sinc(0.3) ≈ 0.86 at the top), and the
+// cosine fit in interpolatePeak reads it up to ~0.08 sample short
+const FULL_BAND_TOLERANCE = 0.1;
+const FULL_BAND_MIN_SCORE = 0.8;
+
+test('generateMLS: maximal period, balanced, two-valued autocorrelation', () => {
+    for (let order = 2; order <= 16; order++) {
+        const { sequence, states, length } = generateMLS(order);
+        assert.equal(length, 2 ** order - 1);
+        assert.equal(new Set(states).size, length, `order ${order}: every register state once`);
+        assert.equal(sequence.filter((v) => v > 0).length, 2 ** (order - 1), `order ${order}: one more 1 than -1`);
+
+        // circular autocorrelation: L at lag 0, -1 everywhere else
+        const r = mlsCorrelate(sequence, generateMLS(order));
+        assert.equal(r[0], length);
+        assert.ok(r.subarray(1).every((v) => v === -1), `order ${order}`);
+    }
+    assert.equal(generateMLS(10), generateMLS(10, MLS_TAPS[10]), 'cached');
+});
+
+test('generateMLS rejects taps that are not a primitive polynomial', () => {
+    // x^4 + x^2 + 1 = (x^2 + x + 1)^2 repeats after 6 steps
+    assert.throws(() => generateMLS(4, [2]), /repeat after 6 samples, not 15/);
+    assert.throws(() => generateMLS(21), /not supported/);
+});
+
+test('mlsCorrelate matches the direct circular correlation', () => {
+    const mls = generateMLS(7);
+    const L = mls.length;
+    const y = Float64Array.from({ length: L }, (_, i) => Math.sin(i * 0.7) + ((i * 37) % 11) / 11);
+    const r = mlsCorrelate(y, mls);
+    for (let k = 0; k < L; k++) {
+        let direct = 0;
+        for (let n = 0; n < L; n++) direct += y[n] * mls.sequence[(n - k + L) % L];
+        assert.ok(Math.abs(r[k] - direct) < 1e-9, `lag ${k}: ${r[k]} vs ${direct}`);
+    }
+});
+
+test('estimateLagMLS recovers a known delay', () => {
+    const order = 12;
+    const played = makeMLSSequence(SAMPLE_RATE, order, 4, 0.5);
+    for (const delay of DELAYS) {
+        // the capture starts 100 samples before playback
+        const mic = delayed(played, 100 + delay, played.length + 2000);
+        const res = estimateLagMLS(mic, SAMPLE_RATE, { order, repeats: 4, amp: 0.5, offsetSamples: 100 });
+        assert.equal(res.periods, 3);
+        assert.equal(res.lagSamples, Math.round(delay));
+        assert.ok(Math.abs(res.lagSamplesFrac - delay) < FULL_BAND_TOLERANCE, `${delay}: ${res.lagSamplesFrac}`);
+        assert.ok(res.score > FULL_BAND_MIN_SCORE, `${delay}: score ${res.score}`);
+        if (Number.isInteger(delay)) assert.ok(Math.abs(res.ir[delay] - 1) < 1e-3, `ir peak ${res.ir[delay]}`);
+    }
+});
+
+test('estimateLagGolay recovers a known delay', () => {
+    const { a, b } = makeGolayPair(10);
+    const gapSamples = 4800;
+    const played = new Float32Array(2 * a.length + gapSamples);
+    played.set(a);
+    played.set(b, a.length + gapSamples);
+    for (const delay of DELAYS) {
+        const mic = delayed(played, 100 + delay, played.length + 2000);
+        const res = estimateLagGolay(mic, a, b, SAMPLE_RATE, { gapSamples, offsetSamples: 100 });
+        assert.equal(res.lagSamples, Math.round(delay));
+        assert.ok(Math.abs(res.lagSamplesFrac - delay) < FULL_BAND_TOLERANCE, `${delay}: ${res.lagSamplesFrac}`);
+        assert.ok(res.score > FULL_BAND_MIN_SCORE, `${delay}: score ${res.score}`);
+    }
+});
+
+test('estimateLagPeriodic recovers a known delay, also across the period boundary', () => {
+    const click = makeBandLimitedClick(SAMPLE_RATE);
+    const period = 9600;
+    const train = new Float32Array(period);
+    train.set(click);
+    for (const delay of [...DELAYS, period - 40.25]) {
+        const res = estimateLagPeriodic(delayed(train, delay, period, true), click, SAMPLE_RATE, { maxLagMs: 1000, allowNegative: delay > period / 2 });
+        const expected = delay > period / 2 ? delay - period : delay;
+        assert.equal(res.lagSamples, Math.round(expected));
+        assert.ok(Math.abs(res.lagSamplesFrac - expected) < 0.05, `${delay}: ${res.lagSamplesFrac}`);
+        assert.ok(res.score > 0.9, `${delay}: score ${res.score}`);
+    }
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// `x` delayed by `d` samples into `length` samples, with the virtual device's
+// Blackman-windowed sinc for the fractional part; `circular` wraps around
+// `x.length` instead of padding with silence
+function delayed(x, d, length, circular = false) {
+    const HALF_WIDTH = 32;
+    const at = (i) => (circular ? x[((i % x.length) + x.length) % x.length] : i >= 0 && i < x.length ? x[i] : 0);
+    const y = new Float32Array(length);
+    for (let n = 0; n < length; n++) {
+        const t = n - d;
+        const i0 = Math.floor(t);
+        const frac = t - i0;
+        if (frac === 0) {
+            y[n] = at(i0);
+            continue;
+        }
+        let s = 0;
+        for (let k = -HALF_WIDTH + 1; k <= HALF_WIDTH; k++) {
+            const u = k - frac;
+            const w = 0.42 + 0.5 * Math.cos(Math.PI * u / HALF_WIDTH) + 0.08 * Math.cos(2 * Math.PI * u / HALF_WIDTH);
+            s += at(i0 + k) * w * Math.sin(Math.PI * u) / (Math.PI * u);
+        }
+        y[n] = s;
+    }
+    return y;
+}
@@ -0,0 +1,33 @@
+/**
+ * metronome.js: tick spacing and accents per time signature.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installVirtualAudio } from '../src/sim/virtual-audio.js';
+import { Metronome } from '../src/metronome.js';
+
+test('beatUnit sets the beat length, compound meters group eighths in threes', async () => {
+    const { uninstall } = installVirtualAudio();
+    const ctx = new AudioContext({ sampleRate: 48000 });
+    try {
+        for (const [beatsPerBar, beatUnit, spacing, kinds] of [
+            [4, 4, 0.5, ['accent', 'beat', 'beat', 'beat']],
+            [2, 2, 1, ['accent', 'beat']],
+            [6, 8, 0.25, ['accent', 'sub', 'sub', 'beat', 'sub', 'sub']],
+            [7, 8, 0.25, ['accent', 'beat', 'beat', 'beat', 'beat', 'beat', 'beat']],
+        ]) {
+            // a lookahead over the whole bar schedules it in start()
+            const met = new Metronome(ctx, { bpm: 120, beatsPerBar, beatUnit, gain: 0, lookahead: 10 });
+            const t0 = met.start(ctx.currentTime + 0.1);
+            const bar = met.scheduled.filter((t) => t.time < t0 + met.barDuration - 1e-9);
+            assert.equal(met.beatDuration, spacing);
+            assert.deepEqual(bar.map((t) => t.kind), kinds, `${beatsPerBar}/${beatUnit}`);
+            bar.forEach((t, i) => assert.ok(Math.abs(t.time - (t0 + i * spacing)) < 1e-9));
+            met.dispose();
+        }
+    } finally {
+        await ctx.close();
+        uninstall();
+    }
+});
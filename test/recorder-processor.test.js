@@ -0,0 +1,221 @@
+/**
+ * recorder-processor.js message protocol, run in the virtual audio context
+ * (src/sim): recording windows, sub-frame start times, takes scheduled on
+ * the metronome's downbeat, and metering.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installVirtualAudio } from '../src/sim/virtual-audio.js';
+import { TakeRecorder } from '../src/take-recorder.js';
+import { Metronome } from '../src/metronome.js';
+import { scheduleTake } from '../src/recorder-utils.js';
+
+const SAMPLE_RATE = 48000;
+const PROCESSOR_URL = new URL('../src/recorder-processor.js', import.meta.url);
+
+test('setWindow records the window, ref and mic on the same timeline', async () => {
+    await withRecorder({ delaySamples: 480 }, async ({ ctx, rec, messages }) => {
+        // on frame boundaries, so lengths and positions are exact
+        const start = (Math.round(ctx.currentTime * SAMPLE_RATE) + 4800) / SAMPLE_RATE;
+        const impulseAt = start + 0.05;
+        rec.port.postMessage({ type: 'setWindow', start, end: start + 0.2 });
+        playImpulse(ctx, rec, impulseAt);
+
+        const chunks = await collectUntilStopped(messages);
+        const mic = concatChannel(chunks.map((c) => c.mic[0]));
+        const ref = concatChannel(chunks.map((c) => c.ref[0]));
+        assert.equal(mic.length, 0.2 * SAMPLE_RATE);
+        assert.equal(ref.length, mic.length);
+        assert.equal(peakIndex(ref), 0.05 * SAMPLE_RATE);
+        assert.equal(peakIndex(mic), 0.05 * SAMPLE_RATE + 480);
+    });
+});
+
+test('startAt between two frames shifts the recording by the fraction', async () => {
+    await withRecorder({ delaySamples: 480 }, async ({ ctx, rec, messages }) => {
+        const startFrame = Math.round(ctx.currentTime * SAMPLE_RATE) + 4800;
+        const impulseFrame = startFrame + 1000;
+        rec.port.postMessage({ type: 'startAt', time: (startFrame + 0.25) / SAMPLE_RATE });
+        playImpulse(ctx, rec, impulseFrame / SAMPLE_RATE);
+        setTimeoutFrames(ctx, 4800 + 2000, () => rec.port.postMessage({ type: 'stop' }));
+
+        const chunks = await collectUntilStopped(messages);
+        const ref = concatChannel(chunks.map((c) => c.ref[0]));
+        // linear interpolation splits the impulse over two frames; its centroid is exact
+        assert.ok(Math.abs(centroid(ref) - (1000 - 0.25)) < 1e-3);
+    });
+});
+
+test('TakeRecorder closes a take on "stopped"', async () => {
+    await withRecorder({ delaySamples: 480 }, async ({ ctx, rec }) => {
+        const takes = new TakeRecorder(SAMPLE_RATE);
+        const contextStartTime = (Math.round(ctx.currentTime * SAMPLE_RATE) + 2400) / SAMPLE_RATE;
+        takes.begin({ contextStartTime, latencySeconds: 480 / SAMPLE_RATE });
+        const closed = new Promise((resolve) => { takes.onTake = resolve; });
+        rec.port.onmessage = (e) => takes.handleMessage(e.data);
+
+        rec.port.postMessage({ type: 'startAt', time: contextStartTime });
+        playImpulse(ctx, rec, contextStartTime + 0.02);
+        setTimeoutFrames(ctx, 0.1 * SAMPLE_RATE, () => rec.port.postMessage({ type: 'stop' }));
+
+        const take = await closed;
+        assert.equal(take.channels.length, 1);
+        assert.ok(take.channels[0].length >= 0.05 * SAMPLE_RATE);
+        assert.equal(peakIndex(take.channels[0]), 0.02 * SAMPLE_RATE + 480);
+        assert.equal(takes.takes.length, 1);
+    });
+});
+
+test('scheduleTake puts the downbeat, heard back, on the take\'s downbeatFrame', async () => {
+    const latency = 600;
+    for (const recordCountIn of [true, false]) {
+        await withRecorder({ delaySamples: latency }, async ({ ctx, rec }) => {
+            // a lookahead over the whole take schedules every click in start()
+            const met = new Metronome(ctx, { bpm: 240, beatsPerBar: 4, lookahead: 10 });
+            const takes = new TakeRecorder(SAMPLE_RATE);
+            const closed = new Promise((resolve) => { takes.onTake = resolve; });
+            rec.port.onmessage = (e) => takes.handleMessage(e.data);
+
+            const s = scheduleTake(ctx, rec, met, latency / SAMPLE_RATE, { countInBars: 1, recordCountIn });
+            takes.begin({ contextStartTime: s.recordStart, latencySeconds: latency / SAMPLE_RATE, downbeatFrame: s.downbeatFrame, downbeatTime: s.downbeat });
+            assert.equal(s.downbeat, met.timeOf(1));
+            setTimeoutFrames(ctx, (s.downbeat + 0.6 - ctx.currentTime) * SAMPLE_RATE, () => {
+                rec.port.postMessage({ type: 'stop' });
+                met.stop();
+            });
+            const take = await closed;
+            const x = take.channels[0];
+            const lead = met.buffers.accent.getChannelData(0).findIndex((v) => v !== 0);
+
+            // every click recorded where its context time + latency puts it
+            const onsets = met.scheduled
+                .map((t) => Math.round((t.time - s.recordStart) * SAMPLE_RATE) + latency)
+                .filter((at) => at >= 0 && at < x.length - 100);
+            assert.equal(onsets.length, recordCountIn ? 6 : 2);
+            for (const at of onsets) assert.equal(onsetNear(x, at, lead), at, `click at ${at}`);
+
+            // the downbeat: 3 ms margin before it with the count-in, cut off without
+            const downbeatOnset = Math.round((s.downbeat - s.recordStart) * SAMPLE_RATE) + latency;
+            if (recordCountIn) {
+                assert.equal(s.downbeatFrame, downbeatOnset);
+                assert.equal(s.downbeatFrame, Math.round((s.downbeat - s.clickStart - 0.003) * SAMPLE_RATE));
+                assert.equal(onsetNear(x, s.downbeatFrame, lead), s.downbeatFrame);
+            } else {
+                assert.equal(s.downbeatFrame, 0);
+                assert.equal(downbeatOnset, -0.003 * SAMPLE_RATE);
+            }
+            met.dispose();
+        });
+    }
+});
+
+test('meter messages flag a clipping input', async () => {
+    await withRecorder({ gain: 2, meterIntervalMs: 20 }, async ({ ctx, rec, messages }) => {
+        const tone = ctx.createBuffer(1, 0.1 * SAMPLE_RATE, SAMPLE_RATE);
+        tone.getChannelData(0).forEach((_, i, d) => { d[i] = 0.9 * Math.sin(i / 5); });
+        const src = ctx.createBufferSource();
+        src.buffer = tone;
+        src.connect(ctx.destination);
+        src.start(ctx.currentTime + 0.05);
+
+        const meters = await collect(messages, 'meter', 12);
+        assert.ok(meters.every((m) => m.peak.length === 1 && m.rms.length === 1));
+        assert.ok(!meters[0].clip[0], 'silent before the tone');
+        assert.ok(meters.some((m) => m.clip[0] && m.peak[0] >= 0.99), 'clip while the tone plays');
+    });
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// One virtual context with a recorder node fed by the virtual mic; `messages`
+// queues everything the node posts
+async function withRecorder({ meterIntervalMs = 0, ...device }, fn) {
+    const { uninstall } = installVirtualAudio({ noiseRms: 0, ...device });
+    const ctx = new AudioContext({ sampleRate: SAMPLE_RATE });
+    try {
+        await ctx.audioWorklet.addModule(PROCESSOR_URL);
+        const rec = new AudioWorkletNode(ctx, 'recorder-processor', {
+            numberOfInputs: 2, numberOfOutputs: 0, channelCount: 1, channelCountMode: 'explicit',
+            processorOptions: { meterIntervalMs },
+        });
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        ctx.createMediaStreamSource(stream).connect(rec, 0, 0);
+        const messages = messageQueue();
+        rec.port.onmessage = (e) => messages.push(e.data);
+        await fn({ ctx, rec, messages });
+    } finally {
+        await ctx.close();
+        uninstall();
+    }
+}
+
+function messageQueue() {
+    const queue = { items: [], waiters: [] };
+    queue.push = (data) => {
+        queue.items.push(data);
+        for (const w of queue.waiters.splice(0)) w();
+    };
+    queue.next = () => new Promise((resolve) => queue.waiters.push(resolve));
+    return queue;
+}
+
+async function collectUntilStopped(messages) {
+    for (;;) {
+        const i = messages.items.findIndex((m) => m.type === 'stopped');
+        if (i >= 0) return messages.items.slice(0, i).filter((m) => m.type === 'chunk');
+        await messages.next();
+    }
+}
+
+async function collect(messages, type, count) {
+    for (;;) {
+        const found = messages.items.filter((m) => m.type === type);
+        if (found.length >= count) return found.slice(0, count);
+        await messages.next();
+    }
+}
+
+// A one-sample impulse to the speaker and to the recorder's ref input
+function playImpulse(ctx, rec, when) {
+    const buf = ctx.createBuffer(1, 1, SAMPLE_RATE);
+    buf.getChannelData(0)[0] = 0.5;
+    const src = ctx.createBufferSource();
+    src.buffer = buf;
+    src.connect(ctx.destination);
+    src.connect(rec, 0, 1);
+    src.start(when);
+}
+
+// setTimeout on the context clock (the simulated context outruns wall time)
+function setTimeoutFrames(ctx, frames, fn) {
+    const at = ctx.currentTime + frames / SAMPLE_RATE;
+    const poll = () => (ctx.currentTime >= at ? fn() : setTimeout(poll, 1));
+    poll();
+}
+
+function concatChannel(parts) {
+    const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    let off = 0;
+    for (const p of parts) { out.set(p, off); off += p.length; }
+    return out;
+}
+
+function peakIndex(x) {
+    let best = 0;
+    for (let i = 1; i < x.length; i++) if (Math.abs(x[i]) > Math.abs(x[best])) best = i;
+    return best;
+}
+
+// Frame within ±50 of `at` where a click starts: the first non-zero frame
+// (the simulation is noise-free), less the tone's own silent `lead` (sin(0))
+function onsetNear(x, at, lead) {
+    for (let i = Math.max(0, at - 50); i < Math.min(x.length, at + 50); i++) if (x[i] !== 0) return i - lead;
+    return -1;
+}
+
+function centroid(x) {
+    let sum = 0, weighted = 0;
+    for (let i = 0; i < x.length; i++) { sum += x[i]; weighted += i * x[i]; }
+    return weighted / sum;
+}
@@ -0,0 +1,132 @@
+/**
+ * ring-buffer.js: the reader against a hand-written producer (wrap-around,
+ * full and empty rings), and recorder-processor as the producer in the
+ * virtual audio context (overflow and drop accounting).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRingBuffer, RingBufferReader, RING_WRITE, RING_READ, RING_DROPPED } from '../src/ring-buffer.js';
+import { installVirtualAudio } from '../src/sim/virtual-audio.js';
+
+const SAMPLE_RATE = 48000;
+
+test('reading an empty ring returns nothing', () => {
+    const reader = new RingBufferReader(createRingBuffer({ capacityFrames: 8, micChannels: 1 }));
+    assert.equal(reader.available, 0);
+    assert.equal(reader.read(), null);
+    let calls = 0;
+    reader.drain(() => { calls++; });
+    assert.equal(calls, 0);
+    assert.equal(reader.droppedFrames, 0);
+});
+
+test('frames come back in order across the wrap-around', () => {
+    const config = createRingBuffer({ capacityFrames: 8, micChannels: 2, refChannels: 1 });
+    const reader = new RingBufferReader(config);
+    const producer = ringProducer(config);
+
+    producer.write(5);
+    assert.equal(reader.available, 5);
+    assertFrames(reader.read(), 0, 5);
+    assert.equal(reader.read(), null);
+
+    // 6 more frames: slots 5, 6, 7, 0, 1, 2
+    producer.write(6);
+    assert.equal(reader.available, 6);
+    const chunk = reader.read();
+    assert.equal(chunk.type, 'chunk');
+    assertFrames(chunk, 5, 6);
+    assert.equal(reader.available, 0);
+});
+
+test('a full ring holds capacity - 1 frames', () => {
+    const config = createRingBuffer({ capacityFrames: 8, micChannels: 1, refChannels: 1 });
+    const reader = new RingBufferReader(config);
+    const producer = ringProducer(config);
+    assert.equal(producer.write(7), true);
+    assert.equal(producer.write(1), false);
+    assert.equal(reader.available, 7);
+    assertFrames(reader.read(), 0, 7);
+});
+
+test('recorder-processor drops whole blocks on overflow and reports it once', async () => {
+    const { uninstall } = installVirtualAudio({ delaySamples: 480 });
+    const ctx = new AudioContext({ sampleRate: SAMPLE_RATE });
+    try {
+        await ctx.audioWorklet.addModule(new URL('../src/recorder-processor.js', import.meta.url));
+        const rec = new AudioWorkletNode(ctx, 'recorder-processor', {
+            numberOfInputs: 2, numberOfOutputs: 0, channelCount: 1, channelCountMode: 'explicit',
+            processorOptions: { meterIntervalMs: 0 },
+        });
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        ctx.createMediaStreamSource(stream).connect(rec, 0, 0);
+
+        const config = createRingBuffer({ capacityFrames: 1000, micChannels: 1, refChannels: 1 });
+        const reader = new RingBufferReader(config);
+        const messages = [];
+        rec.port.onmessage = (e) => messages.push(e.data);
+        rec.port.postMessage({ type: 'useRingBuffer', config });
+        rec.port.postMessage({ type: 'startAt', time: ctx.currentTime });
+
+        // Nobody reads: 7 blocks of 128 fit in 999 free frames, then every block is dropped
+        await untilContextTime(ctx, ctx.currentTime + 0.1);
+        const overflows = messages.filter((m) => m.type === 'overflow');
+        assert.equal(overflows.length, 1);
+        assert.equal(overflows[0].droppedFrames, 128);
+        assert.equal(reader.available, 7 * 128);
+        assert.ok(reader.droppedFrames > 128 && reader.droppedFrames % 128 === 0, `dropped ${reader.droppedFrames}`);
+        assert.ok(!messages.some((m) => m.type === 'chunk'), 'no postMessage chunks while the ring is in use');
+
+        // Reading makes room again; a later overflow is a new episode
+        assert.equal(reader.read().mic[0].length, 7 * 128);
+        await untilContextTime(ctx, ctx.currentTime + 0.1);
+        assert.equal(messages.filter((m) => m.type === 'overflow').length, 2);
+        rec.port.postMessage({ type: 'stop' });
+    } finally {
+        await ctx.close();
+        uninstall();
+    }
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// Producer side of the ring, as recorder-processor writes it: frame k carries
+// k in every mic channel and -(k + 1) in every ref channel
+function ringProducer({ sab, capacityFrames, micChannels, refChannels }) {
+    const header = new Int32Array(sab, 0, 4);
+    const data = new Float32Array(sab, 16, capacityFrames * (micChannels + refChannels));
+    const stride = micChannels + refChannels;
+    let next = 0;
+    return {
+        write(frames) {
+            const w = Atomics.load(header, RING_WRITE);
+            const r = Atomics.load(header, RING_READ);
+            const free = capacityFrames - 1 - ((w - r + capacityFrames) % capacityFrames);
+            if (frames > free) {
+                Atomics.add(header, RING_DROPPED, frames);
+                return false;
+            }
+            let pos = w;
+            for (let i = 0; i < frames; i++, next++) {
+                for (let ch = 0; ch < micChannels; ch++) data[pos * stride + ch] = next;
+                for (let ch = 0; ch < refChannels; ch++) data[pos * stride + micChannels + ch] = -(next + 1);
+                if (++pos === capacityFrames) pos = 0;
+            }
+            Atomics.store(header, RING_WRITE, pos);
+            return true;
+        },
+    };
+}
+
+function assertFrames(chunk, first, count) {
+    for (const ch of chunk.mic) assert.deepEqual(Array.from(ch), Array.from({ length: count }, (_, i) => first + i));
+    for (const ch of chunk.ref) assert.deepEqual(Array.from(ch), Array.from({ length: count }, (_, i) => -(first + i + 1)));
+}
+
+function untilContextTime(ctx, time) {
+    return new Promise((resolve) => {
+        const poll = () => (ctx.currentTime >= time ? resolve() : setTimeout(poll, 1));
+        poll();
+    });
+}
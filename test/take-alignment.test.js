@@ -0,0 +1,118 @@
+/**
+ * take-alignment.js: finding the click bleed in a take, the sign of the
+ * residual offset, and shifting the take into place.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderClickPattern, verifyTakeAlignment, correctTakeAlignment, clickTrack } from '../src/take-alignment.js';
+import { makeClickTone } from '../src/metronome.js';
+import { localAnalysis } from '../src/analysis.js';
+
+const SAMPLE_RATE = 48000;
+const TONES = {
+    accent: makeClickTone(SAMPLE_RATE, { freq: 1760, durMs: 35, gain: 1 }),
+    beat: makeClickTone(SAMPLE_RATE, { freq: 1320, durMs: 30, gain: 0.7 }),
+};
+const CLICK_START = 1;
+// Two bars of 4/4 at 120 bpm
+const CLICKS = {
+    scheduled: Array.from({ length: 8 }, (_, i) => ({ time: CLICK_START + 0.5 * i, kind: i % 4 ? 'beat' : 'accent' })),
+    buffers: TONES,
+};
+
+test('a take recorded with the right latency is aligned', () => {
+    const check = verifyTakeAlignment(makeTake({ latencySeconds: 0.01 }), CLICKS);
+    assert.equal(check.detected, true);
+    assert.equal(check.exceeded, false);
+    assert.equal(check.clicks, 8);
+    assert.ok(Math.abs(check.offsetSamples) < 0.1, `offset ${check.offsetSamples}`);
+    assert.ok(Math.abs(check.latencySeconds - 0.01) < 1e-5);
+});
+
+test('the offset is positive when the clicks arrive later than assumed', () => {
+    for (const drift of [2.5e-3, -1.5e-3]) {
+        const check = verifyTakeAlignment(makeTake({ latencySeconds: 0.01, actualLatencySeconds: 0.01 + drift }), CLICKS);
+        assert.equal(check.detected, true);
+        assert.equal(check.exceeded, true);
+        assert.ok(Math.abs(check.offsetSamples - drift * SAMPLE_RATE) < 0.2, `${drift}: offset ${check.offsetSamples}`);
+        assert.ok(Math.abs(check.offsetMs - drift * 1000) < 0.005);
+        assert.ok(Math.abs(check.latencySeconds - (0.01 + drift)) < 5e-6);
+    }
+});
+
+test('with the count-in recorded, only the clicks before the downbeat count', () => {
+    // a loud performance from the downbeat on, and clicks that drifted by 2 ms
+    const take = makeTake({ latencySeconds: 0.01, actualLatencySeconds: 0.012, downbeatFrame: 4 * 0.5 * SAMPLE_RATE, performance: 0.8 });
+    const check = verifyTakeAlignment(take, CLICKS);
+    assert.equal(check.clicks, 4);
+    assert.ok(Math.abs(check.offsetSamples - 96) < 0.3, `offset ${check.offsetSamples}`);
+});
+
+test('no bleed in the take: nothing detected, latency unchanged', () => {
+    const take = makeTake({ latencySeconds: 0.01, clickGain: 0 });
+    const check = verifyTakeAlignment(take, CLICKS);
+    assert.equal(check.detected, false);
+    assert.equal(check.exceeded, false);
+    assert.equal(check.latencySeconds, 0.01);
+});
+
+test('correctTakeAlignment shifts the take onto the clicks', () => {
+    const take = makeTake({ latencySeconds: 0.01, actualLatencySeconds: 0.0125 });
+    const check = verifyTakeAlignment(take, CLICKS);
+    const fixed = correctTakeAlignment(take, check);
+    const shift = Math.round(check.offsetSamples);
+    assert.equal(shift, 120);
+    assert.equal(fixed.channels[0].length, take.channels[0].length);
+    assert.deepEqual(fixed.channels[0].subarray(0, 1000), take.channels[0].subarray(shift, shift + 1000));
+    assert.ok(fixed.channels[0].subarray(-shift).every((v) => v === 0), 'silence shifted in');
+    assert.ok(Math.abs(fixed.meta.contextStartTime - (take.meta.contextStartTime + shift / SAMPLE_RATE)) < 1e-12);
+    assert.equal(fixed.meta.latencySeconds, check.latencySeconds);
+    assert.equal(fixed.meta.alignment.corrected, true);
+    assert.equal(take.meta.latencySeconds, 0.01, 'the original take is left alone');
+
+    const again = verifyTakeAlignment(fixed, CLICKS);
+    assert.equal(again.exceeded, false);
+    assert.ok(Math.abs(again.offsetSamples) < 0.6, `residual ${again.offsetSamples}`);
+});
+
+test('through the analysis service, with the tones as plain samples', async () => {
+    // AudioBuffer-like tones, as a Metronome holds them
+    const metronome = {
+        scheduled: CLICKS.scheduled,
+        buffers: Object.fromEntries(Object.entries(TONES).map(([kind, tone]) => [kind, { getChannelData: () => tone }])),
+    };
+    const track = clickTrack(metronome);
+    assert.ok(Object.values(track.buffers).every((tone) => tone instanceof Float32Array));
+    assert.notEqual(track.scheduled, metronome.scheduled, 'a snapshot of the ticks');
+
+    const take = makeTake({ latencySeconds: 0.01, actualLatencySeconds: 0.0125 });
+    assert.deepEqual(await localAnalysis.verifyTakeAlignment(take, track), verifyTakeAlignment(take, metronome));
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// A take of the CLICKS bleed, recorded from the first click (as scheduleTake
+// with recordCountIn) assuming `latencySeconds`, while the clicks really
+// arrived after `actualLatencySeconds`; plus low noise and an optional
+// "performance" (loud noise) from `downbeatFrame` on
+function makeTake({ latencySeconds, actualLatencySeconds = latencySeconds, downbeatFrame = 0, performance = 0, clickGain = 0.3 }) {
+    const length = Math.round(4.5 * SAMPLE_RATE);
+    const contextStartTime = CLICK_START + latencySeconds;
+    const { pattern } = renderClickPattern(CLICKS.scheduled, TONES, {
+        sampleRate: SAMPLE_RATE, startTime: contextStartTime, latencySeconds: actualLatencySeconds, length,
+    });
+    let seed = 7;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32) - 0.5;
+    const x = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        x[i] = clickGain * pattern[i] + 0.002 * random() + (i >= downbeatFrame && performance ? performance * random() : 0);
+    }
+    return {
+        id: 1,
+        channels: [x],
+        length,
+        duration: length / SAMPLE_RATE,
+        meta: { sampleRate: SAMPLE_RATE, contextStartTime, latencySeconds, downbeatFrame },
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * tap-calibration.js estimateTapOffset: pairing taps with clicks, the sign of
+ * the offset, the warm-up, and outlier rejection.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTapOffset } from '../src/tap-calibration.js';
+
+// 16 clicks at 120 BPM; the first 4 are the warm-up
+const CLICKS = Array.from({ length: 16 }, (_, i) => 1 + 0.5 * i);
+// Human timing, in ms, repeating: median 0, MAD 1.5
+const JITTER = [0, 2, -1.5, 1, -2, 1.5, -1, 0.5];
+
+test('taps after the clicks give a positive offset, taps ahead of them a negative one', () => {
+    for (const offsetMs of [120, -30]) {
+        const stats = estimateTapOffset(taps(CLICKS, offsetMs), CLICKS);
+        assert.equal(Math.sign(stats.offsetSeconds), Math.sign(offsetMs));
+        assert.ok(Math.abs(stats.offsetMs - offsetMs) <= 1, `${offsetMs}: ${stats.offsetMs}`);
+        assert.ok(Math.abs(stats.offsetSeconds * 1000 - stats.offsetMs) < 1e-9);
+        assert.deepEqual([stats.expected, stats.matched, stats.used, stats.rejected], [12, 12, 12, 0]);
+        assert.ok(stats.ci95Ms[0] < offsetMs && offsetMs < stats.ci95Ms[1], `CI ${stats.ci95Ms}`);
+        for (const p of stats.pairs) assert.ok(Math.abs(p.offsetMs - (p.tapTime - p.clickTime) * 1000) < 1e-9);
+    }
+});
+
+test('warm-up clicks and their taps are left out', () => {
+    // settling in: the warm-up taps are far off
+    const tapTimes = taps(CLICKS, 80).map((t, i) => (i < 4 ? t + 0.1 : t));
+    const stats = estimateTapOffset(tapTimes, CLICKS);
+    assert.equal(stats.expected, 12);
+    assert.ok(stats.pairs.every((p) => p.clickTime >= CLICKS[4]));
+    assert.ok(Math.abs(stats.offsetMs - 80) <= 1, `${stats.offsetMs}`);
+    assert.equal(estimateTapOffset(tapTimes, CLICKS, { warmup: 0 }).expected, 16);
+});
+
+test('stray taps are rejected as outliers', () => {
+    // a hurried tap and a late one among steady taps 100 ms behind the clicks
+    const tapTimes = taps(CLICKS, 100);
+    tapTimes[6] = CLICKS[6] + 0.02;
+    tapTimes[11] = CLICKS[11] + 0.2;
+    const stats = estimateTapOffset(tapTimes, CLICKS);
+    assert.deepEqual([stats.matched, stats.used, stats.rejected], [12, 10, 2]);
+    assert.deepEqual(stats.pairs.filter((p) => p.outlier).map((p) => p.clickTime), [CLICKS[6], CLICKS[11]]);
+    assert.ok(Math.abs(stats.offsetMs - 100) <= 1, `${stats.offsetMs}`);
+    assert.ok(stats.madMs < 2, `MAD ${stats.madMs}`);
+});
+
+test('small deviations stay within minOutlierMs of perfectly steady taps', () => {
+    // MAD 0: without the floor, any deviation would be an outlier
+    const tapTimes = CLICKS.map((t) => t + 0.05);
+    tapTimes[8] += 0.003;
+    tapTimes[9] += 0.008;
+    const stats = estimateTapOffset(tapTimes, CLICKS);
+    assert.deepEqual(stats.pairs.filter((p) => p.outlier).map((p) => p.clickTime), [CLICKS[9]]);
+    assert.equal(stats.rejected, 1);
+    assert.ok(Math.abs(stats.offsetMs - 50) < 1e-6);
+});
+
+test('missed clicks go unpaired, a double tap counts once', () => {
+    // clicks 6, 9, 12 and 15 missed; two taps on click 5
+    const tapTimes = taps(CLICKS, 60).filter((_, i) => i % 3 !== 0);
+    tapTimes.push(CLICKS[5] + 0.075);
+    const stats = estimateTapOffset(tapTimes, CLICKS);
+    assert.equal(stats.expected, 12);
+    assert.equal(stats.matched, 8);
+    assert.deepEqual(stats.pairs.map((p) => p.clickTime), [4, 5, 7, 8, 10, 11, 13, 14].map((i) => CLICKS[i]));
+    assert.ok(Math.abs(stats.pairs[1].tapTime - (CLICKS[5] + 0.0615)) < 1e-9, 'the nearer tap');
+    assert.ok(Math.abs(stats.offsetMs - 60) <= 1, `${stats.offsetMs}`);
+});
+
+test('no taps: zero offset and nothing used', () => {
+    const stats = estimateTapOffset([], CLICKS);
+    assert.deepEqual([stats.offsetSeconds, stats.matched, stats.used, stats.rejected], [0, 0, 0, 0]);
+    assert.equal(stats.ci95Ms, null);
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// One tap per click, `offsetMs` late plus JITTER
+function taps(clicks, offsetMs) {
+    return clicks.map((t, i) => t + (offsetMs + JITTER[i % JITTER.length]) / 1000);
+}
@@ -0,0 +1,159 @@
+/**
+ * wav.js: encode/decode round trips, clipping, chunk layout and the
+ * WAVE_FORMAT_EXTENSIBLE reader.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, decodeWav } from '../src/wav.js';
+
+const RAMP = Float32Array.from({ length: 101 }, (_, i) => -1 + i / 50);
+
+test('pcm16, pcm24 and float32 round-trip within their resolution', () => {
+    // PCM: half a step of rounding, plus up to one step because positive
+    // values are written against 0x7fff… but read back against 0x8000…
+    for (const [format, bits, step] of [['pcm16', 16, 1.5 * 2 ** -15], ['pcm24', 24, 1.5 * 2 ** -23], ['float32', 32, 0]]) {
+        const right = RAMP.map((v) => -0.5 * v);
+        const wav = decodeWav(encodeWav([RAMP, right], 44100, { format }));
+        assert.equal(wav.sampleRate, 44100);
+        assert.equal(wav.bits, bits);
+        assert.equal(wav.float, format === 'float32');
+        assert.equal(wav.channels.length, 2);
+        for (const [out, src] of [[wav.channels[0], RAMP], [wav.channels[1], right]]) {
+            assert.equal(out.length, src.length);
+            for (let i = 0; i < src.length; i++) assert.ok(Math.abs(out[i] - src[i]) <= step, `${format}[${i}]: ${out[i]} vs ${src[i]}`);
+        }
+    }
+});
+
+test('PCM clips at full scale, float keeps overs', () => {
+    const hot = Float32Array.of(1.5, -1.5, 1, -1);
+    assert.deepEqual(Array.from(decodeWav(encodeWav([hot], 48000, { format: 'pcm16' })).channels[0]),
+        [0x7fff / 0x8000, -1, 0x7fff / 0x8000, -1]);
+    assert.deepEqual(Array.from(decodeWav(encodeWav([hot], 48000, { format: 'pcm24' })).channels[0]),
+        [0x7fffff / 0x800000, -1, 0x7fffff / 0x800000, -1]);
+    assert.deepEqual(Array.from(decodeWav(encodeWav([hot], 48000, { format: 'float32' })).channels[0]), [1.5, -1.5, 1, -1]);
+});
+
+test('an odd-sized data chunk gets a pad byte', () => {
+    const buf = encodeWav([new Float32Array(3).fill(0.25)], 48000, { format: 'pcm24' });
+    const view = new DataView(buf);
+    const data = chunks(buf).find((c) => c.id === 'data');
+    assert.equal(data.size, 9);
+    assert.equal(buf.byteLength, data.start + 10);
+    assert.equal(view.getUint8(buf.byteLength - 1), 0);
+    assert.equal(view.getUint32(4, true), buf.byteLength - 8);
+    assert.equal(decodeWav(buf).channels[0].length, 3);
+});
+
+test('bext, cue and labl chunks', () => {
+    const buf = encodeWav([new Float32Array(1000)], 48000, {
+        bext: { description: 'take=1; bpm=120', originator: 'test', timeReference: 2 ** 32 + 5, date: new Date(2024, 0, 2, 3, 4, 5) },
+        cues: [{ position: 480, label: 'Downbeat' }, { position: 960 }],
+    });
+    const view = new DataView(buf);
+    const list = chunks(buf);
+    assert.deepEqual(list.map((c) => c.id), ['fmt ', 'bext', 'cue ', 'LIST', 'data']);
+
+    const bext = list[1];
+    assert.equal(bext.size, 602);
+    assert.equal(text(view, bext.start, 256), 'take=1; bpm=120');
+    assert.equal(text(view, bext.start + 256, 32), 'test');
+    assert.equal(text(view, bext.start + 320, 10), '2024-01-02');
+    assert.equal(text(view, bext.start + 330, 8), '03:04:05');
+    assert.equal(view.getUint32(bext.start + 338, true), 5);
+    assert.equal(view.getUint32(bext.start + 342, true), 1);
+    assert.equal(view.getUint16(bext.start + 346, true), 1);
+
+    const cue = list[2];
+    assert.equal(cue.size, 4 + 2 * 24);
+    assert.equal(view.getUint32(cue.start, true), 2);
+    for (const [i, position] of [[0, 480], [1, 960]]) {
+        const o = cue.start + 4 + i * 24;
+        assert.equal(view.getUint32(o, true), i + 1);
+        assert.equal(view.getUint32(o + 4, true), position);
+        assert.equal(text(view, o + 8, 4), 'data');
+        assert.equal(view.getUint32(o + 20, true), position);
+    }
+
+    const adtl = list[3];
+    assert.equal(text(view, adtl.start, 4), 'adtl');
+    const labels = chunks(buf, adtl.start + 4, adtl.start + adtl.size);
+    assert.deepEqual(labels.map((c) => c.id), ['labl', 'labl']);
+    assert.deepEqual(labels.map((c) => view.getUint32(c.start, true)), [1, 2]);
+    assert.deepEqual(labels.map((c) => text(view, c.start + 4, c.size - 4)), ['Downbeat', 'Marker 2']);
+    // 4 + 'Downbeat\0' = 13 bytes, padded to an even chunk
+    assert.equal(labels[0].size, 13);
+    assert.equal(labels[1].start - labels[0].start, 8 + 14);
+
+    assert.equal(decodeWav(buf).channels[0].length, 1000);
+});
+
+test('decodes WAVE_FORMAT_EXTENSIBLE float and 32-bit PCM', () => {
+    const samples = [0.5, -0.25, 0.125];
+    for (const [subFormat, bits, write] of [
+        [3, 32, (v, o, x) => v.setFloat32(o, x, true)],
+        [1, 32, (v, o, x) => v.setInt32(o, Math.round(x * 0x80000000), true)],
+    ]) {
+        const wav = decodeWav(extensibleWav(subFormat, bits, samples, write));
+        assert.equal(wav.float, subFormat === 3);
+        assert.equal(wav.bits, bits);
+        assert.deepEqual(Array.from(wav.channels[0]), samples);
+    }
+});
+
+test('rejects what it cannot read', () => {
+    assert.throws(() => decodeWav(new ArrayBuffer(12)), /Not a RIFF\/WAVE file/);
+    assert.throws(() => encodeWav([new Float32Array(1)], 48000, { format: 'pcm12' }), /Unknown WAV format/);
+});
+
+/* ------------------------- Utilities ------------------------- */
+
+// RIFF chunks between `from` and `to` (default: the top level of the file)
+function chunks(buf, from = 12, to = buf.byteLength) {
+    const view = new DataView(buf);
+    const out = [];
+    for (let off = from; off + 8 <= to;) {
+        const size = view.getUint32(off + 4, true);
+        out.push({ id: text(view, off, 4), start: off + 8, size });
+        off += 8 + size + (size & 1);
+    }
+    return out;
+}
+
+// Bytes as text, up to the first zero
+function text(view, off, len) {
+    let s = '';
+    for (let i = 0; i < len; i++) {
+        const c = view.getUint8(off + i);
+        if (c === 0) break;
+        s += String.fromCharCode(c);
+    }
+    return s;
+}
+
+// Mono WAVE_FORMAT_EXTENSIBLE file: fmt chunk of 40 bytes, real tag in the SubFormat GUID
+function extensibleWav(subFormat, bits, samples, write) {
+    const bytes = bits / 8;
+    const view = new DataView(new ArrayBuffer(12 + 8 + 40 + 8 + samples.length * bytes));
+    const tag = (off, s) => { for (let i = 0; i < 4; i++) view.setUint8(off + i, s.charCodeAt(i)); };
+    tag(0, 'RIFF');
+    view.setUint32(4, view.byteLength - 8, true);
+    tag(8, 'WAVE');
+    tag(12, 'fmt ');
+    view.setUint32(16, 40, true);
+    view.setUint16(20, 0xfffe, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, 48000, true);
+    view.setUint32(28, 48000 * bytes, true);
+    view.setUint16(32, bytes, true);
+    view.setUint16(34, bits, true);
+    view.setUint16(36, 22, true);        // cbSize
+    view.setUint16(38, bits, true);      // valid bits
+    view.setUint32(40, 0x4, true);       // channel mask: front center
+    view.setUint16(44, subFormat, true); // SubFormat GUID, first two bytes
+    tag(60, 'data');
+    view.setUint32(64, samples.length * bytes, true);
+    samples.forEach((x, i) => write(view, 68 + i * bytes, x));
+    return view.buffer;
+}
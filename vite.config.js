@@ -0,0 +1,13 @@
+import { defineConfig } from "vite";
+
+// Cross-origin isolation enables SharedArrayBuffer, which the recorder's
+// ring-buffer transport needs (see src/ring-buffer.js).
+const isolationHeaders = {
+    "Cross-Origin-Opener-Policy": "same-origin",
+    "Cross-Origin-Embedder-Policy": "require-corp",
+};
+
+export default defineConfig({
+    server: { headers: isolationHeaders },
+    preview: { headers: isolationHeaders },
+});